@@ -1,7 +1,28 @@
-import { Model, ProviderInput, ProviderResponse, AnthropicResponse } from '../types';
+import {
+  Model,
+  ChatMessage,
+  ContentPart,
+  ToolChoice,
+  ProviderInput,
+  ProviderResponse,
+  ProviderStreamChunk,
+  ProviderStreamResponse,
+  AnthropicResponse,
+} from '../types';
 import { BaseProvider } from './base';
 import { createAnthropicHeaders } from '../utils/headers';
-import { PROVIDER_ENDPOINTS } from '../utils/constants';
+import { ProviderError } from '../utils/errors';
+import { PROVIDER_ENDPOINTS, PROVIDER_PROBE_ENDPOINTS } from '../utils/constants';
+import { EMPTY_PARAMETERS } from './tools';
+import { getImageData, getTextContent, hasContentType } from './content';
+
+/**
+ * Messages API request message
+ */
+interface AnthropicRequestMessage {
+  role: 'user' | 'assistant';
+  content: string | Array<Record<string, unknown>>;
+}
 
 /**
  * Anthropic provider implementation
@@ -10,18 +31,132 @@ export class AnthropicProvider extends BaseProvider {
   protected readonly name = 'anthropic';
   protected readonly envKey = 'ANTHROPIC_API_KEY';
 
-  async call(model: Model, input: ProviderInput): Promise<ProviderResponse> {
-    const apiKey = this.getApiKey();
-    const headers = createAnthropicHeaders(apiKey);
+  /**
+   * Probe with the model list
+   */
+  protected getProbeRequest(): { url: string; headers: Record<string, string> } {
+    return { url: PROVIDER_PROBE_ENDPOINTS.anthropic, headers: createAnthropicHeaders(this.getApiKey()) };
+  }
+
+  /**
+   * Get the temperature clamped to Anthropic's 0-1 range
+   * /run and the OpenAI facade accept up to 2, which the Messages API rejects with a 400
+   */
+  protected getTemperature(input: ProviderInput): number {
+    return Math.min(Math.max(super.getTemperature(input), 0), 1);
+  }
+
+  /**
+   * Convert message content to Messages API content (text and image blocks)
+   */
+  private formatContent(content: string | ContentPart[]): string | Array<Record<string, unknown>> {
+    if (typeof content === 'string') {
+      return content;
+    }
+
+    return content.map((part) => {
+      if (part.type === 'image') {
+        const image = getImageData(part);
+        return {
+          type: 'image',
+          source: image
+            ? { type: 'base64', media_type: image.media_type, data: image.data }
+            : { type: 'url', url: part.url },
+        };
+      }
+      return { type: 'text', text: part.type === 'text' ? part.text : '' };
+    });
+  }
+
+  /**
+   * Convert messages to Messages API format
+   * Tool calls become tool_use blocks, tool results become user tool_result blocks
+   */
+  private formatMessages(messages: ChatMessage[]): AnthropicRequestMessage[] {
+    const formatted: AnthropicRequestMessage[] = [];
+
+    for (const msg of messages) {
+      if (msg.role === 'system') continue;
+
+      if (msg.role === 'tool') {
+        const block = { type: 'tool_result', tool_use_id: msg.tool_call_id, content: getTextContent(msg.content) };
+        const last = formatted[formatted.length - 1];
+
+        // Consecutive tool results share a single user turn
+        if (last && last.role === 'user' && Array.isArray(last.content) && last.content.every((b) => b.type === 'tool_result')) {
+          last.content.push(block);
+        } else {
+          formatted.push({ role: 'user', content: [block] });
+        }
+        continue;
+      }
+
+      if (msg.tool_calls && msg.tool_calls.length > 0) {
+        const text = getTextContent(msg.content);
+        const blocks: Array<Record<string, unknown>> = text ? [{ type: 'text', text }] : [];
+        for (const call of msg.tool_calls) {
+          blocks.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments });
+        }
+        formatted.push({ role: 'assistant', content: blocks });
+        continue;
+      }
+
+      formatted.push({ role: msg.role, content: this.formatContent(msg.content) });
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Convert a tool choice to Messages API format
+   */
+  private formatToolChoice(choice: ToolChoice | undefined): Record<string, unknown> | undefined {
+    if (!choice) return undefined;
+    if (choice === 'required') return { type: 'any' };
+    if (typeof choice === 'string') return { type: choice };
+    return { type: 'tool', name: choice.name };
+  }
+
+  /**
+   * Build the Messages API request body
+   * System messages are lifted into the top-level system field
+   */
+  private buildRequestBody(model: Model, input: ProviderInput): Record<string, unknown> {
     const messages = this.getMessages(input);
+    const system = messages
+      .filter((msg) => msg.role === 'system')
+      .map((msg) => getTextContent(msg.content))
+      .join('\n\n');
+    const hasTools = Boolean(input.tools && input.tools.length > 0);
 
-    const body = {
+    if (hasContentType(messages, 'audio')) {
+      throw new ProviderError(this.name, 'anthropic does not accept audio input', model.id);
+    }
+
+    return {
       model: model.id,
-      messages,
+      system: system || undefined,
+      messages: this.formatMessages(messages),
+      temperature: this.getTemperature(input),
       max_tokens: this.getMaxTokens(input),
+      stop_sequences: input.stop,
+      tools: hasTools
+        ? input.tools!.map((tool) => ({
+            name: tool.name,
+            description: tool.description,
+            input_schema: tool.parameters || EMPTY_PARAMETERS,
+          }))
+        : undefined,
+      tool_choice: hasTools ? this.formatToolChoice(input.tool_choice) : undefined,
     };
+  }
+
+  async call(model: Model, input: ProviderInput): Promise<ProviderResponse> {
+    const apiKey = this.getApiKey(input);
+    const headers = createAnthropicHeaders(apiKey);
+    const body = this.buildRequestBody(model, input);
 
-    const response = await this.makeRequest(PROVIDER_ENDPOINTS.anthropic, headers, body);
+    const response = await this.makeRequest(PROVIDER_ENDPOINTS.anthropic, headers, body, input);
 
     if (!response.ok) {
       await this.handleErrorResponse(response, model);
@@ -34,6 +169,71 @@ export class AnthropicProvider extends BaseProvider {
       headers: response.headers,
     };
   }
+
+  /**
+   * Anthropic streams typed Messages API events
+   */
+  supportsStreaming(): boolean {
+    return true;
+  }
+
+  async stream(model: Model, input: ProviderInput): Promise<ProviderStreamResponse> {
+    const apiKey = this.getApiKey(input);
+    const headers = createAnthropicHeaders(apiKey);
+    const body = { ...this.buildRequestBody(model, input), stream: true };
+
+    const response = await this.makeRequest(PROVIDER_ENDPOINTS.anthropic, headers, body, input);
+
+    if (!response.ok) {
+      await this.handleErrorResponse(response, model);
+    }
+
+    return {
+      chunks: this.parseStream(response, model),
+      headers: response.headers,
+    };
+  }
+
+  /**
+   * Convert Messages API stream events into normalized chunks
+   */
+  private async *parseStream(response: Response, model: Model): AsyncGenerator<ProviderStreamChunk> {
+    // Input tokens arrive on message_start, output tokens on message_delta
+    let usage: Record<string, unknown> = {};
+
+    for await (const event of this.readStreamEvents(response)) {
+      switch (event.type) {
+        case 'message_start': {
+          const message = (event.message || {}) as Record<string, unknown>;
+          usage = { ...usage, ...((message.usage || {}) as Record<string, unknown>) };
+          break;
+        }
+        case 'content_block_delta': {
+          const delta = (event.delta || {}) as Record<string, unknown>;
+          if (delta.type === 'text_delta' && typeof delta.text === 'string') {
+            yield { delta: delta.text };
+          }
+          break;
+        }
+        case 'message_delta': {
+          const delta = (event.delta || {}) as Record<string, unknown>;
+          usage = { ...usage, ...((event.usage || {}) as Record<string, unknown>) };
+          yield {
+            delta: '',
+            finish_reason: (delta.stop_reason as string | null | undefined) ?? null,
+            usage,
+          };
+          break;
+        }
+        case 'error': {
+          const error = (event.error || {}) as Record<string, unknown>;
+          throw new ProviderError(this.name, `anthropic stream error: ${String(error.message || 'unknown')}`, model.id);
+        }
+        default:
+          break;
+      }
+    }
+  }
 }
 
 export const anthropicProvider = new AnthropicProvider();
@@ -1,6 +1,75 @@
-import { Model, ProviderInput, ProviderResponse, ChatMessage } from '../types';
-import { ConfigurationError, createProviderError } from '../utils/errors';
-import { DEFAULT_TEMPERATURE, DEFAULT_MAX_TOKENS } from '../utils/constants';
+import { createHash } from 'crypto';
+import {
+  Model,
+  ProviderInput,
+  ProviderResponse,
+  ProviderStreamResponse,
+  ProviderEmbeddingResponse,
+  EmbeddingInput,
+  ProviderImageResponse,
+  ImageGenerationInput,
+  GeneratedImage,
+  ProviderTranscriptionResponse,
+  TranscriptionInput,
+  ProviderSpeechResponse,
+  SpeechInput,
+  SpeechResult,
+  NormalizedUsage,
+  ChatMessage,
+  RetryPolicy,
+} from '../types';
+import { ConfigurationError, ProviderError, TimeoutError, createProviderError } from '../utils/errors';
+import { parseSSEStream } from '../utils/sse';
+import {
+  DEFAULT_TEMPERATURE,
+  DEFAULT_MAX_TOKENS,
+  DEFAULT_PROVIDER_TIMEOUT_MS,
+  PROVIDER_TIMEOUTS_MS,
+  DEFAULT_RETRY_POLICY,
+  PROVIDER_RETRY_POLICIES,
+  RETRYABLE_STATUS_CODES,
+  HEALTH_PROBE_TIMEOUT_MS,
+} from '../utils/constants';
+import { parseRetryAfterHeader, parseRetryAfterSeconds } from '../utils/headers';
+import { sleep } from '../utils/async';
+import { keyPoolService } from '../services/keyPool';
+import { buildJsonSchemaInstructions } from '../utils/jsonSchema';
+import { DEFAULT_IMAGE_MEDIA_TYPE } from './content';
+
+/**
+ * Call settle once a response body has been read to the end, has failed or was cancelled
+ * Returns a response with the same status, headers and bytes; without a body settle runs at once
+ */
+function onBodySettled(response: Response, settle: () => void): Response {
+  if (!response.body) {
+    settle();
+    return response;
+  }
+
+  const reader = response.body.getReader();
+  const body = new ReadableStream<Uint8Array>({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          settle();
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (error) {
+        settle();
+        controller.error(error);
+      }
+    },
+    cancel(reason) {
+      settle();
+      return reader.cancel(reason);
+    },
+  });
+
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
 
 /**
  * Base provider class with shared logic
@@ -10,26 +79,146 @@ export abstract class BaseProvider {
   protected abstract readonly envKey: string;
 
   /**
-   * Get API key from environment
+   * Get the provider's pool of API keys from the environment
+   * Keys come from a comma-separated envKey and numbered envKey_1..envKey_N variables
+   */
+  protected getApiKeys(): string[] {
+    const numbered = Object.keys(process.env)
+      .map((name) => ({ name, index: new RegExp(`^${this.envKey}_(\\d+)$`).exec(name)?.[1] }))
+      .filter((entry) => entry.index !== undefined)
+      .sort((a, b) => parseInt(a.index!, 10) - parseInt(b.index!, 10))
+      .map((entry) => process.env[entry.name] || '');
+
+    const keys = [...(process.env[this.envKey] || '').split(','), ...numbered].map((key) => key.trim()).filter(Boolean);
+    return [...new Set(keys)];
+  }
+
+  /**
+   * Non-secret ID of an API key, for per-key usage, rate limit and health tracking
+   */
+  private toKeyId(apiKey: string): string {
+    return `${this.envKey}:${createHash('sha256').update(apiKey).digest('hex').slice(0, 8)}`;
+  }
+
+  /**
+   * Get the IDs of the provider's pooled API keys
+   */
+  getKeyIds(): string[] {
+    return this.getApiKeys().map((key) => this.toKeyId(key));
+  }
+
+  /**
+   * Get the API key for a call: the key chosen by the router (input.api_key_id),
+   * else the next one from the pool
    */
-  protected getApiKey(): string {
-    const apiKey = process.env[this.envKey];
-    if (!apiKey) {
+  protected getApiKey(input?: ProviderInput): string {
+    const keys = this.getApiKeys();
+    if (keys.length === 0) {
       throw new ConfigurationError(this.envKey);
     }
-    return apiKey;
+
+    const keyIds = keys.map((key) => this.toKeyId(key));
+    const keyId =
+      input?.api_key_id && keyIds.includes(input.api_key_id)
+        ? input.api_key_id
+        : keyPoolService.select(input?.api_key_pool ?? this.name, input?.api_key_model_id ?? null, keyIds);
+    return keyId ? keys[keyIds.indexOf(keyId)] : keys[0];
+  }
+
+  /**
+   * Whether the provider has the configuration it needs to make calls
+   */
+  isConfigured(): boolean {
+    return this.getApiKeys().length > 0;
+  }
+
+  /**
+   * Cheap authenticated GET used as a health probe (model list, key info)
+   * Returns null to probe with a 1-token completion instead
+   */
+  protected getProbeRequest(): { url: string; headers: Record<string, string> } | null {
+    return null;
+  }
+
+  /**
+   * Whether health probes send a 1-token completion, which uses the probed model's quota
+   */
+  usesCompletionProbe(): boolean {
+    return this.getProbeRequest() === null;
+  }
+
+  /**
+   * Check that the provider is reachable and the key is accepted
+   * Throws like a failed call; model and key are used only for completion probes
+   */
+  async probe(
+    model: Model | null,
+    key: Pick<ProviderInput, 'api_key_pool' | 'api_key_id' | 'api_key_model_id' | 'on_retry'> = {},
+    signal?: AbortSignal
+  ): Promise<void> {
+    const request = this.getProbeRequest();
+
+    if (!request) {
+      if (!model) {
+        throw new ProviderError(this.name, `${this.name} has no model to probe`);
+      }
+      await this.call(model, { input: 'ping', max_tokens: 1, timeout_ms: HEALTH_PROBE_TIMEOUT_MS, signal, ...key });
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new TimeoutError(this.name, HEALTH_PROBE_TIMEOUT_MS)), HEALTH_PROBE_TIMEOUT_MS);
+    timer.unref();
+    signal?.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+
+    try {
+      const response = await fetch(request.url, { headers: request.headers, signal: controller.signal });
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw createProviderError(this.name, response.status, `${this.name} probe failed: ${response.status} - ${errorText}`);
+      }
+      await response.body?.cancel();
+    } catch (error) {
+      throw controller.signal.aborted ? controller.signal.reason : error;
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   /**
    * Extract messages from input
+   * Schema instructions are prepended when JSON output is requested and not enforced natively
    */
   protected getMessages(input: ProviderInput): ChatMessage[] {
-    if (input.messages && input.messages.length > 0) {
-      return input.messages;
-    }
+    const messages: ChatMessage[] =
+      input.messages && input.messages.length > 0
+        ? input.messages
+        : [{ role: 'user', content: input.input || input.prompt || '' }];
+
+    const instructions = this.getJsonInstructions(input);
+    return instructions ? [{ role: 'system', content: instructions }, ...messages] : messages;
+  }
+
+  /**
+   * Whether the provider enforces response_format json_schema natively
+   */
+  protected supportsJsonSchema(): boolean {
+    return false;
+  }
+
+  /**
+   * Get the JSON schema requested by response_format, if any
+   */
+  protected getJsonSchema(input: ProviderInput): Record<string, unknown> | null {
+    return input.response_format?.type === 'json_schema' ? input.response_format.schema : null;
+  }
 
-    const content = input.input || input.prompt || '';
-    return [{ role: 'user', content }];
+  /**
+   * Get prompt instructions for JSON output when the provider has no native schema mode
+   */
+  protected getJsonInstructions(input: ProviderInput): string | null {
+    const schema = this.getJsonSchema(input);
+    return schema && !this.supportsJsonSchema() ? buildJsonSchemaInstructions(schema) : null;
   }
 
   /**
@@ -46,21 +235,124 @@ export abstract class BaseProvider {
     return input.max_tokens ?? DEFAULT_MAX_TOKENS;
   }
 
+  /**
+   * Get the upstream timeout: per request, else per provider, else the default
+   */
+  protected getTimeoutMs(input?: ProviderInput): number {
+    return input?.timeout_ms ?? PROVIDER_TIMEOUTS_MS[this.name] ?? DEFAULT_PROVIDER_TIMEOUT_MS;
+  }
+
+  /**
+   * Get the retry policy for transient errors: per provider, else the default
+   */
+  protected getRetryPolicy(): RetryPolicy {
+    return { ...DEFAULT_RETRY_POLICY, ...PROVIDER_RETRY_POLICIES[this.name] };
+  }
+
+  /**
+   * Get the delay before a retry, or null when the response should not be retried
+   * A 429 waits for Retry-After or the rate limit reset headers and a 503 for Retry-After,
+   * up to max_delay_ms; other statuses use exponential backoff with full jitter
+   */
+  protected getRetryDelayMs(response: Response, attempt: number, policy: RetryPolicy): number | null {
+    if (attempt >= policy.max_retries || !RETRYABLE_STATUS_CODES.includes(response.status)) {
+      return null;
+    }
+
+    const retryAfterSeconds =
+      response.status === 429
+        ? parseRetryAfterSeconds(response.headers, this.name)
+        : response.status === 503
+          ? parseRetryAfterHeader(response.headers)
+          : null;
+    if (retryAfterSeconds !== null) {
+      const delayMs = retryAfterSeconds * 1000;
+      // A long wait is better spent on another provider, so surface the error instead
+      return delayMs <= policy.max_delay_ms ? delayMs : null;
+    }
+
+    const ceiling = Math.min(policy.max_delay_ms, policy.base_delay_ms * 2 ** attempt);
+    return Math.random() * ceiling;
+  }
+
+  /**
+   * Whether another pooled key is available for the model besides the one this call uses
+   */
+  private canRotateKey(input?: ProviderInput): boolean {
+    return Boolean(
+      input?.api_key_id &&
+        input.api_key_model_id &&
+        keyPoolService.hasAvailable(input.api_key_pool ?? this.name, input.api_key_model_id, this.getKeyIds(), [input.api_key_id])
+    );
+  }
+
   /**
    * Make HTTP request to provider API
+   * Bodies are sent as JSON, except FormData which is sent as multipart (headers
+   * must then leave Content-Type to fetch) and raw bytes (Buffer) which are sent as is.
+   * 429 and 5xx responses are retried per the provider's retry policy; each retry is
+   * reported through input.on_retry.
+   * The timeout covers the whole call, including retries and reading the body
+   * or stream; the request is also aborted when input.signal fires (client disconnect).
+   * The timer and the input.signal listener are released once the body is read or the stream ends.
    */
   protected async makeRequest(
     url: string,
     headers: Record<string, string>,
-    body: unknown
+    body: unknown,
+    input?: ProviderInput
   ): Promise<Response> {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(body),
-    });
+    const timeoutMs = this.getTimeoutMs(input);
+    const controller = new AbortController();
 
-    return response;
+    const timer = setTimeout(() => controller.abort(new TimeoutError(this.name, timeoutMs)), timeoutMs);
+    timer.unref();
+
+    const signal = input?.signal;
+    const onAbort = () => controller.abort(signal?.reason);
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort(signal.reason);
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+
+    const release = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    const policy = this.getRetryPolicy();
+    const payload = body instanceof FormData || body instanceof Uint8Array ? body : JSON.stringify(body);
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        if (attempt > 0) {
+          input?.on_retry?.();
+        }
+        const response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body: payload,
+          signal: controller.signal,
+        });
+
+        // A 429 on a pooled key is better answered by rotating to another key than by waiting
+        const delayMs =
+          response.status === 429 && this.canRotateKey(input) ? null : this.getRetryDelayMs(response, attempt, policy);
+        if (delayMs === null) {
+          return onBodySettled(response, release);
+        }
+
+        await response.body?.cancel();
+        await sleep(delayMs, controller.signal);
+      }
+    } catch (error) {
+      release();
+      // Surface the abort reason (TimeoutError or ClientClosedError) rather than a generic AbortError
+      throw controller.signal.aborted ? controller.signal.reason : error;
+    }
   }
 
   /**
@@ -72,15 +364,127 @@ export abstract class BaseProvider {
       this.name,
       response.status,
       `${this.name} API error: ${response.status} - ${errorText}`,
-      model.id
+      model.id,
+      parseRetryAfterSeconds(response.headers, this.name)
     );
   }
 
+  /**
+   * Read JSON payloads from a server-sent event response
+   */
+  protected async *readStreamEvents(response: Response): AsyncGenerator<Record<string, unknown>> {
+    for await (const message of parseSSEStream(response.body)) {
+      if (message.data === '[DONE]') {
+        return;
+      }
+
+      try {
+        yield JSON.parse(message.data) as Record<string, unknown>;
+      } catch {
+        // Skip keep-alive or malformed payloads
+        continue;
+      }
+    }
+  }
+
   /**
    * Call the provider API - must be implemented by subclasses
    */
   abstract call(model: Model, input: ProviderInput): Promise<ProviderResponse>;
 
+  /**
+   * Whether this provider implements native streaming
+   */
+  supportsStreaming(): boolean {
+    return false;
+  }
+
+  /**
+   * Stream the provider API - overridden by providers with native streaming
+   */
+  async stream(model: Model, _input: ProviderInput): Promise<ProviderStreamResponse> {
+    throw new ProviderError(this.name, `${this.name} does not support streaming`, model.id);
+  }
+
+  /**
+   * Whether this provider implements embeddings
+   */
+  supportsEmbeddings(): boolean {
+    return false;
+  }
+
+  /**
+   * Embed texts - overridden by providers with an embeddings API
+   */
+  async embed(model: Model, _input: EmbeddingInput): Promise<ProviderEmbeddingResponse> {
+    throw new ProviderError(this.name, `${this.name} does not support embeddings`, model.id);
+  }
+
+  /**
+   * Usage for an embeddings call, or null when the provider reported no tokens
+   */
+  protected toEmbeddingUsage(inputTokens: number | undefined): NormalizedUsage | null {
+    return typeof inputTokens === 'number' ? { input_tokens: inputTokens, output_tokens: 0, total_tokens: inputTokens } : null;
+  }
+
+  /**
+   * Whether this provider implements text-to-image generation
+   */
+  supportsImageGeneration(): boolean {
+    return false;
+  }
+
+  /**
+   * Generate images from a prompt - overridden by providers with an image API
+   */
+  async generateImage(model: Model, _input: ImageGenerationInput): Promise<ProviderImageResponse> {
+    throw new ProviderError(this.name, `${this.name} does not support image generation`, model.id);
+  }
+
+  /**
+   * Whether this provider implements speech-to-text
+   */
+  supportsTranscription(): boolean {
+    return false;
+  }
+
+  /**
+   * Transcribe or translate audio - overridden by providers with a speech-to-text API
+   */
+  async transcribe(model: Model, _input: TranscriptionInput): Promise<ProviderTranscriptionResponse> {
+    throw new ProviderError(this.name, `${this.name} does not support transcription`, model.id);
+  }
+
+  /**
+   * Whether this provider implements text-to-speech
+   */
+  supportsSpeech(): boolean {
+    return false;
+  }
+
+  /**
+   * Synthesize speech from text - overridden by providers with a text-to-speech API
+   */
+  async speak(model: Model, _input: SpeechInput): Promise<ProviderSpeechResponse> {
+    throw new ProviderError(this.name, `${this.name} does not support text-to-speech`, model.id);
+  }
+
+  /**
+   * Read a raw image response body as a base64 image
+   */
+  protected async readImage(response: Response): Promise<GeneratedImage> {
+    const mime = response.headers.get('content-type')?.split(';')[0].trim() || DEFAULT_IMAGE_MEDIA_TYPE;
+    return { mime, base64: Buffer.from(await response.arrayBuffer()).toString('base64') };
+  }
+
+  /**
+   * Read a raw audio response body, falling back to the requested format for the media type
+   */
+  protected async readSpeech(response: Response, format: string): Promise<SpeechResult> {
+    const mime = response.headers.get('content-type')?.split(';')[0].trim() || `audio/${format}`;
+    return { mime, audio: Buffer.from(await response.arrayBuffer()) };
+  }
+
   /**
    * Get provider name
    */
@@ -1,8 +1,29 @@
-import { Model, ProviderInput, ProviderResponse, CloudflareResponse } from '../types';
+import {
+  Model,
+  ImageContentPart,
+  ProviderInput,
+  ProviderResponse,
+  ProviderStreamChunk,
+  ProviderStreamResponse,
+  ProviderEmbeddingResponse,
+  EmbeddingInput,
+  ProviderImageResponse,
+  ImageGenerationInput,
+  ProviderTranscriptionResponse,
+  TranscriptionInput,
+  ProviderSpeechResponse,
+  SpeechInput,
+  CloudflareResponse,
+  CloudflareEmbeddingResponse,
+  CloudflareImageResponse,
+  CloudflareSpeechResponse,
+  CloudflareTranscriptionResponse,
+} from '../types';
 import { BaseProvider } from './base';
 import { createCloudflareHeaders } from '../utils/headers';
-import { ConfigurationError } from '../utils/errors';
-import { PROVIDER_ENDPOINTS } from '../utils/constants';
+import { ConfigurationError, ProviderError } from '../utils/errors';
+import { PROVIDER_ENDPOINTS, PROVIDER_PROBE_ENDPOINTS } from '../utils/constants';
+import { getImageData, getTextContent, hasContentType } from './content';
 
 /**
  * Cloudflare Workers AI provider implementation
@@ -22,20 +43,69 @@ export class CloudflareProvider extends BaseProvider {
     return accountId;
   }
 
-  async call(model: Model, input: ProviderInput): Promise<ProviderResponse> {
-    const apiKey = this.getApiKey();
-    const accountId = this.getAccountId();
-    const headers = createCloudflareHeaders(apiKey);
+  /**
+   * Calls need the account ID as well as the API key
+   */
+  isConfigured(): boolean {
+    return super.isConfigured() && Boolean(process.env.CLOUDFLARE_ACCOUNT_ID);
+  }
+
+  /**
+   * Probe with token verification
+   */
+  protected getProbeRequest(): { url: string; headers: Record<string, string> } {
+    return { url: PROVIDER_PROBE_ENDPOINTS.cloudflare, headers: createCloudflareHeaders(this.getApiKey()) };
+  }
+
+  /**
+   * Build the Workers AI run URL for a model
+   */
+  private getRunUrl(model: Model): string {
+    return `${PROVIDER_ENDPOINTS.cloudflare}/${this.getAccountId()}/ai/run/${model.id}`;
+  }
+
+  /**
+   * Build the text generation request body
+   * Vision models take the image as a top-level byte array next to text-only messages
+   */
+  private buildRequestBody(model: Model, input: ProviderInput): Record<string, unknown> {
     const messages = this.getMessages(input);
 
-    const body = {
-      messages,
+    if (hasContentType(messages, 'audio')) {
+      throw new ProviderError(this.name, 'cloudflare does not accept audio input', model.id);
+    }
+
+    const images = messages.flatMap((msg) =>
+      Array.isArray(msg.content) ? msg.content.filter((part): part is ImageContentPart => part.type === 'image') : []
+    );
+    if (images.length > 1) {
+      throw new ProviderError(this.name, 'cloudflare accepts a single image per request', model.id);
+    }
+
+    let image: number[] | undefined;
+    if (images.length === 1) {
+      const data = getImageData(images[0]);
+      if (!data) {
+        throw new ProviderError(this.name, 'cloudflare requires base64 image data, not a remote URL', model.id);
+      }
+      image = Array.from(Buffer.from(data.data, 'base64'));
+    }
+
+    return {
+      messages: messages.map((msg) => ({ role: msg.role, content: getTextContent(msg.content) })),
+      image,
       temperature: this.getTemperature(input),
       max_tokens: this.getMaxTokens(input),
     };
+  }
 
-    const url = `${PROVIDER_ENDPOINTS.cloudflare}/${accountId}/ai/run/${model.id}`;
-    const response = await this.makeRequest(url, headers, body);
+  async call(model: Model, input: ProviderInput): Promise<ProviderResponse> {
+    const apiKey = this.getApiKey(input);
+    const url = this.getRunUrl(model);
+    const headers = createCloudflareHeaders(apiKey);
+    const body = this.buildRequestBody(model, input);
+
+    const response = await this.makeRequest(url, headers, body, input);
 
     if (!response.ok) {
       await this.handleErrorResponse(response, model);
@@ -48,6 +118,178 @@ export class CloudflareProvider extends BaseProvider {
       headers: response.headers,
     };
   }
+
+  /**
+   * Workers AI text generation streams SSE when stream is set
+   */
+  supportsStreaming(): boolean {
+    return true;
+  }
+
+  async stream(model: Model, input: ProviderInput): Promise<ProviderStreamResponse> {
+    const apiKey = this.getApiKey(input);
+    const url = this.getRunUrl(model);
+    const headers = createCloudflareHeaders(apiKey);
+    const body = { ...this.buildRequestBody(model, input), stream: true };
+
+    const response = await this.makeRequest(url, headers, body, input);
+
+    if (!response.ok) {
+      await this.handleErrorResponse(response, model);
+    }
+
+    return {
+      chunks: this.parseStream(response),
+      headers: response.headers,
+    };
+  }
+
+  /**
+   * Workers AI embedding models (BGE) take a batch of texts
+   */
+  supportsEmbeddings(): boolean {
+    return true;
+  }
+
+  /**
+   * Embed texts; Workers AI reports no token usage for embeddings
+   */
+  async embed(model: Model, input: EmbeddingInput): Promise<ProviderEmbeddingResponse> {
+    const apiKey = this.getApiKey(input);
+    const url = this.getRunUrl(model);
+    const headers = createCloudflareHeaders(apiKey);
+
+    const response = await this.makeRequest(url, headers, { text: input.texts }, input);
+
+    if (!response.ok) {
+      await this.handleErrorResponse(response, model);
+    }
+
+    const data = (await response.json()) as CloudflareEmbeddingResponse;
+
+    return {
+      embeddings: data.result.data,
+      usage: null,
+      headers: response.headers,
+    };
+  }
+
+  /**
+   * Workers AI text-to-image models (FLUX, Stable Diffusion) run through the model URL
+   */
+  supportsImageGeneration(): boolean {
+    return true;
+  }
+
+  /**
+   * Generate an image; FLUX answers with base64 JPEG in JSON, SDXL with raw PNG bytes
+   */
+  async generateImage(model: Model, input: ImageGenerationInput): Promise<ProviderImageResponse> {
+    const apiKey = this.getApiKey(input);
+    const url = this.getRunUrl(model);
+    const headers = createCloudflareHeaders(apiKey);
+
+    const response = await this.makeRequest(url, headers, { prompt: input.prompt }, input);
+
+    if (!response.ok) {
+      await this.handleErrorResponse(response, model);
+    }
+
+    const image = response.headers.get('content-type')?.includes('application/json')
+      ? { mime: 'image/jpeg', base64: ((await response.json()) as CloudflareImageResponse).result.image }
+      : await this.readImage(response);
+
+    return {
+      images: [image],
+      text: '',
+      usage: null,
+      headers: response.headers,
+    };
+  }
+
+  /**
+   * Workers AI runs Whisper models through the model URL
+   */
+  supportsTranscription(): boolean {
+    return true;
+  }
+
+  /**
+   * Transcribe audio with Whisper
+   * whisper-large-v3-turbo takes base64 audio and can translate; base whisper takes
+   * the raw audio bytes as the request body and only transcribes
+   */
+  async transcribe(model: Model, input: TranscriptionInput): Promise<ProviderTranscriptionResponse> {
+    const turbo = model.id.includes('large-v3-turbo');
+    if (input.translate && !turbo) {
+      throw new ProviderError(this.name, `${model.id} does not support translation`, model.id);
+    }
+
+    const apiKey = this.getApiKey(input);
+    const url = this.getRunUrl(model);
+    const headers = turbo ? createCloudflareHeaders(apiKey) : { ...createCloudflareHeaders(apiKey), 'Content-Type': input.mime };
+    const body = turbo
+      ? { audio: input.audio.toString('base64'), task: input.translate ? 'translate' : 'transcribe', language: input.language }
+      : input.audio;
+
+    const response = await this.makeRequest(url, headers, body, input);
+
+    if (!response.ok) {
+      await this.handleErrorResponse(response, model);
+    }
+
+    const { result } = (await response.json()) as CloudflareTranscriptionResponse;
+
+    return {
+      text: result.text,
+      language: result.transcription_info?.language ?? null,
+      duration: result.transcription_info?.duration ?? null,
+      segments: (result.segments || []).map(({ start, end, text }) => ({ start, end, text })),
+      headers: response.headers,
+    };
+  }
+
+  /**
+   * Workers AI runs MeloTTS through the model URL
+   */
+  supportsSpeech(): boolean {
+    return true;
+  }
+
+  /**
+   * Synthesize speech with MeloTTS, which takes a language code as the voice and no speed
+   * It answers with base64 MP3 in JSON, or with raw audio bytes
+   */
+  async speak(model: Model, input: SpeechInput): Promise<ProviderSpeechResponse> {
+    const apiKey = this.getApiKey(input);
+    const url = this.getRunUrl(model);
+    const headers = createCloudflareHeaders(apiKey);
+
+    const response = await this.makeRequest(url, headers, { prompt: input.text, lang: input.voice }, input);
+
+    if (!response.ok) {
+      await this.handleErrorResponse(response, model);
+    }
+
+    const speech = response.headers.get('content-type')?.includes('application/json')
+      ? { mime: 'audio/mpeg', audio: Buffer.from(((await response.json()) as CloudflareSpeechResponse).result.audio, 'base64') }
+      : await this.readSpeech(response, input.format);
+
+    return { ...speech, headers: response.headers };
+  }
+
+  /**
+   * Convert Workers AI stream events into normalized chunks
+   */
+  private async *parseStream(response: Response): AsyncGenerator<ProviderStreamChunk> {
+    for await (const event of this.readStreamEvents(response)) {
+      yield {
+        delta: typeof event.response === 'string' ? event.response : '',
+        finish_reason: null,
+        usage: event.usage ?? null,
+      };
+    }
+  }
 }
 
 export const cloudflareProvider = new CloudflareProvider();
@@ -1,7 +1,21 @@
-import { Model, ProviderInput, ProviderResponse, CohereResponse } from '../types';
+import {
+  Model,
+  ChatMessage,
+  ProviderInput,
+  ProviderResponse,
+  ProviderStreamChunk,
+  ProviderStreamResponse,
+  ProviderEmbeddingResponse,
+  EmbeddingInput,
+  CohereResponse,
+  CohereEmbedResponse,
+} from '../types';
 import { BaseProvider } from './base';
 import { createCohereHeaders } from '../utils/headers';
-import { PROVIDER_ENDPOINTS } from '../utils/constants';
+import { ProviderError } from '../utils/errors';
+import { PROVIDER_ENDPOINTS, PROVIDER_EMBEDDING_ENDPOINTS, PROVIDER_PROBE_ENDPOINTS } from '../utils/constants';
+import { toOpenAITools, toOpenAIToolCalls } from './tools';
+import { getTextContent, hasContentType, toOpenAIContent } from './content';
 
 /**
  * Cohere provider implementation
@@ -10,19 +24,74 @@ export class CohereProvider extends BaseProvider {
   protected readonly name = 'cohere';
   protected readonly envKey = 'COHERE_API_KEY';
 
-  async call(model: Model, input: ProviderInput): Promise<ProviderResponse> {
-    const apiKey = this.getApiKey();
-    const headers = createCohereHeaders(apiKey);
+  /**
+   * Probe with the model list
+   */
+  protected getProbeRequest(): { url: string; headers: Record<string, string> } {
+    return { url: PROVIDER_PROBE_ENDPOINTS.cohere, headers: createCohereHeaders(this.getApiKey()) };
+  }
+
+  /**
+   * Convert messages to v2 chat format (OpenAI-style tool calls and results)
+   */
+  private formatMessages(messages: ChatMessage[]): Array<Record<string, unknown>> {
+    return messages.map((msg) => {
+      if (msg.role === 'tool') {
+        return { role: 'tool', tool_call_id: msg.tool_call_id, content: getTextContent(msg.content) };
+      }
+
+      if (msg.tool_calls && msg.tool_calls.length > 0) {
+        return {
+          role: 'assistant',
+          tool_plan: getTextContent(msg.content) || undefined,
+          tool_calls: toOpenAIToolCalls(msg.tool_calls),
+        };
+      }
+
+      // Vision models take OpenAI-style image_url parts
+      return { role: msg.role, content: toOpenAIContent(msg.content) };
+    });
+  }
+
+  /**
+   * Cohere v2 enforces JSON output with response_format json_schema
+   */
+  protected supportsJsonSchema(): boolean {
+    return true;
+  }
+
+  /**
+   * Build the v2 chat request body
+   * Cohere only supports forcing (REQUIRED) or disabling (NONE) tool use
+   */
+  private buildRequestBody(model: Model, input: ProviderInput): Record<string, unknown> {
     const messages = this.getMessages(input);
+    if (hasContentType(messages, 'audio')) {
+      throw new ProviderError(this.name, 'cohere does not accept audio input', model.id);
+    }
 
-    const body = {
+    const hasTools = Boolean(input.tools && input.tools.length > 0);
+    const schema = this.getJsonSchema(input);
+    const toolChoice = input.tool_choice === 'none' ? 'NONE' : input.tool_choice && input.tool_choice !== 'auto' ? 'REQUIRED' : undefined;
+
+    return {
       model: model.id,
-      messages,
+      messages: this.formatMessages(messages),
       temperature: this.getTemperature(input),
       max_tokens: this.getMaxTokens(input),
+      stop_sequences: input.stop,
+      tools: toOpenAITools(input.tools),
+      tool_choice: hasTools ? toolChoice : undefined,
+      response_format: schema ? { type: 'json_object', json_schema: schema } : undefined,
     };
+  }
+
+  async call(model: Model, input: ProviderInput): Promise<ProviderResponse> {
+    const apiKey = this.getApiKey(input);
+    const headers = createCohereHeaders(apiKey);
+    const body = this.buildRequestBody(model, input);
 
-    const response = await this.makeRequest(PROVIDER_ENDPOINTS.cohere, headers, body);
+    const response = await this.makeRequest(PROVIDER_ENDPOINTS.cohere, headers, body, input);
 
     if (!response.ok) {
       await this.handleErrorResponse(response, model);
@@ -35,6 +104,89 @@ export class CohereProvider extends BaseProvider {
       headers: response.headers,
     };
   }
+
+  /**
+   * Cohere v2 streams typed chat events
+   */
+  supportsStreaming(): boolean {
+    return true;
+  }
+
+  async stream(model: Model, input: ProviderInput): Promise<ProviderStreamResponse> {
+    const apiKey = this.getApiKey(input);
+    const headers = createCohereHeaders(apiKey);
+    const body = { ...this.buildRequestBody(model, input), stream: true };
+
+    const response = await this.makeRequest(PROVIDER_ENDPOINTS.cohere, headers, body, input);
+
+    if (!response.ok) {
+      await this.handleErrorResponse(response, model);
+    }
+
+    return {
+      chunks: this.parseStream(response),
+      headers: response.headers,
+    };
+  }
+
+  /**
+   * Cohere embeds with the v2 embed endpoint
+   */
+  supportsEmbeddings(): boolean {
+    return true;
+  }
+
+  /**
+   * Embed texts as float vectors
+   * v3 models require an input_type, so texts are embedded as documents unless marked as queries
+   */
+  async embed(model: Model, input: EmbeddingInput): Promise<ProviderEmbeddingResponse> {
+    const apiKey = this.getApiKey(input);
+    const headers = createCohereHeaders(apiKey);
+    const body = {
+      model: model.id,
+      texts: input.texts,
+      input_type: input.input_type === 'query' ? 'search_query' : 'search_document',
+      embedding_types: ['float'],
+    };
+
+    const response = await this.makeRequest(PROVIDER_EMBEDDING_ENDPOINTS.cohere, headers, body, input);
+
+    if (!response.ok) {
+      await this.handleErrorResponse(response, model);
+    }
+
+    const data = (await response.json()) as CohereEmbedResponse;
+
+    return {
+      embeddings: data.embeddings.float || [],
+      usage: this.toEmbeddingUsage(data.meta?.billed_units?.input_tokens),
+      headers: response.headers,
+    };
+  }
+
+  /**
+   * Convert v2 chat stream events into normalized chunks
+   */
+  private async *parseStream(response: Response): AsyncGenerator<ProviderStreamChunk> {
+    for await (const event of this.readStreamEvents(response)) {
+      const delta = (event.delta || {}) as Record<string, unknown>;
+
+      if (event.type === 'content-delta') {
+        const message = (delta.message || {}) as Record<string, unknown>;
+        const content = (message.content || {}) as Record<string, unknown>;
+        if (typeof content.text === 'string') {
+          yield { delta: content.text };
+        }
+      } else if (event.type === 'message-end') {
+        yield {
+          delta: '',
+          finish_reason: (delta.finish_reason as string | undefined) ?? null,
+          usage: delta.usage ?? null,
+        };
+      }
+    }
+  }
 }
 
 export const cohereProvider = new CohereProvider();
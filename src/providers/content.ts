@@ -0,0 +1,98 @@
+import { ChatMessage, ContentPart, ImageContentPart } from '../types';
+
+/**
+ * Default media type for base64 images sent without one
+ */
+export const DEFAULT_IMAGE_MEDIA_TYPE = 'image/png';
+
+/**
+ * Default format for base64 audio sent without one
+ */
+const DEFAULT_AUDIO_FORMAT = 'wav';
+
+/**
+ * Normalize message content to an array of parts
+ */
+export function toContentParts(content: string | ContentPart[]): ContentPart[] {
+  return typeof content === 'string' ? [{ type: 'text', text: content }] : content;
+}
+
+/**
+ * Flatten message content to its text, dropping media parts
+ */
+export function getTextContent(content: string | ContentPart[]): string {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  return content
+    .filter((part) => part.type === 'text')
+    .map((part) => (part.type === 'text' ? part.text : ''))
+    .join('');
+}
+
+/**
+ * Check whether any message contains a part of the given type
+ */
+export function hasContentType(messages: ChatMessage[] | undefined, type: ContentPart['type']): boolean {
+  return (messages || []).some((msg) => Array.isArray(msg.content) && msg.content.some((part) => part.type === type));
+}
+
+/**
+ * Split a base64 data URL into media type and data
+ */
+export function parseDataUrl(url: string): { media_type: string; data: string } | null {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(url);
+  if (!match) {
+    return null;
+  }
+  return { media_type: match[1], data: match[2] };
+}
+
+/**
+ * Get base64 image data from a part, decoding data URLs
+ * Returns null for remote URLs
+ */
+export function getImageData(part: ImageContentPart): { media_type: string; data: string } | null {
+  if (part.data) {
+    return { media_type: part.media_type || DEFAULT_IMAGE_MEDIA_TYPE, data: part.data };
+  }
+  return part.url ? parseDataUrl(part.url) : null;
+}
+
+/**
+ * Get a URL for an image part (remote URL or data URL)
+ */
+export function getImageUrl(part: ImageContentPart): string {
+  if (part.url) {
+    return part.url;
+  }
+  return `data:${part.media_type || DEFAULT_IMAGE_MEDIA_TYPE};base64,${part.data || ''}`;
+}
+
+/**
+ * Get the audio format of an audio part (wav, mp3, ...)
+ */
+export function getAudioFormat(format: string | undefined): string {
+  return format || DEFAULT_AUDIO_FORMAT;
+}
+
+/**
+ * Convert message content to OpenAI format: a string, or text/image_url/input_audio parts
+ */
+export function toOpenAIContent(content: string | ContentPart[]): string | Record<string, unknown>[] {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  return content.map((part) => {
+    switch (part.type) {
+      case 'image':
+        return { type: 'image_url', image_url: { url: getImageUrl(part) } };
+      case 'audio':
+        return { type: 'input_audio', input_audio: { data: part.data, format: getAudioFormat(part.format) } };
+      default:
+        return { type: 'text', text: part.text };
+    }
+  });
+}
@@ -1,7 +1,62 @@
-import { Model, ProviderInput, ProviderResponse, GeminiResponse } from '../types';
+import {
+  Model,
+  ChatMessage,
+  ContentPart,
+  ToolChoice,
+  ProviderInput,
+  ProviderResponse,
+  ProviderStreamChunk,
+  ProviderStreamResponse,
+  ProviderEmbeddingResponse,
+  EmbeddingInput,
+  ProviderImageResponse,
+  ImageGenerationInput,
+  GeminiResponse,
+  GeminiEmbedResponse,
+} from '../types';
 import { BaseProvider } from './base';
 import { createGeminiHeaders } from '../utils/headers';
-import { PROVIDER_ENDPOINTS } from '../utils/constants';
+import { PROVIDER_ENDPOINTS, PROVIDER_PROBE_ENDPOINTS } from '../utils/constants';
+import { DEFAULT_IMAGE_MEDIA_TYPE, getAudioFormat, getImageData, getTextContent, toContentParts } from './content';
+import { normalizeUsage } from './normalize';
+
+/**
+ * JSON schema keywords supported by Gemini responseSchema (an OpenAPI subset)
+ */
+const GEMINI_SCHEMA_KEYS = ['description', 'format', 'enum', 'required', 'minItems', 'maxItems', 'minimum', 'maximum', 'nullable'];
+
+/**
+ * Convert a JSON schema to a Gemini responseSchema, dropping unsupported keywords
+ */
+function toGeminiSchema(schema: Record<string, unknown>): Record<string, unknown> {
+  const result: Record<string, unknown> = {};
+
+  for (const key of GEMINI_SCHEMA_KEYS) {
+    if (schema[key] !== undefined) result[key] = schema[key];
+  }
+
+  // Nullable unions like ["string", "null"] become a nullable type
+  const types = Array.isArray(schema.type) ? (schema.type as string[]) : schema.type ? [schema.type as string] : [];
+  const nonNull = types.filter((type) => type !== 'null');
+  if (nonNull.length > 0) result.type = nonNull[0].toUpperCase();
+  if (nonNull.length < types.length) result.nullable = true;
+
+  if (schema.properties && typeof schema.properties === 'object') {
+    result.properties = Object.fromEntries(
+      Object.entries(schema.properties as Record<string, Record<string, unknown>>).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+
+  if (schema.items && typeof schema.items === 'object') {
+    result.items = toGeminiSchema(schema.items as Record<string, unknown>);
+  }
+
+  if (Array.isArray(schema.anyOf)) {
+    result.anyOf = (schema.anyOf as Record<string, unknown>[]).map(toGeminiSchema);
+  }
+
+  return result;
+}
 
 /**
  * Gemini provider implementation
@@ -10,28 +65,132 @@ export class GeminiProvider extends BaseProvider {
   protected readonly name = 'gemini';
   protected readonly envKey = 'GEMINI_API_KEY';
 
-  async call(model: Model, input: ProviderInput): Promise<ProviderResponse> {
-    const apiKey = this.getApiKey();
-    const headers = createGeminiHeaders();
-    const messages = this.getMessages(input);
+  /**
+   * Gemini enforces JSON output with responseSchema
+   */
+  protected supportsJsonSchema(): boolean {
+    return true;
+  }
 
-    // Convert messages to Gemini format
-    const contents = messages.map((msg) => ({
-      role: msg.role === 'assistant' ? 'model' : 'user',
-      parts: [{ text: msg.content }],
-    }));
+  /**
+   * Probe with the model list (API key as query param)
+   */
+  protected getProbeRequest(): { url: string; headers: Record<string, string> } {
+    return { url: `${PROVIDER_PROBE_ENDPOINTS.gemini}&key=${this.getApiKey()}`, headers: createGeminiHeaders() };
+  }
 
-    const body = {
-      contents,
+  /**
+   * Convert a content part to a Gemini part
+   * Base64 media is sent as inlineData, remote image URLs as fileData
+   */
+  private formatPart(part: ContentPart): Record<string, unknown> {
+    switch (part.type) {
+      case 'image': {
+        const image = getImageData(part);
+        if (image) {
+          return { inlineData: { mimeType: image.media_type, data: image.data } };
+        }
+        return { fileData: { mimeType: part.media_type || DEFAULT_IMAGE_MEDIA_TYPE, fileUri: part.url } };
+      }
+      case 'audio':
+        return { inlineData: { mimeType: `audio/${getAudioFormat(part.format)}`, data: part.data } };
+      default:
+        return { text: part.text };
+    }
+  }
+
+  /**
+   * Convert messages to Gemini contents
+   * Tool calls become functionCall parts, tool results functionResponse parts
+   */
+  private formatContents(messages: ChatMessage[]): Array<Record<string, unknown>> {
+    // functionResponse needs the function name, which tool messages may omit
+    const toolNames: Record<string, string> = {};
+    for (const msg of messages) {
+      for (const call of msg.tool_calls || []) {
+        toolNames[call.id] = call.name;
+      }
+    }
+
+    return messages.map((msg) => {
+      if (msg.role === 'tool') {
+        return {
+          role: 'user',
+          parts: [
+            {
+              functionResponse: {
+                name: msg.name || toolNames[msg.tool_call_id || ''] || '',
+                response: { content: getTextContent(msg.content) },
+              },
+            },
+          ],
+        };
+      }
+
+      const parts = msg.content ? toContentParts(msg.content).map((part) => this.formatPart(part)) : [];
+      for (const call of msg.tool_calls || []) {
+        parts.push({ functionCall: { name: call.name, args: call.arguments } });
+      }
+
+      return {
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts,
+      };
+    });
+  }
+
+  /**
+   * Convert a tool choice to a Gemini functionCallingConfig
+   */
+  private formatToolConfig(choice: ToolChoice | undefined): Record<string, unknown> | undefined {
+    if (!choice) return undefined;
+    if (choice === 'auto') return { functionCallingConfig: { mode: 'AUTO' } };
+    if (choice === 'none') return { functionCallingConfig: { mode: 'NONE' } };
+    if (choice === 'required') return { functionCallingConfig: { mode: 'ANY' } };
+    return { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [choice.name] } };
+  }
+
+  /**
+   * Build the generateContent request body
+   */
+  private buildRequestBody(input: ProviderInput): Record<string, unknown> {
+    const messages = this.getMessages(input);
+    const hasTools = Boolean(input.tools && input.tools.length > 0);
+    const schema = this.getJsonSchema(input);
+
+    return {
+      contents: this.formatContents(messages),
       generationConfig: {
         temperature: this.getTemperature(input),
         maxOutputTokens: this.getMaxTokens(input),
+        stopSequences: input.stop,
+        responseMimeType: schema ? 'application/json' : undefined,
+        responseSchema: schema ? toGeminiSchema(schema) : undefined,
       },
+      tools: hasTools
+        ? [
+            {
+              functionDeclarations: input.tools!.map((tool) => ({
+                name: tool.name,
+                description: tool.description,
+                // Gemini rejects empty object schemas, so omit missing parameters
+                parameters: tool.parameters,
+              })),
+            },
+          ]
+        : undefined,
+      toolConfig: hasTools ? this.formatToolConfig(input.tool_choice) : undefined,
     };
+  }
+
+  async call(model: Model, input: ProviderInput): Promise<ProviderResponse> {
+    const apiKey = this.getApiKey(input);
+    const headers = createGeminiHeaders();
+    const body = this.buildRequestBody(input);
 
     // Gemini uses query param for API key
     const url = `${PROVIDER_ENDPOINTS.gemini}/${model.id}:generateContent?key=${apiKey}`;
-    const response = await this.makeRequest(url, headers, body);
+    const response = await this.makeRequest(url, headers, body, input);
 
     if (!response.ok) {
       await this.handleErrorResponse(response, model);
@@ -44,6 +203,124 @@ export class GeminiProvider extends BaseProvider {
       headers: response.headers,
     };
   }
+
+  /**
+   * Gemini embeds with batchEmbedContents
+   */
+  supportsEmbeddings(): boolean {
+    return true;
+  }
+
+  /**
+   * Embed texts, one request per text in a single batch call
+   * Gemini reports no token usage for embeddings
+   */
+  async embed(model: Model, input: EmbeddingInput): Promise<ProviderEmbeddingResponse> {
+    const apiKey = this.getApiKey(input);
+    const headers = createGeminiHeaders();
+    const taskType = input.input_type === 'query' ? 'RETRIEVAL_QUERY' : input.input_type === 'document' ? 'RETRIEVAL_DOCUMENT' : undefined;
+    const body = {
+      requests: input.texts.map((text) => ({
+        model: `models/${model.id}`,
+        content: { parts: [{ text }] },
+        taskType,
+      })),
+    };
+
+    const url = `${PROVIDER_ENDPOINTS.gemini}/${model.id}:batchEmbedContents?key=${apiKey}`;
+    const response = await this.makeRequest(url, headers, body, input);
+
+    if (!response.ok) {
+      await this.handleErrorResponse(response, model);
+    }
+
+    const data = (await response.json()) as GeminiEmbedResponse;
+
+    return {
+      embeddings: data.embeddings.map((embedding) => embedding.values),
+      usage: null,
+      headers: response.headers,
+    };
+  }
+
+  /**
+   * Gemini image models generate through generateContent with image output enabled
+   */
+  supportsImageGeneration(): boolean {
+    return true;
+  }
+
+  /**
+   * Generate images; they come back as inlineData parts, possibly next to text parts
+   */
+  async generateImage(model: Model, input: ImageGenerationInput): Promise<ProviderImageResponse> {
+    const apiKey = this.getApiKey(input);
+    const headers = createGeminiHeaders();
+    const body = {
+      contents: [{ role: 'user', parts: [{ text: input.prompt }] }],
+      generationConfig: { responseModalities: ['TEXT', 'IMAGE'] },
+    };
+
+    const url = `${PROVIDER_ENDPOINTS.gemini}/${model.id}:generateContent?key=${apiKey}`;
+    const response = await this.makeRequest(url, headers, body, input);
+
+    if (!response.ok) {
+      await this.handleErrorResponse(response, model);
+    }
+
+    const data = (await response.json()) as GeminiResponse;
+    const parts = data.candidates?.[0]?.content?.parts || [];
+
+    return {
+      images: parts.flatMap((part) => (part.inlineData ? [{ mime: part.inlineData.mimeType, base64: part.inlineData.data }] : [])),
+      text: parts.map((part) => part.text || '').join(''),
+      usage: normalizeUsage(data.usageMetadata),
+      headers: response.headers,
+    };
+  }
+
+  /**
+   * Gemini streams GenerateContentResponse chunks when alt=sse is set
+   */
+  supportsStreaming(): boolean {
+    return true;
+  }
+
+  async stream(model: Model, input: ProviderInput): Promise<ProviderStreamResponse> {
+    const apiKey = this.getApiKey(input);
+    const headers = createGeminiHeaders();
+    const body = this.buildRequestBody(input);
+
+    const url = `${PROVIDER_ENDPOINTS.gemini}/${model.id}:streamGenerateContent?alt=sse&key=${apiKey}`;
+    const response = await this.makeRequest(url, headers, body, input);
+
+    if (!response.ok) {
+      await this.handleErrorResponse(response, model);
+    }
+
+    return {
+      chunks: this.parseStream(response),
+      headers: response.headers,
+    };
+  }
+
+  /**
+   * Convert GenerateContentResponse chunks into normalized chunks
+   */
+  private async *parseStream(response: Response): AsyncGenerator<ProviderStreamChunk> {
+    for await (const event of this.readStreamEvents(response)) {
+      const chunk = event as GeminiResponse;
+      const candidate = chunk.candidates?.[0];
+      const text = (candidate?.content?.parts || []).map((part) => part.text || '').join('');
+
+      yield {
+        delta: text,
+        finish_reason: candidate?.finishReason ?? null,
+        // usageMetadata is cumulative, the last chunk carries the totals
+        usage: chunk.usageMetadata ?? null,
+      };
+    }
+  }
 }
 
 export const geminiProvider = new GeminiProvider();
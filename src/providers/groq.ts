@@ -1,3 +1,4 @@
+import { ProviderInput } from '../types';
 import { OpenAICompatibleProvider } from './openaiCompatible';
 import { PROVIDER_ENDPOINTS } from '../utils/constants';
 
@@ -8,6 +9,18 @@ export class GroqProvider extends OpenAICompatibleProvider {
   protected readonly name = 'groq';
   protected readonly envKey = 'GROQ_API_KEY';
   protected readonly endpoint = PROVIDER_ENDPOINTS.groq;
+
+  /**
+   * Groq only enforces json_schema on a few models, so JSON mode plus
+   * schema instructions is used for all of them
+   */
+  protected supportsJsonSchema(): boolean {
+    return false;
+  }
+
+  protected formatResponseFormat(input: ProviderInput): Record<string, unknown> | undefined {
+    return this.getJsonSchema(input) ? { type: 'json_object' } : undefined;
+  }
 }
 
 export const groqProvider = new GroqProvider();
@@ -1,7 +1,32 @@
-import { Model, ProviderInput, ProviderResponse, HuggingFaceResponse } from '../types';
+import {
+  Model,
+  ImageContentPart,
+  ProviderInput,
+  ProviderResponse,
+  ProviderEmbeddingResponse,
+  EmbeddingInput,
+  ProviderImageResponse,
+  ImageGenerationInput,
+  HuggingFaceResponse,
+} from '../types';
 import { BaseProvider } from './base';
 import { createHuggingFaceHeaders } from '../utils/headers';
-import { PROVIDER_ENDPOINTS } from '../utils/constants';
+import { ProviderError } from '../utils/errors';
+import { PROVIDER_ENDPOINTS, PROVIDER_PROBE_ENDPOINTS } from '../utils/constants';
+import { getImageData, getTextContent, hasContentType } from './content';
+
+/**
+ * Average token vectors into a single vector
+ */
+function meanPool(tokens: number[][]): number[] {
+  const pooled = new Array<number>(tokens[0].length).fill(0);
+  for (const token of tokens) {
+    token.forEach((value, i) => {
+      pooled[i] += value / tokens.length;
+    });
+  }
+  return pooled;
+}
 
 /**
  * HuggingFace Inference API provider implementation
@@ -10,22 +35,52 @@ export class HuggingFaceProvider extends BaseProvider {
   protected readonly name = 'huggingface';
   protected readonly envKey = 'HUGGINGFACE_API_KEY';
 
+  /**
+   * Probe with the token's account info
+   */
+  protected getProbeRequest(): { url: string; headers: Record<string, string> } {
+    return { url: PROVIDER_PROBE_ENDPOINTS.huggingface, headers: createHuggingFaceHeaders(this.getApiKey()) };
+  }
+
   async call(model: Model, input: ProviderInput): Promise<ProviderResponse> {
-    const apiKey = this.getApiKey();
+    const apiKey = this.getApiKey(input);
     const headers = createHuggingFaceHeaders(apiKey);
 
     // HuggingFace uses a simpler format
-    const prompt = input.input || input.prompt || '';
+    const messages = this.getMessages(input);
+    const last = messages[messages.length - 1];
+    const text = input.input || input.prompt || (last ? getTextContent(last.content) : '');
+    const instructions = this.getJsonInstructions(input);
+    const prompt = instructions ? `${instructions}\n\n${text}` : text;
+
+    if (hasContentType(messages, 'audio')) {
+      throw new ProviderError(this.name, 'huggingface does not accept audio input', model.id);
+    }
+
+    // Vision models take a visual question answering payload: base64 image plus question
+    const image = Array.isArray(last?.content)
+      ? last.content.find((part): part is ImageContentPart => part.type === 'image')
+      : undefined;
+    let inputs: unknown = prompt;
+    if (image) {
+      const data = getImageData(image);
+      if (!data) {
+        throw new ProviderError(this.name, 'huggingface requires base64 image data, not a remote URL', model.id);
+      }
+      inputs = { image: data.data, question: prompt };
+    }
+
     const body = {
-      inputs: prompt,
+      inputs,
       parameters: {
         temperature: this.getTemperature(input),
         max_new_tokens: this.getMaxTokens(input),
+        stop: input.stop,
       },
     };
 
     const url = `${PROVIDER_ENDPOINTS.huggingface}/${model.id}`;
-    const response = await this.makeRequest(url, headers, body);
+    const response = await this.makeRequest(url, headers, body, input);
 
     if (!response.ok) {
       await this.handleErrorResponse(response, model);
@@ -38,6 +93,68 @@ export class HuggingFaceProvider extends BaseProvider {
       headers: response.headers,
     };
   }
+
+  /**
+   * Sentence embedding models run as feature extraction
+   */
+  supportsEmbeddings(): boolean {
+    return true;
+  }
+
+  /**
+   * Embed texts with the feature extraction pipeline
+   * Models that return one vector per token are mean-pooled to one vector per text
+   */
+  async embed(model: Model, input: EmbeddingInput): Promise<ProviderEmbeddingResponse> {
+    const apiKey = this.getApiKey(input);
+    const headers = createHuggingFaceHeaders(apiKey);
+    const body = { inputs: input.texts, options: { wait_for_model: true } };
+
+    const url = `${PROVIDER_ENDPOINTS.huggingface}/${model.id}`;
+    const response = await this.makeRequest(url, headers, body, input);
+
+    if (!response.ok) {
+      await this.handleErrorResponse(response, model);
+    }
+
+    const data = (await response.json()) as Array<number[] | number[][]>;
+
+    return {
+      embeddings: data.map((vector) => (Array.isArray(vector[0]) ? meanPool(vector as number[][]) : (vector as number[]))),
+      usage: null,
+      headers: response.headers,
+    };
+  }
+
+  /**
+   * Text-to-image models answer with raw image bytes
+   */
+  supportsImageGeneration(): boolean {
+    return true;
+  }
+
+  /**
+   * Generate an image with the text-to-image pipeline
+   */
+  async generateImage(model: Model, input: ImageGenerationInput): Promise<ProviderImageResponse> {
+    const apiKey = this.getApiKey(input);
+    const headers = createHuggingFaceHeaders(apiKey);
+    const body = { inputs: input.prompt, options: { wait_for_model: true } };
+
+    const url = `${PROVIDER_ENDPOINTS.huggingface}/${model.id}`;
+    const response = await this.makeRequest(url, headers, body, input);
+
+    if (!response.ok) {
+      await this.handleErrorResponse(response, model);
+    }
+
+    return {
+      images: [await this.readImage(response)],
+      text: '',
+      usage: null,
+      headers: response.headers,
+    };
+  }
 }
 
 export const huggingfaceProvider = new HuggingFaceProvider();
@@ -18,4 +18,29 @@ export { huggingfaceProvider, HuggingFaceProvider } from './huggingface';
 export { puterProvider, PuterProvider, getPuterCredits } from './puter';
 
 // Router
-export { getProvider, callProvider, extractContent } from './router';
+export {
+  getProvider,
+  callProvider,
+  streamProvider,
+  embedProvider,
+  generateImageProvider,
+  transcribeProvider,
+  speakProvider,
+  getModelKeyIds,
+  getModelPoolKeyIds,
+  getModelSpeechFormats,
+} from './router';
+
+// Response normalization
+export {
+  normalizeResponse,
+  normalizeUsage,
+  normalizeFinishReason,
+  extractContent,
+} from './normalize';
+
+// Content helpers
+export { getTextContent, hasContentType, parseDataUrl, getAudioFormat } from './content';
+
+// Tool call helpers
+export { fromOpenAIToolCalls, toOpenAIToolCalls } from './tools';
@@ -1,3 +1,4 @@
+import { Model, ProviderInput } from '../types';
 import { OpenAICompatibleProvider } from './openaiCompatible';
 import { PROVIDER_ENDPOINTS } from '../utils/constants';
 
@@ -8,6 +9,16 @@ export class MistralProvider extends OpenAICompatibleProvider {
   protected readonly name = 'mistral';
   protected readonly envKey = 'MISTRAL_API_KEY';
   protected readonly endpoint = PROVIDER_ENDPOINTS.mistral;
+
+  /**
+   * Mistral rejects stream_options but reports usage on the final chunk
+   */
+  protected buildStreamRequestBody(model: Model, input: ProviderInput): Record<string, unknown> {
+    return {
+      ...this.buildRequestBody(model, input),
+      stream: true,
+    };
+  }
 }
 
 export const mistralProvider = new MistralProvider();
@@ -0,0 +1,249 @@
+import { ExtractedContent, NormalizedResponse, NormalizedUsage, ToolCall } from '../types';
+import { createToolCallId, fromOpenAIToolCalls } from './tools';
+
+type RawRecord = Record<string, unknown>;
+
+/**
+ * Provider finish reasons mapped to the normalized (OpenAI-style) set:
+ * stop, length, tool_calls, content_filter and error
+ */
+const FINISH_REASON_MAP: Record<string, string> = {
+  // OpenAI-compatible
+  stop: 'stop',
+  length: 'length',
+  tool_calls: 'tool_calls',
+  function_call: 'tool_calls',
+  content_filter: 'content_filter',
+  eos: 'stop',
+  eos_token: 'stop',
+  // Anthropic
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls',
+  refusal: 'content_filter',
+  // Gemini
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter',
+  PROHIBITED_CONTENT: 'content_filter',
+  SPII: 'content_filter',
+  MALFORMED_FUNCTION_CALL: 'error',
+  // Cohere
+  COMPLETE: 'stop',
+  STOP_SEQUENCE: 'stop',
+  TOOL_CALL: 'tool_calls',
+  ERROR: 'error',
+  TIMEOUT: 'error',
+};
+
+/**
+ * Map a provider-native finish reason to the normalized set
+ * Unknown reasons are passed through in lower case
+ */
+export function normalizeFinishReason(reason: unknown): string | null {
+  if (typeof reason !== 'string' || !reason) {
+    return null;
+  }
+  return FINISH_REASON_MAP[reason] || reason.toLowerCase();
+}
+
+/**
+ * Normalize a provider usage block (OpenAI, Anthropic, Gemini, Cohere or Cloudflare shape)
+ * Anthropic cache tokens count as input, Gemini thinking tokens as output
+ */
+export function normalizeUsage(raw: unknown): NormalizedUsage {
+  const usage = (raw || {}) as RawRecord;
+  const billed = (usage.billed_units || usage.tokens || {}) as RawRecord;
+
+  const anthropicInput =
+    usage.input_tokens !== undefined
+      ? Number(usage.input_tokens) + Number(usage.cache_creation_input_tokens ?? 0) + Number(usage.cache_read_input_tokens ?? 0)
+      : undefined;
+  const geminiOutput =
+    usage.candidatesTokenCount !== undefined || usage.thoughtsTokenCount !== undefined
+      ? Number(usage.candidatesTokenCount ?? 0) + Number(usage.thoughtsTokenCount ?? 0)
+      : undefined;
+
+  const input = Number(usage.prompt_tokens ?? anthropicInput ?? usage.promptTokenCount ?? billed.input_tokens ?? 0);
+  const output = Number(usage.completion_tokens ?? usage.output_tokens ?? geminiOutput ?? billed.output_tokens ?? 0);
+  const total = Number(usage.total_tokens ?? usage.totalTokenCount ?? input + output);
+
+  return {
+    input_tokens: input,
+    output_tokens: output,
+    total_tokens: total,
+  };
+}
+
+/**
+ * Join the text parts of a content array, skipping reasoning and media parts
+ */
+function joinTextParts(parts: unknown): string {
+  if (typeof parts === 'string') return parts;
+  if (!Array.isArray(parts)) return '';
+
+  return (parts as RawRecord[])
+    .filter((part) => part && (part.type === undefined || part.type === 'text') && !part.thought)
+    .map((part) => (typeof part.text === 'string' ? part.text : ''))
+    .join('');
+}
+
+/**
+ * Build a normalized response, taking the first candidate as the primary text
+ */
+function buildResponse(
+  candidates: string[],
+  toolCalls: ToolCall[],
+  finishReason: unknown,
+  usage: unknown,
+  modelReported: unknown
+): NormalizedResponse {
+  return {
+    text: candidates[0] ?? '',
+    candidates,
+    tool_calls: toolCalls,
+    finish_reason: normalizeFinishReason(finishReason),
+    usage: normalizeUsage(usage),
+    model_reported: typeof modelReported === 'string' ? modelReported : null,
+  };
+}
+
+/**
+ * OpenAI-compatible chat completion (Groq, Mistral, Cerebras, ..., Puter)
+ */
+function normalizeOpenAI(res: RawRecord): NormalizedResponse {
+  const choices = res.choices as RawRecord[];
+  const messages = choices.map((choice) => (choice.message || {}) as RawRecord);
+
+  return buildResponse(
+    messages.map((message) => joinTextParts(message.content)),
+    fromOpenAIToolCalls(messages[0]?.tool_calls),
+    choices[0]?.finish_reason,
+    res.usage ?? (res.x_groq as RawRecord | undefined)?.usage,
+    res.model
+  );
+}
+
+/**
+ * Anthropic Messages API (text blocks may be interleaved with tool_use blocks)
+ */
+function normalizeAnthropic(res: RawRecord): NormalizedResponse {
+  const blocks = res.content as RawRecord[];
+  const toolCalls = blocks
+    .filter((block) => block.type === 'tool_use')
+    .map((block) => ({
+      id: String(block.id || createToolCallId()),
+      name: String(block.name || ''),
+      arguments: (block.input || {}) as Record<string, unknown>,
+    }));
+
+  return buildResponse([joinTextParts(blocks)], toolCalls, res.stop_reason, res.usage, res.model);
+}
+
+/**
+ * Gemini generateContent (function calls carry no ID, thought parts are skipped)
+ * Gemini ends a turn that calls functions with STOP, so that is reported as tool_calls
+ */
+function normalizeGemini(res: RawRecord): NormalizedResponse {
+  const candidates = (res.candidates || []) as RawRecord[];
+  const partsOf = (candidate: RawRecord | undefined) =>
+    (((candidate?.content || {}) as RawRecord).parts || []) as RawRecord[];
+
+  const toolCalls = partsOf(candidates[0])
+    .filter((part) => part.functionCall)
+    .map((part) => {
+      const call = part.functionCall as RawRecord;
+      return {
+        id: createToolCallId(),
+        name: String(call.name || ''),
+        arguments: (call.args || {}) as Record<string, unknown>,
+      };
+    });
+
+  // A blocked prompt returns no candidates, only promptFeedback
+  const blocked = ((res.promptFeedback || {}) as RawRecord).blockReason ? 'SAFETY' : undefined;
+
+  const finishReason = candidates[0]?.finishReason ?? blocked;
+
+  return buildResponse(
+    candidates.map((candidate) => joinTextParts(partsOf(candidate))),
+    toolCalls,
+    toolCalls.length > 0 && finishReason === 'STOP' ? 'tool_calls' : finishReason,
+    res.usageMetadata,
+    res.modelVersion
+  );
+}
+
+/**
+ * Cohere v2 chat
+ */
+function normalizeCohere(res: RawRecord): NormalizedResponse {
+  const message = res.message as RawRecord;
+  return buildResponse([joinTextParts(message.content)], fromOpenAIToolCalls(message.tool_calls), res.finish_reason, res.usage, null);
+}
+
+/**
+ * Cloudflare Workers AI (response may be an object in JSON mode)
+ */
+function normalizeCloudflare(res: RawRecord): NormalizedResponse {
+  const result = res.result as RawRecord;
+  if (Array.isArray(result.choices)) {
+    return normalizeOpenAI(result);
+  }
+
+  const text = typeof result.response === 'string' ? result.response : result.response ? JSON.stringify(result.response) : '';
+  const toolCalls = Array.isArray(result.tool_calls)
+    ? (result.tool_calls as RawRecord[]).map((call) => ({
+        id: createToolCallId(),
+        name: String(call.name || ''),
+        arguments: (call.arguments || {}) as Record<string, unknown>,
+      }))
+    : [];
+
+  return buildResponse([text], toolCalls, null, result.usage, null);
+}
+
+/**
+ * HuggingFace Inference API: text generation or visual question answering, single or batched
+ */
+function normalizeHuggingFace(response: unknown): NormalizedResponse {
+  const items = (Array.isArray(response) ? response : [response]) as RawRecord[];
+  const candidates = items.map((item) => String(item?.generated_text ?? item?.answer ?? ''));
+  const details = (items[0]?.details || {}) as RawRecord;
+
+  return buildResponse(
+    candidates,
+    [],
+    details.finish_reason,
+    { output_tokens: details.generated_tokens },
+    null
+  );
+}
+
+/**
+ * Normalize any provider response to text, tool calls, finish reason, usage and reported model
+ */
+export function normalizeResponse(response: unknown): NormalizedResponse {
+  const res = (response || {}) as RawRecord;
+
+  if (Array.isArray(res.choices)) return normalizeOpenAI(res);
+  if (Array.isArray(res.content)) return normalizeAnthropic(res);
+  if (Array.isArray(res.candidates) || res.promptFeedback) return normalizeGemini(res);
+  if (res.message && typeof res.message === 'object') return normalizeCohere(res);
+  if (res.result && typeof res.result === 'object') return normalizeCloudflare(res);
+  if (Array.isArray(response) || res.generated_text !== undefined) return normalizeHuggingFace(response);
+
+  // Unknown shape - keep the raw payload visible as text
+  return buildResponse([typeof response === 'string' ? response : JSON.stringify(response)], [], null, null, null);
+}
+
+/**
+ * Extract text and tool calls from provider response
+ */
+export function extractContent(response: unknown): ExtractedContent {
+  const normalized = normalizeResponse(response);
+  return { text: normalized.text, tool_calls: normalized.tool_calls };
+}
@@ -1,6 +1,35 @@
-import { Model, ProviderInput, ProviderResponse, OpenAICompatibleResponse } from '../types';
+import {
+  Model,
+  ChatMessage,
+  ProviderInput,
+  ProviderResponse,
+  ProviderStreamChunk,
+  ProviderStreamResponse,
+  ProviderEmbeddingResponse,
+  EmbeddingInput,
+  ProviderImageResponse,
+  ImageGenerationInput,
+  ProviderTranscriptionResponse,
+  TranscriptionInput,
+  ProviderSpeechResponse,
+  SpeechInput,
+  OpenAICompatibleResponse,
+  OpenAICompatibleEmbeddingResponse,
+  OpenAIImageResponse,
+  OpenAITranscriptionResponse,
+} from '../types';
 import { BaseProvider } from './base';
 import { createOpenAIHeaders } from '../utils/headers';
+import {
+  PROVIDER_EMBEDDING_ENDPOINTS,
+  PROVIDER_IMAGE_ENDPOINTS,
+  PROVIDER_PROBE_ENDPOINTS,
+  PROVIDER_SPEECH_ENDPOINTS,
+  PROVIDER_TRANSCRIPTION_ENDPOINTS,
+} from '../utils/constants';
+import { toOpenAITools, toOpenAIToolChoice, toOpenAIToolCalls } from './tools';
+import { getTextContent, toOpenAIContent } from './content';
+import { normalizeUsage } from './normalize';
 
 /**
  * Base class for OpenAI-compatible providers
@@ -25,6 +54,54 @@ export abstract class OpenAICompatibleProvider extends BaseProvider {
     return createOpenAIHeaders(apiKey);
   }
 
+  /**
+   * Probe with the model list (OpenRouter: key info)
+   */
+  protected getProbeRequest(): { url: string; headers: Record<string, string> } | null {
+    const url = PROVIDER_PROBE_ENDPOINTS[this.name];
+    return url ? { url, headers: this.getHeaders(this.getApiKey()) } : null;
+  }
+
+  /**
+   * Convert messages to OpenAI format (content parts, tool calls and tool results included)
+   */
+  protected formatMessages(messages: ChatMessage[]): Record<string, unknown>[] {
+    return messages.map((msg) => {
+      if (msg.role === 'tool') {
+        return { role: 'tool', tool_call_id: msg.tool_call_id, content: getTextContent(msg.content) };
+      }
+
+      if (msg.tool_calls && msg.tool_calls.length > 0) {
+        return {
+          role: msg.role,
+          content: getTextContent(msg.content) || null,
+          tool_calls: toOpenAIToolCalls(msg.tool_calls),
+        };
+      }
+
+      return { role: msg.role, content: toOpenAIContent(msg.content) };
+    });
+  }
+
+  /**
+   * OpenAI-compatible APIs accept response_format json_schema
+   */
+  protected supportsJsonSchema(): boolean {
+    return true;
+  }
+
+  /**
+   * Build the response_format field for JSON output
+   * Can be overridden by subclasses with a narrower JSON mode
+   */
+  protected formatResponseFormat(input: ProviderInput): Record<string, unknown> | undefined {
+    const format = input.response_format;
+    if (format?.type !== 'json_schema') {
+      return undefined;
+    }
+    return { type: 'json_schema', json_schema: { name: format.name || 'response', schema: format.schema } };
+  }
+
   /**
    * Build the request body
    * Can be overridden by subclasses for custom body fields
@@ -32,9 +109,25 @@ export abstract class OpenAICompatibleProvider extends BaseProvider {
   protected buildRequestBody(model: Model, input: ProviderInput): Record<string, unknown> {
     return {
       model: this.getModelId(model),
-      messages: this.getMessages(input),
+      messages: this.formatMessages(this.getMessages(input)),
       temperature: this.getTemperature(input),
       max_tokens: this.getMaxTokens(input),
+      stop: input.stop,
+      tools: toOpenAITools(input.tools),
+      tool_choice: input.tools?.length ? toOpenAIToolChoice(input.tool_choice) : undefined,
+      response_format: this.formatResponseFormat(input),
+    };
+  }
+
+  /**
+   * Build the streaming request body
+   * Can be overridden by subclasses that reject stream_options
+   */
+  protected buildStreamRequestBody(model: Model, input: ProviderInput): Record<string, unknown> {
+    return {
+      ...this.buildRequestBody(model, input),
+      stream: true,
+      stream_options: { include_usage: true },
     };
   }
 
@@ -42,11 +135,11 @@ export abstract class OpenAICompatibleProvider extends BaseProvider {
    * Call the OpenAI-compatible API
    */
   async call(model: Model, input: ProviderInput): Promise<ProviderResponse> {
-    const apiKey = this.getApiKey();
+    const apiKey = this.getApiKey(input);
     const headers = this.getHeaders(apiKey);
     const body = this.buildRequestBody(model, input);
 
-    const response = await this.makeRequest(this.endpoint, headers, body);
+    const response = await this.makeRequest(this.endpoint, headers, body, input);
 
     if (!response.ok) {
       await this.handleErrorResponse(response, model);
@@ -59,4 +152,211 @@ export abstract class OpenAICompatibleProvider extends BaseProvider {
       headers: response.headers,
     };
   }
+
+  /**
+   * OpenAI-compatible APIs stream chat.completion.chunk events
+   */
+  supportsStreaming(): boolean {
+    return true;
+  }
+
+  /**
+   * Stream the OpenAI-compatible API
+   */
+  async stream(model: Model, input: ProviderInput): Promise<ProviderStreamResponse> {
+    const apiKey = this.getApiKey(input);
+    const headers = this.getHeaders(apiKey);
+    const body = this.buildStreamRequestBody(model, input);
+
+    const response = await this.makeRequest(this.endpoint, headers, body, input);
+
+    if (!response.ok) {
+      await this.handleErrorResponse(response, model);
+    }
+
+    return {
+      chunks: this.parseStream(response),
+      headers: response.headers,
+    };
+  }
+
+  /**
+   * Providers with an OpenAI-style embeddings endpoint (Mistral, GitHub, OpenAI)
+   */
+  supportsEmbeddings(): boolean {
+    return Boolean(PROVIDER_EMBEDDING_ENDPOINTS[this.name]);
+  }
+
+  /**
+   * Embed texts with the OpenAI-style embeddings endpoint
+   */
+  async embed(model: Model, input: EmbeddingInput): Promise<ProviderEmbeddingResponse> {
+    const endpoint = PROVIDER_EMBEDDING_ENDPOINTS[this.name];
+    if (!endpoint) {
+      return super.embed(model, input);
+    }
+
+    const apiKey = this.getApiKey(input);
+    const headers = this.getHeaders(apiKey);
+    const body = { model: this.getModelId(model), input: input.texts };
+
+    const response = await this.makeRequest(endpoint, headers, body, input);
+
+    if (!response.ok) {
+      await this.handleErrorResponse(response, model);
+    }
+
+    const data = (await response.json()) as OpenAICompatibleEmbeddingResponse;
+
+    return {
+      embeddings: [...data.data].sort((a, b) => a.index - b.index).map((item) => item.embedding),
+      usage: this.toEmbeddingUsage(data.usage?.prompt_tokens),
+      headers: response.headers,
+    };
+  }
+
+  /**
+   * Providers with an OpenAI-style images endpoint (OpenAI)
+   */
+  supportsImageGeneration(): boolean {
+    return Boolean(PROVIDER_IMAGE_ENDPOINTS[this.name]);
+  }
+
+  /**
+   * Generate an image with the OpenAI-style images endpoint
+   * gpt-image models return base64, dall-e models a hosted URL
+   */
+  async generateImage(model: Model, input: ImageGenerationInput): Promise<ProviderImageResponse> {
+    const endpoint = PROVIDER_IMAGE_ENDPOINTS[this.name];
+    if (!endpoint) {
+      return super.generateImage(model, input);
+    }
+
+    const apiKey = this.getApiKey(input);
+    const headers = this.getHeaders(apiKey);
+    const body = { model: this.getModelId(model), prompt: input.prompt, n: 1 };
+
+    const response = await this.makeRequest(endpoint, headers, body, input);
+
+    if (!response.ok) {
+      await this.handleErrorResponse(response, model);
+    }
+
+    const data = (await response.json()) as OpenAIImageResponse;
+    const mime = `image/${data.output_format || 'png'}`;
+
+    return {
+      images: data.data.map((item) => (item.b64_json ? { mime, base64: item.b64_json } : { mime, url: item.url })),
+      text: '',
+      usage: data.usage ? normalizeUsage(data.usage) : null,
+      headers: response.headers,
+    };
+  }
+
+  /**
+   * Providers with OpenAI-style audio endpoints (Groq, OpenAI)
+   */
+  supportsTranscription(): boolean {
+    return Boolean(PROVIDER_TRANSCRIPTION_ENDPOINTS[this.name]);
+  }
+
+  /**
+   * Transcribe or translate audio with a multipart upload
+   * verbose_json is always requested so segments are available for any output format
+   */
+  async transcribe(model: Model, input: TranscriptionInput): Promise<ProviderTranscriptionResponse> {
+    const endpoint = PROVIDER_TRANSCRIPTION_ENDPOINTS[this.name];
+    if (!endpoint) {
+      return super.transcribe(model, input);
+    }
+
+    const apiKey = this.getApiKey(input);
+    const headers = this.getHeaders(apiKey);
+    // fetch sets the multipart Content-Type with its boundary
+    delete headers['Content-Type'];
+
+    const form = new FormData();
+    form.append('file', new Blob([input.audio], { type: input.mime }), input.filename);
+    form.append('model', this.getModelId(model));
+    form.append('response_format', 'verbose_json');
+    // Translations always target English and take no language
+    if (input.language && !input.translate) {
+      form.append('language', input.language);
+    }
+
+    const url = `${endpoint}/${input.translate ? 'translations' : 'transcriptions'}`;
+    const response = await this.makeRequest(url, headers, form, input);
+
+    if (!response.ok) {
+      await this.handleErrorResponse(response, model);
+    }
+
+    const data = (await response.json()) as OpenAITranscriptionResponse;
+
+    return {
+      text: data.text,
+      language: data.language ?? null,
+      duration: data.duration ?? null,
+      segments: (data.segments || []).map(({ start, end, text }) => ({ start, end, text })),
+      headers: response.headers,
+    };
+  }
+
+  /**
+   * Providers with an OpenAI-style speech endpoint (Groq, OpenAI)
+   */
+  supportsSpeech(): boolean {
+    return Boolean(PROVIDER_SPEECH_ENDPOINTS[this.name]);
+  }
+
+  /**
+   * Synthesize speech; the endpoint answers with the raw audio bytes
+   */
+  async speak(model: Model, input: SpeechInput): Promise<ProviderSpeechResponse> {
+    const endpoint = PROVIDER_SPEECH_ENDPOINTS[this.name];
+    if (!endpoint) {
+      return super.speak(model, input);
+    }
+
+    const apiKey = this.getApiKey(input);
+    const headers = this.getHeaders(apiKey);
+    const body = {
+      model: this.getModelId(model),
+      input: input.text,
+      voice: input.voice,
+      response_format: input.format,
+      speed: input.speed,
+    };
+
+    const response = await this.makeRequest(endpoint, headers, body, input);
+
+    if (!response.ok) {
+      await this.handleErrorResponse(response, model);
+    }
+
+    return { ...(await this.readSpeech(response, input.format)), headers: response.headers };
+  }
+
+  /**
+   * Convert chat.completion.chunk events into normalized chunks
+   */
+  private async *parseStream(response: Response): AsyncGenerator<ProviderStreamChunk> {
+    for await (const event of this.readStreamEvents(response)) {
+      const choices = Array.isArray(event.choices) ? (event.choices as Array<Record<string, unknown>>) : [];
+      const choice = choices[0];
+      const delta = (choice?.delta || {}) as Record<string, unknown>;
+
+      // Groq reports streaming usage under x_groq
+      const groq = event.x_groq as Record<string, unknown> | undefined;
+      const usage = event.usage || groq?.usage || null;
+
+      if (!choice && !usage) continue;
+
+      yield {
+        delta: typeof delta.content === 'string' ? delta.content : '',
+        finish_reason: (choice?.finish_reason as string | null | undefined) ?? null,
+        usage,
+      };
+    }
+  }
 }
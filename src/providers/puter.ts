@@ -1,6 +1,7 @@
-import { Model, ProviderInput, ProviderResponse, OpenAICompatibleResponse } from '../types';
+import { Model, ProviderInput, ProviderResponse, ProviderImageResponse, ImageGenerationInput, OpenAICompatibleResponse } from '../types';
 import { BaseProvider } from './base';
 import { ProviderError } from '../utils/errors';
+import { DEFAULT_IMAGE_MEDIA_TYPE, getTextContent, parseDataUrl } from './content';
 
 // Declare Puter SDK types
 declare const puter: {
@@ -30,8 +31,17 @@ export class PuterProvider extends BaseProvider {
     return '';
   }
 
-  async call(model: Model, input: ProviderInput): Promise<ProviderResponse> {
-    // Check if Puter SDK is available
+  /**
+   * Puter is only available inside the Puter environment
+   */
+  isConfigured(): boolean {
+    return typeof puter !== 'undefined' && Boolean(puter.ai);
+  }
+
+  /**
+   * Get the Puter AI SDK, or throw outside the Puter environment
+   */
+  private getAi(model: Model): NonNullable<typeof puter.ai> {
     if (typeof puter === 'undefined' || !puter.ai) {
       throw new ProviderError(
         'puter',
@@ -39,21 +49,22 @@ export class PuterProvider extends BaseProvider {
         model.id
       );
     }
+    return puter.ai;
+  }
+
+  async call(model: Model, input: ProviderInput): Promise<ProviderResponse> {
+    const ai = this.getAi(model);
 
     const messages = this.getMessages(input);
-    const prompt = messages[messages.length - 1]?.content || '';
-
-    let result: string;
-
-    // Determine which Puter AI function to call based on model capabilities
-    if (model.capabilities?.images) {
-      result = await puter.ai.txt2img(prompt);
-    } else {
-      result = await puter.ai.chat(prompt, {
-        model: model.id,
-        temperature: this.getTemperature(input),
-      });
-    }
+    const last = messages[messages.length - 1];
+    const text = last ? getTextContent(last.content) : '';
+    const instructions = this.getJsonInstructions(input);
+    const prompt = instructions ? `${instructions}\n\n${text}` : text;
+
+    const result = await ai.chat(prompt, {
+      model: model.id,
+      temperature: this.getTemperature(input),
+    });
 
     // Wrap result in OpenAI-compatible format
     const data: OpenAICompatibleResponse = {
@@ -75,6 +86,29 @@ export class PuterProvider extends BaseProvider {
       headers: new Headers(), // Puter SDK doesn't provide headers
     };
   }
+
+  /**
+   * Puter generates images with txt2img
+   */
+  supportsImageGeneration(): boolean {
+    return true;
+  }
+
+  /**
+   * Generate an image; txt2img returns a data URL or a hosted image URL
+   */
+  async generateImage(model: Model, input: ImageGenerationInput): Promise<ProviderImageResponse> {
+    const ai = this.getAi(model);
+    const result = await ai.txt2img(input.prompt);
+    const data = parseDataUrl(result);
+
+    return {
+      images: [data ? { mime: data.media_type, base64: data.data } : { mime: DEFAULT_IMAGE_MEDIA_TYPE, url: result }],
+      text: '',
+      usage: null,
+      headers: new Headers(),
+    };
+  }
 }
 
 export const puterProvider = new PuterProvider();
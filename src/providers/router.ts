@@ -1,7 +1,37 @@
-import { Model, ProviderInput, RouteKey } from '../types';
-import { ProviderError } from '../utils/errors';
+import {
+  EmbeddingInput,
+  EmbeddingResult,
+  ImageGenerationInput,
+  ImageGenerationResult,
+  TranscriptionInput,
+  TranscriptionResult,
+  SpeechInput,
+  SpeechResult,
+  Model,
+  NormalizedUsage,
+  ProviderEmbeddingResponse,
+  ProviderInput,
+  ProviderStreamChunk,
+  RouteKey,
+} from '../types';
+import {
+  ClientClosedError,
+  ProviderError,
+  RateLimitError,
+  getRetryAfterSeconds,
+  isClientClosedError,
+  isRateLimitError,
+  isTimeoutError,
+  isProviderOutageError,
+} from '../utils/errors';
+import { DEFAULT_EMBEDDING_BATCH_SIZE, PROVIDER_EMBEDDING_BATCH_SIZES, PROVIDER_SPEECH_FORMATS } from '../utils/constants';
 import { healthService } from '../services/health';
+import { circuitBreakerService } from '../services/circuitBreaker';
 import { rateLimitService } from '../services/rateLimit';
+import { metricsService } from '../services/metrics';
+import { usageLedgerService } from '../services/ledger';
+import { keyPoolService } from '../services/keyPool';
+import { localLimiterService, estimatePromptTokens, estimateTextTokens } from '../services/limiter';
 import { BaseProvider } from './base';
 import { groqProvider } from './groq';
 import { mistralProvider } from './mistral';
@@ -16,6 +46,7 @@ import { cohereProvider } from './cohere';
 import { cloudflareProvider } from './cloudflare';
 import { huggingfaceProvider } from './huggingface';
 import { puterProvider } from './puter';
+import { normalizeResponse, normalizeFinishReason, normalizeUsage } from './normalize';
 
 /**
  * Provider registry mapping routes to providers
@@ -67,88 +98,455 @@ export function getProvider(route: RouteKey | string, company?: string): BasePro
   return provider;
 }
 
+/**
+ * Get the IDs of the pooled API keys a model's calls can use, or none for routes without keys
+ */
+export function getModelPoolKeyIds(model: Model): string[] {
+  try {
+    return getProvider(model.route || model.provider, model.company).getKeyIds();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Get the IDs of the API keys a model's calls are recorded under, or ['none'] for routes without keys
+ */
+export function getModelKeyIds(model: Model): string[] {
+  const keyIds = getModelPoolKeyIds(model);
+  return keyIds.length > 0 ? keyIds : ['none'];
+}
+
+/**
+ * Get the audio formats a model's provider can synthesize speech in, or none when it has no text-to-speech API
+ */
+export function getModelSpeechFormats(model: Model): string[] {
+  try {
+    const provider = getProvider(model.route || model.provider, model.company);
+    return provider.supportsSpeech() ? PROVIDER_SPEECH_FORMATS[provider.getName()] || [] : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * The key and start time of the current attempt of a provider call
+ */
+interface KeyAttempt {
+  key_id: string | undefined;
+  start_time: number;
+  /** Retries the provider sent after its first request, each using quota */
+  retries: number;
+  /** Whether the call is the trial call of the route's half-open circuit */
+  trial: boolean;
+}
+
+/**
+ * The pooled key a provider call is opened with, and the model it was chosen for
+ */
+interface KeyChoice {
+  api_key_pool: string;
+  api_key_id: string | undefined;
+  api_key_model_id: string;
+  on_retry: () => void;
+}
+
+/**
+ * Metrics error type for a failed call, matching /run's error_type
+ */
+function getMetricsErrorType(error: Error): string {
+  if (isTimeoutError(error)) return 'timeout';
+  return isRateLimitError(error) ? 'rate_limit_exceeded' : 'provider_error';
+}
+
+/**
+ * Record a finished provider call in health history, metrics and the usage ledger
+ * The ledger counts the call's retries as requests too; calls cancelled by the client
+ * say nothing about provider health and are only counted
+ */
+function recordHealth(route: string, modelId: string, attempt: KeyAttempt, failure: Error | null): void {
+  const latencyMs = Date.now() - attempt.start_time;
+  usageLedgerService.record(route, modelId, attempt.key_id || 'none', 1 + attempt.retries, 0);
+
+  if (failure && isClientClosedError(failure)) {
+    metricsService.recordRequest(route, modelId, 'cancelled');
+    return;
+  }
+
+  metricsService.recordRequest(route, modelId, failure ? 'error' : 'success', failure ? getMetricsErrorType(failure) : '');
+  metricsService.observeLatency(route, modelId, latencyMs);
+  healthService.recordCall(
+    route,
+    modelId,
+    !failure,
+    latencyMs,
+    failure?.message ?? null,
+    failure ? isTimeoutError(failure) : false,
+    attempt.key_id,
+    failure ? isProviderOutageError(failure) : false
+  );
+}
+
+/**
+ * Charge reported usage to the local limiter, token metrics and the usage ledger
+ */
+function recordUsage(route: string, modelId: string, attempt: KeyAttempt, estimatedTokens: number, usage: NormalizedUsage): void {
+  localLimiterService.settle(route, modelId, estimatedTokens, usage.total_tokens);
+  metricsService.recordTokens(route, modelId, usage.input_tokens, usage.output_tokens);
+  usageLedgerService.record(route, modelId, attempt.key_id || 'none', 0, usage.total_tokens);
+}
+
+/**
+ * Reject a call without dispatch when every key in the provider's pool is cooling down for the model
+ */
+function ensureKeyAvailable(route: string, model: Model, provider: BaseProvider): void {
+  const keyIds = provider.getKeyIds();
+  if (keyIds.length > 0 && !keyPoolService.hasAvailable(route, model.id, keyIds)) {
+    const waitSeconds = keyPoolService.getWaitSeconds(route, model.id, keyIds);
+    throw new RateLimitError(
+      provider.getName(),
+      `All ${keyIds.length} API key(s) for ${provider.getName()} are rate limited on ${model.id}: next frees up in ${waitSeconds}s`,
+      waitSeconds
+    );
+  }
+}
+
+/**
+ * Let a call through the route's circuit breaker, returning whether it is the half-open trial
+ * While a trial runs, other calls are rejected without dispatch
+ */
+function enterCircuit(route: string, model: Model, provider: BaseProvider): boolean {
+  if (circuitBreakerService.isTrialRunning(route)) {
+    throw new ProviderError(
+      provider.getName(),
+      `${provider.getName()} circuit is half-open and its trial call is still running`,
+      model.id
+    );
+  }
+  return circuitBreakerService.startTrial(route);
+}
+
+/**
+ * Open a provider call with a key from the provider's pool
+ * A rate limit or quota error puts the key on cooldown and the call is retried with
+ * the next available key. Attempts rotated away from are recorded here; the final
+ * attempt (tracked in attempt) is recorded by the caller
+ */
+async function openWithKeyRotation<T>(
+  route: string,
+  model: Model,
+  provider: BaseProvider,
+  attempt: KeyAttempt,
+  open: (key: KeyChoice) => Promise<T>
+): Promise<T> {
+  const keyIds = provider.getKeyIds();
+  const tried: string[] = [];
+
+  for (;;) {
+    attempt.key_id = keyIds.length > 0 ? keyPoolService.select(route, model.id, keyIds, tried) ?? undefined : undefined;
+    attempt.start_time = Date.now();
+    attempt.retries = 0;
+
+    try {
+      const result = await open({
+        api_key_pool: route,
+        api_key_id: attempt.key_id,
+        api_key_model_id: model.id,
+        on_retry: () => attempt.retries++,
+      });
+      if (attempt.key_id) keyPoolService.markSuccess(route, model.id, attempt.key_id);
+      return result;
+    } catch (error) {
+      const err = error as Error;
+      if (!attempt.key_id || !isRateLimitError(err)) {
+        throw err;
+      }
+
+      keyPoolService.markExhausted(route, model.id, attempt.key_id, getRetryAfterSeconds(err), err.message);
+      tried.push(attempt.key_id);
+      if (!keyPoolService.hasAvailable(route, model.id, keyIds, tried)) {
+        throw err;
+      }
+      recordHealth(route, model.id, attempt, err);
+    }
+  }
+}
+
+/**
+ * A provider call admitted past the local limiter, key pool and circuit breaker
+ */
+interface TrackedCall {
+  route: string;
+  model: Model;
+  provider: BaseProvider;
+  estimated_tokens: number;
+  attempt: KeyAttempt;
+}
+
+/**
+ * Admit a provider call: it needs an available API key and must pass the route's circuit
+ * breaker, then waits for local rate limit capacity (or is rejected without dispatch)
+ * The circuit is checked first so a rejected call takes no limiter capacity; a half-open
+ * trial claimed by a call the limiter then rejects is released again
+ */
+async function beginCall(model: Model, provider: BaseProvider, estimatedTokens: number, signal?: AbortSignal): Promise<TrackedCall> {
+  const route = model.route || model.provider;
+  ensureKeyAvailable(route, model, provider);
+  const trial = enterCircuit(route, model, provider);
+
+  try {
+    await localLimiterService.acquire(route, model, estimatedTokens, Math.max(1, provider.getKeyIds().length), signal);
+  } catch (error) {
+    if (trial) circuitBreakerService.endTrial(route);
+    throw error;
+  }
+
+  const attempt: KeyAttempt = { key_id: undefined, start_time: Date.now(), retries: 0, trial };
+  return { route, model, provider, estimated_tokens: estimatedTokens, attempt };
+}
+
+/**
+ * Open an admitted call with key rotation and cache the rate limit headers it answered with
+ */
+async function openCall<T extends { headers: Headers }>(call: TrackedCall, open: (key: KeyChoice) => Promise<T>): Promise<T> {
+  const result = await openWithKeyRotation(call.route, call.model, call.provider, call.attempt, open);
+
+  // Parse and cache rate limit headers
+  if (result.headers) {
+    rateLimitService.updateFromHeaders(call.route, call.model.id, result.headers, call.provider.getName(), call.attempt.key_id);
+  }
+  return result;
+}
+
+/**
+ * Record a finished call's health and release the circuit's half-open trial it held
+ */
+function endCall(call: TrackedCall, failure: Error | null): void {
+  recordHealth(call.route, call.model.id, call.attempt, failure);
+  if (call.attempt.trial) circuitBreakerService.endTrial(call.route);
+}
+
+/**
+ * Make one provider call with health/rate-limit tracking
+ * finish turns the provider's answer into the returned value and the usage to charge;
+ * throwing there fails the call like a provider error
+ */
+async function trackedCall<R extends { headers: Headers }, T>(
+  model: Model,
+  provider: BaseProvider,
+  estimatedTokens: number,
+  signal: AbortSignal | undefined,
+  open: (key: KeyChoice) => Promise<R>,
+  finish: (result: R) => { value: T; usage: NormalizedUsage }
+): Promise<T> {
+  const call = await beginCall(model, provider, estimatedTokens, signal);
+  let failure: Error | null = null;
+
+  try {
+    const { value, usage } = finish(await openCall(call, open));
+    recordUsage(call.route, model.id, call.attempt, estimatedTokens, usage);
+    return value;
+  } catch (error) {
+    failure = error as Error;
+    throw error;
+  } finally {
+    endCall(call, failure);
+  }
+}
+
 /**
  * Call a provider and handle health/rate-limit tracking
+ * The call first waits for local rate limit capacity and an available API key
+ * (or is rejected without dispatch)
  */
 export async function callProvider(model: Model, input: ProviderInput): Promise<unknown> {
-  const route = model.route || model.provider;
-  const startTime = Date.now();
-  let success = true;
-  let errorMessage: string | null = null;
+  const provider = getProvider(model.route || model.provider, model.company);
+  return trackedCall(
+    model,
+    provider,
+    estimatePromptTokens(input),
+    input.signal,
+    (key) => provider.call(model, { ...input, ...key }),
+    (result) => ({ value: result.data, usage: normalizeResponse(result.data).usage })
+  );
+}
+
+/**
+ * Stream a provider call as normalized chunks with health/rate-limit tracking
+ * Providers without native streaming, and requests with tools, yield the full response as one chunk.
+ * A consumer that stops before the stream ends cancels the call: it is recorded as cancelled
+ * rather than as a success, and charged the usage reported so far, else an estimate of the
+ * prompt and the text streamed.
+ */
+export async function* streamProvider(model: Model, input: ProviderInput): AsyncGenerator<ProviderStreamChunk> {
+  const provider = getProvider(model.route || model.provider, model.company);
+  const call = await beginCall(model, provider, estimatePromptTokens(input), input.signal);
+  let failure: Error | null = null;
+  let completed = false;
+  let opened = false;
+  let usage: unknown = null;
+  let streamedTokens = 0;
 
   try {
-    const provider = getProvider(route, model.company);
-    const result = await provider.call(model, input);
+    // Tool call arguments arrive fragmented when streamed, so tool requests use a single call
+    if (!provider.supportsStreaming() || (input.tools && input.tools.length > 0)) {
+      const result = await openCall(call, (key) => provider.call(model, { ...input, ...key }));
+      const normalized = normalizeResponse(result.data);
+      recordUsage(call.route, model.id, call.attempt, call.estimated_tokens, normalized.usage);
+      completed = true;
+      yield {
+        delta: normalized.text,
+        finish_reason: normalized.finish_reason,
+        usage: normalized.usage,
+        tool_calls: normalized.tool_calls.length > 0 ? normalized.tool_calls : undefined,
+      };
+      return;
+    }
 
-    // Parse and cache rate limit headers
-    if (result.headers) {
-      rateLimitService.updateFromHeaders(route, model.id, result.headers);
+    const result = await openCall(call, (key) => provider.stream(model, { ...input, ...key }));
+    opened = true;
+
+    for await (const chunk of result.chunks) {
+      if (chunk.usage) usage = chunk.usage;
+      if (chunk.delta) streamedTokens += estimateTextTokens(chunk.delta);
+      yield { ...chunk, finish_reason: normalizeFinishReason(chunk.finish_reason) };
     }
 
-    return result.data;
+    completed = true;
+    recordUsage(call.route, model.id, call.attempt, call.estimated_tokens, normalizeUsage(usage));
   } catch (error) {
-    success = false;
-    errorMessage = (error as Error).message;
+    failure = error as Error;
     throw error;
   } finally {
-    const latencyMs = Date.now() - startTime;
-    healthService.recordCall(route, model.id, success, latencyMs, errorMessage);
+    if (!completed) {
+      failure ??= new ClientClosedError();
+      if (opened) {
+        const consumed = usage
+          ? normalizeUsage(usage)
+          : {
+              input_tokens: call.estimated_tokens,
+              output_tokens: streamedTokens,
+              total_tokens: call.estimated_tokens + streamedTokens,
+            };
+        recordUsage(call.route, model.id, call.attempt, call.estimated_tokens, consumed);
+      }
+    }
+    endCall(call, failure);
   }
 }
 
 /**
- * Extract content from provider response
+ * Embed one batch of texts with health/rate-limit tracking
+ * Like callProvider, the call first waits for local rate limit capacity and an available API key
+ */
+function embedBatch(model: Model, provider: BaseProvider, input: EmbeddingInput): Promise<ProviderEmbeddingResponse> {
+  return trackedCall(
+    model,
+    provider,
+    estimatePromptTokens({ input: input.texts.join('\n') }),
+    input.signal,
+    (key) => provider.embed(model, { ...input, ...key }),
+    (result) => ({ value: result, usage: result.usage || normalizeUsage(null) })
+  );
+}
+
+/**
+ * Embed texts in batches of the provider's max batch size, one tracked call per batch
+ * Vectors are returned in input order and usage is summed across batches
  */
-export function extractContent(response: unknown): string {
-  const res = response as Record<string, unknown>;
+export async function embedProvider(model: Model, input: EmbeddingInput): Promise<EmbeddingResult> {
+  const provider = getProvider(model.route || model.provider, model.company);
+  if (!provider.supportsEmbeddings()) {
+    throw new ProviderError(provider.getName(), `${provider.getName()} does not support embeddings`, model.id);
+  }
 
-  // OpenAI-compatible format
-  if (res.choices && Array.isArray(res.choices) && res.choices.length > 0) {
-    const choice = res.choices[0] as Record<string, unknown>;
-    if (choice.message && typeof choice.message === 'object') {
-      const message = choice.message as Record<string, unknown>;
-      return String(message.content || '');
+  const batchSize = PROVIDER_EMBEDDING_BATCH_SIZES[provider.getName()] || DEFAULT_EMBEDDING_BATCH_SIZE;
+  const result: EmbeddingResult = { embeddings: [], usage: normalizeUsage(null), batches: 0 };
+
+  for (let start = 0; start < input.texts.length; start += batchSize) {
+    const texts = input.texts.slice(start, start + batchSize);
+    const batch = await embedBatch(model, provider, { ...input, texts });
+    if (batch.embeddings.length !== texts.length) {
+      throw new ProviderError(provider.getName(), `${provider.getName()} returned ${batch.embeddings.length} embeddings for ${texts.length} inputs`, model.id);
     }
+
+    result.embeddings.push(...batch.embeddings);
+    result.usage.input_tokens += batch.usage?.input_tokens || 0;
+    result.usage.total_tokens += batch.usage?.total_tokens || 0;
+    result.batches++;
   }
 
-  // Anthropic format
-  if (res.content && Array.isArray(res.content) && res.content.length > 0) {
-    const content = res.content[0] as Record<string, unknown>;
-    return String(content.text || '');
+  return result;
+}
+
+/**
+ * Generate images with health/rate-limit tracking
+ * Like callProvider, the call first waits for local rate limit capacity and an available API key
+ */
+export async function generateImageProvider(model: Model, input: ImageGenerationInput): Promise<ImageGenerationResult> {
+  const provider = getProvider(model.route || model.provider, model.company);
+  if (!provider.supportsImageGeneration()) {
+    throw new ProviderError(provider.getName(), `${provider.getName()} does not support image generation`, model.id);
   }
 
-  // Gemini format
-  if (res.candidates && Array.isArray(res.candidates) && res.candidates.length > 0) {
-    const candidate = res.candidates[0] as Record<string, unknown>;
-    if (candidate.content && typeof candidate.content === 'object') {
-      const content = candidate.content as Record<string, unknown>;
-      if (content.parts && Array.isArray(content.parts) && content.parts.length > 0) {
-        const part = content.parts[0] as Record<string, unknown>;
-        return String(part.text || '');
+  return trackedCall(
+    model,
+    provider,
+    estimatePromptTokens({ input: input.prompt }),
+    input.signal,
+    (key) => provider.generateImage(model, { ...input, ...key }),
+    (result) => {
+      if (result.images.length === 0) {
+        throw new ProviderError(provider.getName(), `${provider.getName()} returned no image`, model.id);
       }
+      const usage = result.usage || normalizeUsage(null);
+      return { value: { images: result.images, text: result.text, usage }, usage };
     }
-  }
+  );
+}
 
-  // Cohere format
-  if (res.message && typeof res.message === 'object') {
-    const message = res.message as Record<string, unknown>;
-    if (message.content && Array.isArray(message.content) && message.content.length > 0) {
-      const content = message.content[0] as Record<string, unknown>;
-      return String(content.text || '');
-    }
+/**
+ * Transcribe or translate audio with health/rate-limit tracking
+ * The call takes a request from the local limiter like callProvider; audio is not charged as tokens
+ */
+export async function transcribeProvider(model: Model, input: TranscriptionInput): Promise<TranscriptionResult> {
+  const provider = getProvider(model.route || model.provider, model.company);
+  if (!provider.supportsTranscription()) {
+    throw new ProviderError(provider.getName(), `${provider.getName()} does not support transcription`, model.id);
   }
 
-  // Cloudflare format
-  if (res.result && typeof res.result === 'object') {
-    const result = res.result as Record<string, unknown>;
-    return String(result.response || '');
-  }
+  return trackedCall(
+    model,
+    provider,
+    0,
+    input.signal,
+    (key) => provider.transcribe(model, { ...input, ...key }),
+    ({ headers, ...result }) => ({ value: result, usage: normalizeUsage(null) })
+  );
+}
 
-  // HuggingFace format
-  if (res.generated_text) {
-    return String(res.generated_text);
+/**
+ * Synthesize speech with health/rate-limit tracking
+ * The text is charged as input tokens, since providers meter text-to-speech by input
+ */
+export async function speakProvider(model: Model, input: SpeechInput): Promise<SpeechResult> {
+  const provider = getProvider(model.route || model.provider, model.company);
+  if (!provider.supportsSpeech()) {
+    throw new ProviderError(provider.getName(), `${provider.getName()} does not support text-to-speech`, model.id);
   }
 
-  // Fallback - try to stringify
-  return JSON.stringify(response);
+  const estimatedTokens = estimatePromptTokens({ input: input.text });
+  return trackedCall(
+    model,
+    provider,
+    estimatedTokens,
+    input.signal,
+    (key) => provider.speak(model, { ...input, ...key }),
+    ({ headers, ...result }) => {
+      if (result.audio.length === 0) {
+        throw new ProviderError(provider.getName(), `${provider.getName()} returned no audio`, model.id);
+      }
+      return { value: result, usage: { input_tokens: estimatedTokens, output_tokens: 0, total_tokens: estimatedTokens } };
+    }
+  );
 }
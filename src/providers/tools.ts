@@ -0,0 +1,100 @@
+import { randomUUID } from 'crypto';
+import { ToolCall, ToolChoice, ToolDefinition } from '../types';
+
+/**
+ * Empty JSON schema used for tools declared without parameters
+ */
+export const EMPTY_PARAMETERS = { type: 'object', properties: {} };
+
+/**
+ * Generate an ID for providers that do not return tool call IDs
+ */
+export function createToolCallId(): string {
+  return `call_${randomUUID().replace(/-/g, '').slice(0, 24)}`;
+}
+
+/**
+ * Parse tool call arguments, keeping the raw string when it is not valid JSON
+ */
+export function parseToolArguments(raw: unknown): Pick<ToolCall, 'arguments' | 'raw_arguments'> {
+  if (raw && typeof raw === 'object') {
+    return { arguments: raw as Record<string, unknown> };
+  }
+
+  const text = typeof raw === 'string' ? raw : '';
+  if (!text) {
+    return { arguments: {} };
+  }
+
+  try {
+    const parsed = JSON.parse(text) as unknown;
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return { arguments: parsed as Record<string, unknown> };
+    }
+  } catch {
+    // Fall through and keep the raw text
+  }
+
+  return { arguments: {}, raw_arguments: text };
+}
+
+/**
+ * Convert tool definitions to OpenAI function tools (also used by Cohere v2)
+ */
+export function toOpenAITools(tools: ToolDefinition[] | undefined): Record<string, unknown>[] | undefined {
+  if (!tools || tools.length === 0) {
+    return undefined;
+  }
+
+  return tools.map((tool) => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters || EMPTY_PARAMETERS,
+    },
+  }));
+}
+
+/**
+ * Convert a tool choice to OpenAI format
+ */
+export function toOpenAIToolChoice(choice: ToolChoice | undefined): unknown {
+  if (!choice || typeof choice === 'string') {
+    return choice;
+  }
+  return { type: 'function', function: { name: choice.name } };
+}
+
+/**
+ * Convert parsed tool calls back to OpenAI assistant tool_calls
+ */
+export function toOpenAIToolCalls(calls: ToolCall[]): Record<string, unknown>[] {
+  return calls.map((call) => ({
+    id: call.id,
+    type: 'function',
+    function: {
+      name: call.name,
+      arguments: call.raw_arguments ?? JSON.stringify(call.arguments),
+    },
+  }));
+}
+
+/**
+ * Parse OpenAI-format tool_calls (OpenAI-compatible and Cohere v2 responses)
+ */
+export function fromOpenAIToolCalls(raw: unknown): ToolCall[] {
+  if (!Array.isArray(raw)) {
+    return [];
+  }
+
+  return raw.map((entry) => {
+    const call = entry as Record<string, unknown>;
+    const fn = (call.function || {}) as Record<string, unknown>;
+    return {
+      id: typeof call.id === 'string' ? call.id : createToolCallId(),
+      name: String(fn.name || ''),
+      ...parseToolArguments(fn.arguments),
+    };
+  });
+}
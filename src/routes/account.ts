@@ -1,6 +1,7 @@
 import { Router, Request, Response } from 'express';
 import {
   AccountStatusQueryParams,
+  ApiKeyStatus,
   BoostTier,
   Database,
   Model,
@@ -10,7 +11,10 @@ import {
 import { databaseService } from '../services/database';
 import { buildModelList } from '../services/models';
 import { rateLimitService } from '../services/rateLimit';
+import { usageLedgerService } from '../services/ledger';
+import { keyPoolService } from '../services/keyPool';
 import { getPuterCredits } from '../providers/puter';
+import { getProvider, getModelKeyIds, getModelPoolKeyIds } from '../providers/router';
 import { boostTierToCostTier } from '../utils/constants';
 
 const router = Router();
@@ -51,8 +55,21 @@ export async function isModelUsable(model: Model, _db: Database): Promise<ModelU
     };
   }
 
-  // For free-tier models, check if we have rate limit info from recent calls
-  const recentLimits = rateLimitService.get(model.provider, model.id);
+  // For free-tier models, check the ledger's daily usage against the model's limits (summed over pooled keys)
+  const quota = usageLedgerService.getQuota(model, getModelKeyIds(model));
+  for (const limitKey of ['rpd', 'tpd'] as const) {
+    const usage = quota[limitKey];
+    if (usage && usage.remaining === 0) {
+      return {
+        usable: false,
+        reason: `Daily ${limitKey} quota used up for ${model.provider} (${usage.used}/${usage.limit}) - resets at ${usage.resets_at}`,
+        quota,
+      };
+    }
+  }
+
+  // Then check if we have rate limit info from recent calls; with a key pool, from the key with most capacity
+  const recentLimits = rateLimitService.get(model.route || model.provider, model.id, getModelPoolKeyIds(model));
 
   if (recentLimits) {
     if (recentLimits.requests_remaining !== null && recentLimits.requests_remaining <= 0) {
@@ -60,6 +77,7 @@ export async function isModelUsable(model: Model, _db: Database): Promise<ModelU
         usable: false,
         reason: `Rate limit exhausted for ${model.provider} - ${recentLimits.requests_remaining} requests remaining`,
         rate_limits: recentLimits,
+        quota,
       };
     }
 
@@ -68,6 +86,16 @@ export async function isModelUsable(model: Model, _db: Database): Promise<ModelU
         usable: false,
         reason: `Token quota exhausted for ${model.provider} - ${recentLimits.tokens_remaining} tokens remaining`,
         rate_limits: recentLimits,
+        quota,
+      };
+    }
+
+    if (recentLimits.requests_remaining_daily === 0 || recentLimits.tokens_remaining_daily === 0) {
+      return {
+        usable: false,
+        reason: `Daily quota exhausted for ${model.provider} - resets at ${recentLimits.daily_reset_time ?? 'unknown time'}`,
+        rate_limits: recentLimits,
+        quota,
       };
     }
   }
@@ -77,6 +105,7 @@ export async function isModelUsable(model: Model, _db: Database): Promise<ModelU
     usable: true,
     reason: 'No exhaustion detected (no recent rate limit data)',
     rate_limits: recentLimits,
+    quota,
   };
 }
 
@@ -140,12 +169,36 @@ export async function checkBoostTierExhaustion(boostTier: string, db: Database):
       provider: c.provider,
       reason: c.check.reason,
     })),
+    quota: Object.fromEntries(
+      usabilityChecks.filter((c) => c.check.quota && Object.keys(c.check.quota).length > 0).map((c) => [c.model_id, c.check.quota!])
+    ),
     message: exhausted
       ? `All eligible ${boostTier} models are exhausted for this Puter account. Please log out of Puter OS and log into the next account in your rotation if you want to continue using this tier.`
       : `${usableModels.length} of ${tierModels.length} ${boostTier} models are still usable.`,
   };
 }
 
+/**
+ * Get the state of every pooled API key, by provider
+ */
+function getApiKeyStatuses(db: Database): Record<string, ApiKeyStatus[]> {
+  const statuses: Record<string, ApiKeyStatus[]> = {};
+
+  for (const provider of db.metadata.supported_providers) {
+    let keyIds: string[];
+    try {
+      keyIds = getProvider(provider).getKeyIds();
+    } catch {
+      continue;
+    }
+    if (keyIds.length > 0) {
+      statuses[provider] = keyIds.map((keyId) => keyPoolService.getStatus(keyId));
+    }
+  }
+
+  return statuses;
+}
+
 /**
  * GET /account/status - Check account status for a boost tier
  */
@@ -177,6 +230,7 @@ router.get('/account/status', async (req: Request<object, object, object, Accoun
       boost_tier_status: tierStatus,
       other_tier_status: otherTierStatus,
       account_exhausted: accountExhausted,
+      api_keys: getApiKeyStatuses(db),
       recommendation: accountExhausted
         ? 'All boost tiers exhausted. Log out of Puter and log into next account in rotation.'
         : tierStatus.exhausted
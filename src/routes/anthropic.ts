@@ -0,0 +1,424 @@
+import { Router, Request, Response } from 'express';
+import { randomUUID } from 'crypto';
+import {
+  AnthropicMessagesRequest,
+  AnthropicContentBlock,
+  AnthropicResponse,
+  AnthropicErrorResponse,
+  AnthropicToolChoice,
+  ChatMessage,
+  ContentPart,
+  ImageContentPart,
+  ProviderInput,
+  Model,
+  RoutingInfo,
+  ToolCall,
+  ToolChoice,
+} from '../types';
+import { databaseService } from '../services/database';
+import { buildModelList, resolveRequestedModel } from '../services/models';
+import {
+  callProvider,
+  streamProvider,
+  normalizeResponse,
+  normalizeUsage,
+  getTextContent,
+} from '../providers';
+import { TurboConsoleError, isClientClosedError, isRateLimitError, isTimeoutError } from '../utils/errors';
+import { openSSE, writeSSE } from '../utils/sse';
+import { buildRoutingInfo } from './openai';
+import { abortOnClose, checkTimeoutMs, getRequiredCapabilities, validateTools } from './shared';
+
+const router = Router();
+
+/**
+ * Normalized finish reasons mapped to Anthropic stop reasons
+ */
+const STOP_REASON_MAP: Record<string, string> = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  content_filter: 'refusal',
+  error: 'end_turn',
+};
+
+/**
+ * Content block types carrying the model's own reasoning, dropped from the history sent upstream
+ */
+const SKIPPED_BLOCK_TYPES = ['thinking', 'redacted_thinking'];
+
+/**
+ * Anthropic tool choices mapped to provider-neutral ones (tool names its tool)
+ */
+const TOOL_CHOICE_MAP: Record<string, ToolChoice> = {
+  auto: 'auto',
+  any: 'required',
+  none: 'none',
+};
+
+/**
+ * Map a normalized finish reason to its Anthropic equivalent
+ */
+function toAnthropicStopReason(reason: string | null | undefined): string {
+  if (!reason) return 'end_turn';
+  return STOP_REASON_MAP[reason] || reason;
+}
+
+/**
+ * Flatten Anthropic text content (string or text blocks), or null when it holds other blocks
+ */
+function blocksToText(content: string | AnthropicContentBlock[] | undefined): string | null {
+  if (!content) return '';
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content) || content.some((block) => block?.type !== 'text')) return null;
+  return content.map((block) => block.text || '').join('');
+}
+
+/**
+ * Convert an Anthropic image block (base64 or URL source) to an image part, or null when its source is unusable
+ */
+function toImagePart(block: AnthropicContentBlock): ImageContentPart | null {
+  const source = block.source;
+  if (source?.type === 'base64' && source.data) {
+    return { type: 'image', data: source.data, media_type: source.media_type };
+  }
+  if (source?.type === 'url' && source.url) {
+    return { type: 'image', url: source.url };
+  }
+  return null;
+}
+
+/**
+ * Convert an Anthropic request (system + messages) to provider input messages
+ * User images become image parts and tool_result blocks become tool messages (an is_error
+ * result is prefixed with "Error: "); assistant tool_use blocks become tool calls.
+ * Returns an error message for the 400 response instead when a block cannot be mapped.
+ */
+function toChatMessages(body: AnthropicMessagesRequest): ChatMessage[] | { error: string } {
+  const messages: ChatMessage[] = [];
+
+  const system = blocksToText(body.system);
+  if (system === null) {
+    return { error: 'system: must be a string or an array of text blocks' };
+  }
+  if (system) {
+    messages.push({ role: 'system', content: system });
+  }
+
+  for (const [index, msg] of body.messages.entries()) {
+    if (msg?.role !== 'user' && msg?.role !== 'assistant') {
+      return { error: `messages.${index}.role: must be 'user' or 'assistant'` };
+    }
+
+    const blocks: AnthropicContentBlock[] = typeof msg.content === 'string' ? [{ type: 'text', text: msg.content }] : msg.content;
+    if (!Array.isArray(blocks)) {
+      return { error: `messages.${index}.content: must be a string or an array of content blocks` };
+    }
+
+    const parts: ContentPart[] = [];
+    const toolCalls: ToolCall[] = [];
+
+    for (const block of blocks) {
+      const type = block?.type;
+
+      if (type === 'text' && typeof block.text === 'string') {
+        parts.push({ type: 'text', text: block.text });
+      } else if (SKIPPED_BLOCK_TYPES.includes(type)) {
+        continue;
+      } else if (type === 'image' && msg.role === 'user') {
+        const image = toImagePart(block);
+        if (!image) {
+          return { error: `messages.${index}.content: image blocks need a base64 or url source` };
+        }
+        parts.push(image);
+      } else if (type === 'tool_use' && msg.role === 'assistant' && block.id && block.name) {
+        toolCalls.push({ id: block.id, name: block.name, arguments: block.input || {} });
+      } else if (type === 'tool_result' && msg.role === 'user' && block.tool_use_id) {
+        const output = blocksToText(block.content);
+        if (output === null) {
+          return { error: `messages.${index}.content: tool_result content must be a string or text blocks` };
+        }
+        messages.push({ role: 'tool', tool_call_id: block.tool_use_id, content: block.is_error ? `Error: ${output}` : output });
+      } else {
+        return { error: `messages.${index}.content: unsupported ${type} block in a ${msg.role} message` };
+      }
+    }
+
+    if (msg.role === 'assistant') {
+      messages.push({ role: 'assistant', content: getTextContent(parts), tool_calls: toolCalls.length > 0 ? toolCalls : undefined });
+    } else if (parts.length > 0) {
+      // Text-only turns stay plain strings so providers without vision accept them
+      messages.push({ role: 'user', content: parts.some((part) => part.type !== 'text') ? parts : getTextContent(parts) });
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Convert Anthropic tools and tool_choice to provider-neutral ones
+ * Returns an error message for the 400 response instead when they are malformed
+ */
+function toTools(body: AnthropicMessagesRequest): Pick<ProviderInput, 'tools' | 'tool_choice'> | { error: string } {
+  if (body.tools !== undefined && !Array.isArray(body.tools)) {
+    return { error: 'tools: must be an array of { name, description?, input_schema? }' };
+  }
+
+  const choice: AnthropicToolChoice | undefined = body.tool_choice;
+  let toolChoice: ToolChoice | undefined;
+  if (choice !== undefined) {
+    toolChoice = choice?.type === 'tool' && choice.name ? { name: choice.name } : TOOL_CHOICE_MAP[choice?.type];
+    if (!toolChoice) {
+      return { error: `tool_choice: type must be 'auto', 'any', 'none' or 'tool' with a name` };
+    }
+  }
+
+  const tools = {
+    tools: body.tools?.map((tool) => ({ name: tool?.name, description: tool?.description, parameters: tool?.input_schema })),
+    tool_choice: toolChoice,
+  };
+  const invalid = validateTools(tools);
+  return invalid ? { error: invalid } : tools;
+}
+
+/**
+ * Build the content blocks of a reply: its text, then a tool_use block per tool call
+ */
+function toContentBlocks(text: string, toolCalls: ToolCall[]): AnthropicResponse['content'] {
+  const blocks: AnthropicResponse['content'] = [];
+  if (text || toolCalls.length === 0) {
+    blocks.push({ type: 'text', text });
+  }
+  for (const call of toolCalls) {
+    blocks.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments });
+  }
+  return blocks;
+}
+
+/**
+ * Send an Anthropic-format error response
+ */
+function sendAnthropicError(res: Response, status: number, type: string, message: string): void {
+  const body: AnthropicErrorResponse = {
+    type: 'error',
+    error: { type, message },
+  };
+  res.status(status).json(body);
+}
+
+/**
+ * Stream a message as Anthropic Messages API events
+ * Text streams in block 0; tool calls (which arrive whole) follow as tool_use blocks
+ */
+async function streamMessage(res: Response, model: Model, input: ProviderInput, startTime: number): Promise<void> {
+  const chunks = streamProvider(model, input);
+
+  // Pull the first chunk before opening the stream so upstream failures
+  // are returned as regular Anthropic error responses
+  let next = await chunks.next();
+
+  openSSE(res);
+  writeSSE(res, 'message_start', {
+    type: 'message_start',
+    message: {
+      id: `msg_${randomUUID().replace(/-/g, '')}`,
+      type: 'message',
+      role: 'assistant',
+      content: [],
+      model: model.id,
+      stop_reason: null,
+      stop_sequence: null,
+      usage: { input_tokens: 0, output_tokens: 0 },
+    },
+  });
+  writeSSE(res, 'content_block_start', {
+    type: 'content_block_start',
+    index: 0,
+    content_block: { type: 'text', text: '' },
+  });
+
+  let finishReason: string | null = null;
+  let usage: unknown = null;
+  let toolCalls: ToolCall[] = [];
+
+  try {
+    while (!next.done) {
+      const chunk = next.value;
+      if (chunk.delta) {
+        writeSSE(res, 'content_block_delta', {
+          type: 'content_block_delta',
+          index: 0,
+          delta: { type: 'text_delta', text: chunk.delta },
+        });
+      }
+      if (chunk.tool_calls) toolCalls = toolCalls.concat(chunk.tool_calls);
+      if (chunk.finish_reason) finishReason = chunk.finish_reason;
+      if (chunk.usage) usage = chunk.usage;
+
+      next = await chunks.next();
+    }
+
+    const normalized = normalizeUsage(usage);
+    const routing: RoutingInfo = buildRoutingInfo(model, startTime);
+
+    writeSSE(res, 'content_block_stop', { type: 'content_block_stop', index: 0 });
+    toolCalls.forEach((call, i) => {
+      const index = i + 1;
+      writeSSE(res, 'content_block_start', {
+        type: 'content_block_start',
+        index,
+        content_block: { type: 'tool_use', id: call.id, name: call.name, input: {} },
+      });
+      writeSSE(res, 'content_block_delta', {
+        type: 'content_block_delta',
+        index,
+        delta: { type: 'input_json_delta', partial_json: JSON.stringify(call.arguments) },
+      });
+      writeSSE(res, 'content_block_stop', { type: 'content_block_stop', index });
+    });
+    writeSSE(res, 'message_delta', {
+      type: 'message_delta',
+      delta: { stop_reason: toAnthropicStopReason(finishReason), stop_sequence: null },
+      usage: { input_tokens: normalized.input_tokens, output_tokens: normalized.output_tokens },
+      x_turbo_console: routing,
+    });
+    writeSSE(res, 'message_stop', { type: 'message_stop' });
+  } catch (error) {
+    const err = error as Error;
+
+    // Nobody is left to read an error event once the client went away
+    if (isClientClosedError(err) || res.writableEnded) {
+      return;
+    }
+
+    writeSSE(res, 'error', {
+      type: 'error',
+      error: {
+        type: isRateLimitError(err) ? 'rate_limit_error' : 'api_error',
+        message: err.message,
+      },
+    });
+  }
+
+  res.end();
+}
+
+/**
+ * POST /v1/messages - Anthropic Messages-compatible endpoint
+ */
+router.post('/v1/messages', async (req: Request<object, object, AnthropicMessagesRequest>, res: Response) => {
+  const startTime = Date.now();
+  const abort = abortOnClose(res);
+
+  try {
+    if (!Array.isArray(req.body.messages) || req.body.messages.length === 0) {
+      sendAnthropicError(res, 400, 'invalid_request_error', 'messages: must be a non-empty array');
+      return;
+    }
+
+    if (!Number.isInteger(req.body.max_tokens) || req.body.max_tokens < 1) {
+      sendAnthropicError(res, 400, 'invalid_request_error', 'max_tokens: must be a positive integer');
+      return;
+    }
+
+    const timeoutError = checkTimeoutMs(req.body.timeout_ms);
+    if (timeoutError) {
+      sendAnthropicError(res, 400, 'invalid_request_error', `timeout_ms: ${timeoutError}`);
+      return;
+    }
+
+    const messages = toChatMessages(req.body);
+    if ('error' in messages) {
+      sendAnthropicError(res, 400, 'invalid_request_error', messages.error);
+      return;
+    }
+
+    const tools = toTools(req.body);
+    if ('error' in tools) {
+      sendAnthropicError(res, 400, 'invalid_request_error', tools.error);
+      return;
+    }
+
+    // Auto aliases pick a model that can take the images and tools; a named model must have them
+    const required = getRequiredCapabilities({ messages, tools: tools.tools });
+    const db = databaseService.loadDb();
+    const models = buildModelList(db);
+    const model = resolveRequestedModel(models, req.body.model, undefined, required);
+
+    if (!model) {
+      sendAnthropicError(res, 404, 'not_found_error', `model: ${req.body.model}`);
+      return;
+    }
+
+    const missing = required.find((key) => !model.capabilities?.[key]);
+    if (missing) {
+      sendAnthropicError(
+        res,
+        400,
+        'invalid_request_error',
+        `model: ${model.id} does not support ${missing === 'tools' ? 'tool calling' : 'image input'}`
+      );
+      return;
+    }
+
+    const input: ProviderInput = {
+      messages,
+      ...tools,
+      temperature: req.body.temperature,
+      max_tokens: req.body.max_tokens,
+      stop: req.body.stop_sequences,
+      timeout_ms: req.body.timeout_ms,
+      signal: abort.signal,
+    };
+
+    if (req.body.stream) {
+      await streamMessage(res, model, input, startTime);
+      return;
+    }
+
+    const providerResponse = await callProvider(model, input);
+    const normalized = normalizeResponse(providerResponse);
+
+    const response: AnthropicResponse & { x_turbo_console: RoutingInfo } = {
+      id: `msg_${randomUUID().replace(/-/g, '')}`,
+      type: 'message',
+      role: 'assistant',
+      content: toContentBlocks(normalized.text, normalized.tool_calls),
+      model: model.id,
+      stop_reason: toAnthropicStopReason(normalized.finish_reason),
+      stop_sequence: null,
+      usage: {
+        input_tokens: normalized.usage.input_tokens,
+        output_tokens: normalized.usage.output_tokens,
+      },
+      x_turbo_console: buildRoutingInfo(model, startTime),
+    };
+
+    res.json(response);
+  } catch (error) {
+    const err = error as Error;
+
+    if (isClientClosedError(err)) {
+      return;
+    }
+
+    if (err instanceof TurboConsoleError && err.statusCode === 400) {
+      sendAnthropicError(res, 400, 'invalid_request_error', err.message);
+      return;
+    }
+
+    if (isRateLimitError(err)) {
+      sendAnthropicError(res, 429, 'rate_limit_error', err.message);
+      return;
+    }
+
+    if (isTimeoutError(err)) {
+      sendAnthropicError(res, 504, 'api_error', err.message);
+      return;
+    }
+
+    sendAnthropicError(res, 500, 'api_error', err.message);
+  }
+});
+
+export default router;
@@ -25,23 +25,141 @@ router.get('/api', (_req: Request, res: Response) => {
           capability: 'Required capability (chat, reasoning, coding, etc.)',
           max_cost_tier: 'Maximum acceptable cost tier',
           provider: 'Preferred provider (optional)',
+          strategy: 'Ranking strategy: quality, latency, balanced or quota_preserving (optional, default rating only)',
         },
       },
       'POST /run': {
-        description: 'Execute a model inference',
+        description: 'Execute a model inference; image_generation models return generated images as images: [{ mime, base64 | url }]',
         body: {
           model_id: 'Specific model ID (optional if using suggestions)',
           capability: 'Task capability if model_id not specified',
           max_cost_tier: 'Max cost tier if auto-selecting model',
+          strategy: 'Ranking strategy for auto-selection and fallback (see /suggest-models)',
           input: 'Input text/prompt',
-          messages: 'Chat messages array (alternative to input)',
-          temperature: 'Temperature (0-2, default 0.7)',
+          messages: 'Chat messages array (alternative to input); content may be text/image/audio parts, images auto-select vision models',
+          temperature: 'Temperature (0-2, default 0.7; clamped to 0-1 for Anthropic)',
           max_tokens: 'Max tokens to generate (default 1024)',
+          stream: 'Stream output as server-sent events: start, delta, done, error (default false)',
+          fallback: 'Set to "auto" to retry same-tier, same-capability models from other providers on failure (default "none")',
+          max_attempts: 'Max provider calls when fallback is "auto" (1-10, default 3)',
+          tools: 'Tool definitions: [{ name, description?, parameters? (JSON schema) }]; auto-selects tool-capable models',
+          tool_choice: '"auto", "none", "required", or { name } to force one tool',
+          response_format: '{ type: "json_schema", schema } to get validated JSON back as parsed',
+          max_repairs: 'Repair calls when output fails the schema (0-5, default 2)',
+          timeout_ms: 'Per-attempt provider timeout in ms (1-600000, default per provider); timeouts return 504',
+          on_limit: '"wait" to queue a rate-limited run until the provider window resets instead of returning 429 (default "fail")',
+          max_wait_seconds: 'Max time to wait in the queue when on_limit is "wait" (1-600, default 90)',
         },
       },
+      'POST /embed': {
+        description: 'Embed texts with an embeddings model, batched to each provider\'s limit',
+        body: {
+          model_id: 'Specific embeddings model ID (optional, auto-selected otherwise)',
+          max_cost_tier: 'Max cost tier if auto-selecting model',
+          boost_tier: 'Restrict to the turbo or ultra boost tier (optional)',
+          strategy: 'Ranking strategy for auto-selection and fallback (see /suggest-models)',
+          input: 'Text or array of texts to embed (max 2048)',
+          input_type: '"query" or "document" for providers with retrieval-specific embeddings (optional)',
+          fallback: 'Set to "auto" to retry same-tier embeddings models from other providers on failure (default "none")',
+          max_attempts: 'Max provider calls when fallback is "auto" (1-10, default 3)',
+          timeout_ms: 'Per-batch provider timeout in ms (1-600000, default per provider)',
+        },
+      },
+      'POST /transcribe': {
+        description: 'Transcribe or translate audio with a speech-to-text model (Groq, OpenAI or Cloudflare Whisper)',
+        body: {
+          file: 'Audio file (multipart/form-data, up to 25 MB); other fields are sent as form fields',
+          audio: 'Base64 or data URL audio (JSON body, alternative to file)',
+          format: 'Encoding of bare base64 audio: wav, mp3, ... (default wav)',
+          model_id: 'Specific transcription model ID (optional, auto-selected otherwise)',
+          max_cost_tier: 'Max cost tier if auto-selecting model',
+          boost_tier: 'Restrict to the turbo or ultra boost tier (optional)',
+          strategy: 'Ranking strategy for auto-selection and fallback (see /suggest-models)',
+          language: 'Spoken language code such as "en" (optional, detected otherwise)',
+          translate: 'Translate to English instead of transcribing (default false)',
+          response_format: 'json (default), text, verbose_json (language, duration, segments), srt or vtt',
+          fallback: 'Set to "auto" to retry same-tier transcription models from other providers on failure (default "none")',
+          max_attempts: 'Max provider calls when fallback is "auto" (1-10, default 3)',
+          timeout_ms: 'Per-attempt provider timeout in ms (1-600000, default per provider)',
+        },
+      },
+      'POST /speak': {
+        description: 'Synthesize speech with a text-to-speech model (Groq PlayAI, OpenAI TTS or Cloudflare MeloTTS)',
+        body: {
+          text: 'Text to speak (max 4096 characters)',
+          model_id: 'Specific text-to-speech model ID (optional, auto-selected otherwise)',
+          max_cost_tier: 'Max cost tier if auto-selecting model',
+          boost_tier: 'Restrict to the turbo or ultra boost tier (optional)',
+          strategy: 'Ranking strategy for auto-selection and fallback (see /suggest-models)',
+          voice: 'Voice from the model\'s voices list in /api/models/:model_id (default its first voice)',
+          format: 'Audio format from the model\'s speech_formats list (default its first format)',
+          speed: 'Playback speed from 0.25 to 4 (Groq and OpenAI only)',
+          encoding: '"binary" returns the audio bytes (default), "base64" a JSON envelope',
+          fallback: 'Set to "auto" to retry same-tier text-to-speech models that offer the voice and format (default "none")',
+          max_attempts: 'Max provider calls when fallback is "auto" (1-10, default 3)',
+          timeout_ms: 'Per-attempt provider timeout in ms (1-600000, default per provider)',
+        },
+      },
+      'POST /jobs': {
+        description: 'Queue a /run payload as a background job (202 with the job; at most 4 run at once, 503 once 50 are queued)',
+        body: {
+          '...': 'Any non-streaming POST /run body, validated up front',
+          callback_url: 'Public http(s) URL POSTed the finished job (optional, retried up to 3 times; localhost and private addresses are rejected)',
+        },
+      },
+      'GET /jobs/:job_id': {
+        description: 'Get a job: status (queued, running, succeeded, failed, cancelled), and once finished http_status and the /run response as result',
+      },
+      'DELETE /jobs/:job_id': {
+        description: 'Cancel a queued or running job (409 once it has finished)',
+      },
+      'POST /v1/chat/completions': {
+        description: 'OpenAI-compatible chat completions routed through Turbo Console',
+        body: {
+          model: 'Model ID, "auto", or an alias like "auto:coding@turbo" (capability and/or boost tier)',
+          messages: 'OpenAI chat messages (text, image_url and input_audio parts; assistant tool_calls and tool messages)',
+          tools: 'OpenAI function tools (optional)',
+          tool_choice: '"auto", "none", "required" or { type: "function", function: { name } } (optional)',
+          response_format: '{ type: "text" | "json_object" } or { type: "json_schema", json_schema: { name, schema } } (optional)',
+          stream: 'Stream chat.completion.chunk events (default false)',
+          timeout_ms: 'Provider timeout in ms (1-600000, default per provider); timeouts return 504',
+        },
+      },
+      'POST /v1/embeddings': {
+        description: 'OpenAI-compatible embeddings routed through Turbo Console',
+        body: {
+          model: 'Embeddings model ID, "auto" or an alias like "auto@turbo" (defaults to the embeddings capability)',
+          input: 'Text or array of texts to embed',
+          encoding_format: '"float" (default) or "base64"',
+          timeout_ms: 'Per-batch provider timeout in ms (1-600000, default per provider)',
+        },
+      },
+      'POST /v1/messages': {
+        description: 'Anthropic Messages-compatible endpoint routed to any provider',
+        body: {
+          model: 'Model ID, "auto", or an alias like "auto:coding@turbo"',
+          system: 'System prompt (string or text blocks)',
+          messages: 'Anthropic messages (string or text, image, tool_use and tool_result blocks)',
+          max_tokens: 'Max tokens to generate (required)',
+          tools: 'Anthropic tool definitions { name, description?, input_schema? } (optional)',
+          tool_choice: '{ type: "auto" | "any" | "none" } or { type: "tool", name } (optional)',
+          stop_sequences: 'Stop sequences (optional)',
+          stream: 'Stream Anthropic message events (default false)',
+          timeout_ms: 'Provider timeout in ms (1-600000, default per provider); timeouts return 504',
+        },
+      },
+      'GET /v1/models': {
+        description: 'OpenAI-compatible model list, including auto aliases',
+      },
       'GET /health': {
         description: 'Health check endpoint',
       },
+      'GET /metrics': {
+        description: 'Prometheus metrics: provider calls, latency, tokens, rate limits, boost tiers, health and circuits',
+      },
+      'GET /api/queue': {
+        description: 'Runs waiting for rate limit windows to reset: depth, active ticket and waiter positions per provider',
+      },
       'GET /api/models': {
         description: 'Pinokio Dashboard API - List all models with full metadata',
         query_params: {
@@ -55,7 +173,7 @@ router.get('/api', (_req: Request, res: Response) => {
         },
       },
       'GET /api/models/:model_id': {
-        description: 'Pinokio Dashboard API - Get single model metadata',
+        description: 'Pinokio Dashboard API - Get single model metadata (with voices and speech_formats for tts models)',
       },
       'GET /api/models/presets': {
         description: 'Pinokio Dashboard API - Pre-sliced views for dashboard',
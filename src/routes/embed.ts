@@ -0,0 +1,121 @@
+import { Router, Request, Response } from 'express';
+import { EmbedRequest, EmbedResponse, Model, RunAttempt } from '../types';
+import { pickModel, rankFallbackModels } from '../services/models';
+import { embedProvider } from '../providers';
+import { MAX_EMBEDDING_INPUTS } from '../utils/constants';
+import { checkBoostTierExhaustion } from './account';
+import { runWithFallback } from './run';
+import { abortOnClose, resolveRouting, sendCallError } from './shared';
+
+const router = Router();
+
+/**
+ * Normalize embedding input to a list of texts, or null when it is not a string or non-empty string array
+ */
+export function toEmbeddingTexts(input: unknown): string[] | null {
+  if (typeof input === 'string') {
+    return [input];
+  }
+  if (Array.isArray(input) && input.length > 0 && input.every((text) => typeof text === 'string')) {
+    return input;
+  }
+  return null;
+}
+
+/**
+ * POST /embed - Embed texts with an embeddings model
+ */
+router.post('/embed', async (req: Request<object, object, EmbedRequest>, res: Response) => {
+  const startTime = Date.now();
+  const attempts: RunAttempt[] = [];
+  const abort = abortOnClose(res);
+  let selected: Model | null = null;
+
+  try {
+    const routing = resolveRouting(req.body);
+    if ('error' in routing) {
+      res.status(400).json({ error: routing.error });
+      return;
+    }
+
+    const texts = toEmbeddingTexts(req.body.input);
+    if (!texts) {
+      res.status(400).json({ error: 'Invalid input: must be a string or a non-empty array of strings' });
+      return;
+    }
+    if (texts.length > MAX_EMBEDDING_INPUTS) {
+      res.status(400).json({ error: `Invalid input: at most ${MAX_EMBEDDING_INPUTS} texts per request` });
+      return;
+    }
+
+    if (req.body.input_type !== undefined && !['query', 'document'].includes(req.body.input_type)) {
+      res.status(400).json({
+        error: `Invalid input_type: ${req.body.input_type}. Must be 'query' or 'document'.`,
+      });
+      return;
+    }
+
+    selected = pickModel(routing.models, {
+      model_id: req.body.model_id,
+      capability: 'embeddings',
+      max_cost_tier: req.body.max_cost_tier,
+      strategy: req.body.strategy,
+    });
+
+    if (!selected) {
+      res.status(400).json({
+        error: 'No embeddings model matched request',
+        boost_tier: req.body.boost_tier,
+        available_models_count: routing.models.length,
+      });
+      return;
+    }
+
+    if (!selected.capabilities.embeddings) {
+      res.status(400).json({ error: `Model ${selected.id} does not support embeddings` });
+      return;
+    }
+
+    // Walk same-tier embeddings models only when fallback is enabled
+    const candidates = routing.fallback_enabled
+      ? rankFallbackModels(routing.models, selected, 'embeddings', undefined, req.body.strategy)
+      : [selected];
+    const { model: answered, result } = await runWithFallback(candidates, routing.attempt_limit, attempts, (model) =>
+      embedProvider(model, {
+        texts,
+        input_type: req.body.input_type,
+        timeout_ms: req.body.timeout_ms,
+        signal: abort.signal,
+      })
+    );
+
+    // Check boost tier exhaustion after call
+    const boostTier = req.body.boost_tier;
+    const exhaustionCheck = boostTier ? await checkBoostTierExhaustion(boostTier, routing.db) : null;
+
+    const response: EmbedResponse = {
+      model_id: answered.id,
+      provider: answered.provider,
+      route: answered.route,
+      embeddings: result.embeddings,
+      dimensions: result.embeddings[0]?.length || 0,
+      count: result.embeddings.length,
+      metadata: {
+        cost_tier: answered.cost_tier,
+        boost_tier: boostTier || null,
+        execution_time_ms: Date.now() - startTime,
+        timestamp: new Date().toISOString(),
+        usage: result.usage,
+        batches: result.batches,
+      },
+      boost_tier_exhausted: exhaustionCheck?.exhausted || false,
+      boost_tier_message: exhaustionCheck?.message || null,
+      attempts: routing.fallback_enabled ? attempts : undefined,
+    };
+    res.json(response);
+  } catch (error) {
+    sendCallError(res, error as Error, req.body, selected, attempts, startTime);
+  }
+});
+
+export default router;
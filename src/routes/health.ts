@@ -1,7 +1,11 @@
 import { Router, Request, Response } from 'express';
+import { RunQueueStatusResponse } from '../types';
 import { databaseService } from '../services/database';
 import { healthService } from '../services/health';
 import { rateLimitService } from '../services/rateLimit';
+import { localLimiterService } from '../services/limiter';
+import { healthProbeService } from '../services/probes';
+import { waitQueueService } from '../services/waitQueue';
 
 const router = Router();
 
@@ -18,12 +22,13 @@ router.get('/health', (_req: Request, res: Response) => {
 });
 
 /**
- * GET /api/rate-limits - Get cached rate limits
+ * GET /api/rate-limits - Get cached rate limits and local limiter buckets
  */
 router.get('/api/rate-limits', (_req: Request, res: Response) => {
   try {
     res.json({
       cache: rateLimitService.getAll(),
+      local: localLimiterService.getAll(),
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -34,6 +39,26 @@ router.get('/api/rate-limits', (_req: Request, res: Response) => {
   }
 });
 
+/**
+ * GET /api/queue - Get /run requests waiting for rate limit windows to reset, by provider
+ */
+router.get('/api/queue', (_req: Request, res: Response) => {
+  try {
+    const providers = waitQueueService.getStatus();
+    const response: RunQueueStatusResponse = {
+      total_waiting: Object.values(providers).reduce((sum, p) => sum + p.depth, 0),
+      providers,
+      timestamp: new Date().toISOString(),
+    };
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({
+      error: (error as Error).message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
 /**
  * GET /api/providers/health - Get provider health status
  */
@@ -51,11 +76,13 @@ router.get('/api/providers/health', (_req: Request, res: Response) => {
       degraded: providerHealth.filter((p) => p.status === 'degraded').length,
       down: providerHealth.filter((p) => p.status === 'down').length,
       unknown: providerHealth.filter((p) => p.status === 'unknown').length,
+      open_circuits: providerHealth.filter((p) => p.circuit.state === 'open').length,
     };
 
     res.json({
       providers: providerHealth,
       summary,
+      probes: healthProbeService.getInfo(),
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
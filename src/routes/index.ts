@@ -1,10 +1,17 @@
 import { Router } from 'express';
 import modelsRoutes from './models';
 import runRoutes from './run';
+import embedRoutes from './embed';
+import transcribeRoutes from './transcribe';
+import speakRoutes from './speak';
+import jobsRoutes from './jobs';
 import accountRoutes from './account';
 import preflightRoutes from './preflight';
 import healthRoutes from './health';
 import apiRoutes from './api';
+import openaiRoutes from './openai';
+import anthropicRoutes from './anthropic';
+import metricsRoutes from './metrics';
 
 /**
  * Create combined router with all routes
@@ -15,10 +22,17 @@ export function createRouter(): Router {
   // Mount all route modules
   router.use(modelsRoutes);
   router.use(runRoutes);
+  router.use(embedRoutes);
+  router.use(transcribeRoutes);
+  router.use(speakRoutes);
+  router.use(jobsRoutes);
   router.use(accountRoutes);
   router.use(preflightRoutes);
   router.use(healthRoutes);
   router.use(apiRoutes);
+  router.use(openaiRoutes);
+  router.use(anthropicRoutes);
+  router.use(metricsRoutes);
 
   return router;
 }
@@ -26,10 +40,17 @@ export function createRouter(): Router {
 // Export individual route modules for testing
 export { default as modelsRoutes } from './models';
 export { default as runRoutes } from './run';
+export { default as embedRoutes } from './embed';
+export { default as transcribeRoutes } from './transcribe';
+export { default as speakRoutes } from './speak';
+export { default as jobsRoutes } from './jobs';
 export { default as accountRoutes } from './account';
 export { default as preflightRoutes } from './preflight';
 export { default as healthRoutes } from './health';
 export { default as apiRoutes } from './api';
+export { default as openaiRoutes } from './openai';
+export { default as anthropicRoutes } from './anthropic';
+export { default as metricsRoutes } from './metrics';
 
 // Export helper functions
 export { checkBoostTierExhaustion, isModelUsable } from './account';
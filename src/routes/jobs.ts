@@ -0,0 +1,94 @@
+import { Router, Request, Response } from 'express';
+import { CreateJobRequest } from '../types';
+import { jobService } from '../services/jobs';
+import { MAX_QUEUED_JOBS } from '../utils/constants';
+import { isPublicHttpUrl } from '../utils/network';
+import { runRequest, validateRunRequest } from './run';
+
+const router = Router();
+
+// Jobs run their payloads exactly as POST /run would
+jobService.setExecutor(runRequest);
+
+/**
+ * POST /jobs - Queue a /run payload as a background job
+ */
+router.post('/jobs', (req: Request<object, object, CreateJobRequest>, res: Response) => {
+  try {
+    const { callback_url: callbackUrl, ...request } = req.body;
+
+    if (request.stream) {
+      res.status(400).json({ error: 'Jobs do not support streaming: poll GET /jobs/:job_id or set callback_url' });
+      return;
+    }
+
+    if (callbackUrl !== undefined && !isPublicHttpUrl(callbackUrl)) {
+      res.status(400).json({
+        error: `Invalid callback_url: ${callbackUrl}. Must be an http or https URL on a public host (not localhost or a private address).`,
+      });
+      return;
+    }
+
+    // Reject payloads /run would reject up front rather than as failed jobs
+    const invalid = validateRunRequest(request);
+    if (invalid) {
+      res.status(invalid.status).json(invalid.body);
+      return;
+    }
+
+    if (!jobService.hasCapacity()) {
+      res.status(503).json({
+        error: `Job queue is full: ${MAX_QUEUED_JOBS} jobs are already waiting. Retry once some have started.`,
+        queued_jobs: jobService.countQueued(),
+      });
+      return;
+    }
+
+    res.status(202).json(jobService.create(request, callbackUrl));
+  } catch (error) {
+    res.status(500).json({ error: (error as Error).message });
+  }
+});
+
+/**
+ * GET /jobs/:job_id - Get a job's status, and its /run result once finished
+ */
+router.get('/jobs/:job_id', (req: Request<{ job_id: string }>, res: Response) => {
+  const job = jobService.get(req.params.job_id);
+  if (!job) {
+    res.status(404).json({
+      error: 'Job not found',
+      job_id: req.params.job_id,
+    });
+    return;
+  }
+
+  res.json(job);
+});
+
+/**
+ * DELETE /jobs/:job_id - Cancel a queued or running job
+ */
+router.delete('/jobs/:job_id', (req: Request<{ job_id: string }>, res: Response) => {
+  const job = jobService.get(req.params.job_id);
+  if (!job) {
+    res.status(404).json({
+      error: 'Job not found',
+      job_id: req.params.job_id,
+    });
+    return;
+  }
+
+  if (!jobService.cancel(job.job_id)) {
+    res.status(409).json({
+      error: `Job already ${job.status}`,
+      job_id: job.job_id,
+      status: job.status,
+    });
+    return;
+  }
+
+  res.json(job);
+});
+
+export default router;
@@ -0,0 +1,111 @@
+import { Router, Request, Response } from 'express';
+import { BoostTier, CircuitState, MetricSample, ProviderHealthStatus } from '../types';
+import { databaseService } from '../services/database';
+import { healthService } from '../services/health';
+import { rateLimitService } from '../services/rateLimit';
+import { metricsService, formatMetric } from '../services/metrics';
+import { BOOST_TIERS } from '../utils/constants';
+import { checkBoostTierExhaustion } from './account';
+
+const router = Router();
+
+/**
+ * Cached rate limit counters exported as remaining gauges, by window label
+ */
+const RATE_LIMIT_WINDOWS = {
+  requests: 'requests_remaining',
+  tokens: 'tokens_remaining',
+  requests_daily: 'requests_remaining_daily',
+  tokens_daily: 'tokens_remaining_daily',
+} as const;
+
+const HEALTH_STATES: ProviderHealthStatus['status'][] = ['healthy', 'degraded', 'down', 'unknown'];
+const CIRCUIT_STATES: CircuitState[] = ['closed', 'open', 'half_open'];
+
+/**
+ * Remaining gauges for every cached rate limit window
+ */
+function collectRateLimits(): MetricSample[] {
+  const samples: MetricSample[] = [];
+
+  for (const [cacheKey, cached] of Object.entries(rateLimitService.getAll())) {
+    // Cache keys are provider:model, and model IDs may contain colons
+    const separator = cacheKey.indexOf(':');
+    const provider = cacheKey.slice(0, separator);
+    const model = cacheKey.slice(separator + 1);
+
+    for (const [window, field] of Object.entries(RATE_LIMIT_WINDOWS)) {
+      const remaining = cached[field];
+      if (remaining !== null && remaining !== undefined) {
+        samples.push({ labels: { provider, model, window }, value: remaining });
+      }
+    }
+  }
+
+  return samples;
+}
+
+/**
+ * GET /metrics - Routing, latency, token, quota and health metrics in Prometheus text format
+ */
+router.get('/metrics', async (_req: Request, res: Response) => {
+  try {
+    const db = databaseService.loadDb();
+    const providerHealth = healthService.getAllProvidersStatus(db.metadata.supported_providers, db);
+    const boostTiers = await Promise.all(
+      (Object.keys(BOOST_TIERS) as BoostTier[]).map((tier) => checkBoostTierExhaustion(tier, db))
+    );
+
+    const body =
+      metricsService.render() +
+      formatMetric(
+        'turbo_console_rate_limit_remaining',
+        'gauge',
+        'Remaining requests or tokens in the last cached rate limit window',
+        collectRateLimits()
+      ) +
+      formatMetric(
+        'turbo_console_boost_tier_exhausted',
+        'gauge',
+        'Whether every model of the boost tier is exhausted (1) or not (0)',
+        boostTiers.map((tier) => ({ labels: { boost_tier: tier.boost_tier }, value: tier.exhausted ? 1 : 0 }))
+      ) +
+      formatMetric(
+        'turbo_console_boost_tier_usable_models',
+        'gauge',
+        'Models of the boost tier that are still usable',
+        boostTiers.map((tier) => ({ labels: { boost_tier: tier.boost_tier }, value: tier.usable_models ?? 0 }))
+      ) +
+      formatMetric(
+        'turbo_console_provider_health_status',
+        'gauge',
+        'Provider health status (1 for the current status)',
+        providerHealth.flatMap((p) =>
+          HEALTH_STATES.map((status) => ({ labels: { provider: p.provider, status }, value: p.status === status ? 1 : 0 }))
+        )
+      ) +
+      formatMetric(
+        'turbo_console_circuit_state',
+        'gauge',
+        'Provider circuit breaker state (1 for the current state)',
+        providerHealth.flatMap((p) =>
+          CIRCUIT_STATES.map((state) => ({ labels: { provider: p.provider, state }, value: p.circuit.state === state ? 1 : 0 }))
+        )
+      ) +
+      formatMetric(
+        'turbo_console_circuit_consecutive_failures',
+        'gauge',
+        'Consecutive failed calls counted by the provider circuit breaker',
+        providerHealth.map((p) => ({ labels: { provider: p.provider }, value: p.circuit.consecutive_failures }))
+      );
+
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(body);
+  } catch (error) {
+    res.status(500).json({
+      error: (error as Error).message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+export default router;
@@ -16,8 +16,10 @@ import {
   transformModelForPinokio,
   filterModelsPinokio,
   sortModelsPinokio,
+  getModelVoices,
 } from '../services/models';
-import { boostTierToCostTier, RATING_FIELDS } from '../utils/constants';
+import { getModelSpeechFormats } from '../providers';
+import { boostTierToCostTier, RATING_FIELDS, SELECTION_STRATEGIES } from '../utils/constants';
 
 const router = Router();
 
@@ -65,17 +67,27 @@ router.post('/suggest-models', (req: Request<object, object, SuggestModelsReques
       models = models.filter((m) => m.cost_tier === costTier);
     }
 
+    const strategy = req.body.strategy;
+    if (strategy !== undefined && !SELECTION_STRATEGIES.includes(strategy)) {
+      res.status(400).json({
+        error: `Invalid strategy: ${strategy}. Must be one of: ${SELECTION_STRATEGIES.join(', ')}`,
+      });
+      return;
+    }
+
     const suggestions = suggestModels(models, {
       provider: req.body.provider,
       cost_tier: req.body.cost_tier || (boostTier ? boostTierToCostTier(boostTier) ?? undefined : undefined),
       capability: req.body.capability,
       max_cost_tier: req.body.max_cost_tier,
+      strategy,
     });
 
     res.json({
       models: suggestions,
       count: suggestions.length,
       boost_tier: boostTier || null,
+      strategy: strategy || null,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -185,7 +197,13 @@ router.get('/api/models/:model_id', (req: Request<{ model_id: string }>, res: Re
       return;
     }
 
-    res.json(transformModelForPinokio(model, db));
+    const pinokioModel = transformModelForPinokio(model, db);
+    if (model.capabilities.tts) {
+      pinokioModel.voices = getModelVoices(model);
+      pinokioModel.speech_formats = getModelSpeechFormats(model);
+    }
+
+    res.json(pinokioModel);
   } catch (error) {
     res.status(500).json({ error: (error as Error).message });
   }
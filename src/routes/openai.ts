@@ -0,0 +1,555 @@
+import { Router, Request, Response } from 'express';
+import { randomUUID } from 'crypto';
+import {
+  OpenAIChatCompletionRequest,
+  OpenAIChatCompletionResponse,
+  OpenAIChatCompletionChunk,
+  OpenAIChatMessage,
+  OpenAIErrorResponse,
+  OpenAIToolCall,
+  OpenAIModelObject,
+  OpenAIEmbeddingRequest,
+  OpenAIEmbeddingResponse,
+  RoutingInfo,
+  OpenAIUsage,
+  ChatMessage,
+  ContentPart,
+  ProviderInput,
+  Model,
+  ToolCall,
+  ToolChoice,
+} from '../types';
+import { databaseService } from '../services/database';
+import { buildModelList, resolveRequestedModel } from '../services/models';
+import {
+  callProvider,
+  streamProvider,
+  embedProvider,
+  normalizeResponse,
+  normalizeUsage,
+  getTextContent,
+  fromOpenAIToolCalls,
+  toOpenAIToolCalls,
+} from '../providers';
+import { BOOST_TIERS, MAX_EMBEDDING_INPUTS, MODEL_ALIAS_CAPABILITIES } from '../utils/constants';
+import { TurboConsoleError, isClientClosedError, isRateLimitError, isTimeoutError } from '../utils/errors';
+import { openSSE, writeSSEData } from '../utils/sse';
+import { toEmbeddingTexts } from './embed';
+import { abortOnClose, checkTimeoutMs, getRequiredCapabilities, validateTools } from './shared';
+
+const router = Router();
+
+/**
+ * Map a normalized finish reason to its OpenAI equivalent
+ * Normalized reasons already use OpenAI values, except error
+ */
+function toOpenAIFinishReason(reason: string | null | undefined): string {
+  if (!reason || reason === 'error') return 'stop';
+  return reason;
+}
+
+/**
+ * Convert a provider usage block (any shape) to OpenAI usage
+ */
+function toOpenAIUsage(raw: unknown): OpenAIUsage {
+  const usage = normalizeUsage(raw);
+  return {
+    prompt_tokens: usage.input_tokens,
+    completion_tokens: usage.output_tokens,
+    total_tokens: usage.total_tokens,
+  };
+}
+
+/**
+ * A request field that cannot be mapped, answered with a 400 naming it as param
+ */
+interface InvalidParam {
+  error: string;
+  param: string;
+}
+
+/**
+ * Convert OpenAI message content to text or content parts (text, image_url, input_audio)
+ * Text-only content stays a plain string so providers without vision accept it
+ */
+function toContent(content: OpenAIChatMessage['content'], param: string): string | ContentPart[] | InvalidParam {
+  if (!Array.isArray(content)) {
+    return content || '';
+  }
+
+  const parts: ContentPart[] = [];
+  for (const part of content) {
+    if (part?.type === 'text' && typeof part.text === 'string') {
+      parts.push({ type: 'text', text: part.text });
+    } else if (part?.type === 'image_url' && part.image_url?.url) {
+      parts.push({ type: 'image', url: part.image_url.url });
+    } else if (part?.type === 'input_audio' && part.input_audio?.data) {
+      parts.push({ type: 'audio', data: part.input_audio.data, format: part.input_audio.format });
+    } else {
+      return { error: `Unsupported content part type: ${part?.type}`, param };
+    }
+  }
+  return parts.some((part) => part.type !== 'text') ? parts : getTextContent(parts);
+}
+
+/**
+ * Convert OpenAI chat messages to provider input messages
+ * Assistant tool_calls and tool messages (by tool_call_id) are kept for multi-turn tool use
+ */
+function toChatMessages(messages: OpenAIChatMessage[]): ChatMessage[] | InvalidParam {
+  const result: ChatMessage[] = [];
+
+  for (const [index, msg] of messages.entries()) {
+    const param = `messages[${index}]`;
+    const content = toContent(msg?.content, `${param}.content`);
+    if (typeof content === 'object' && !Array.isArray(content)) {
+      return content;
+    }
+
+    const role = msg?.role;
+    if (role === 'system' || role === 'developer') {
+      result.push({ role: 'system', content: getTextContent(content) });
+    } else if (role === 'user') {
+      result.push({ role: 'user', content });
+    } else if (role === 'assistant') {
+      const toolCalls = fromOpenAIToolCalls(msg.tool_calls);
+      result.push({ role: 'assistant', content: getTextContent(content), tool_calls: toolCalls.length > 0 ? toolCalls : undefined });
+    } else if (role === 'tool') {
+      if (typeof msg.tool_call_id !== 'string' || !msg.tool_call_id) {
+        return { error: 'Tool messages must have a tool_call_id', param: `${param}.tool_call_id` };
+      }
+      result.push({ role: 'tool', tool_call_id: msg.tool_call_id, content: getTextContent(content) });
+    } else {
+      return { error: `Invalid role: ${role}. Must be 'system', 'developer', 'user', 'assistant' or 'tool'.`, param: `${param}.role` };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert OpenAI tools, tool_choice and response_format to provider-neutral ones
+ * json_object asks for any JSON object, as a JSON schema
+ */
+function toRequestOptions(
+  body: OpenAIChatCompletionRequest
+): Pick<ProviderInput, 'tools' | 'tool_choice' | 'response_format'> | InvalidParam {
+  if (body.tools !== undefined && (!Array.isArray(body.tools) || body.tools.some((tool) => tool?.type !== 'function'))) {
+    return { error: 'tools must be an array of function tools', param: 'tools' };
+  }
+
+  const choice = body.tool_choice;
+  let toolChoice: ToolChoice | undefined;
+  if (typeof choice === 'string' || choice === undefined) {
+    toolChoice = choice;
+  } else {
+    toolChoice = choice?.type === 'function' && choice.function?.name ? { name: choice.function.name } : undefined;
+    if (!toolChoice) {
+      return { error: `tool_choice must be 'auto', 'none', 'required' or a function`, param: 'tool_choice' };
+    }
+  }
+
+  const tools = {
+    tools: body.tools?.map((tool) => ({
+      name: tool.function?.name,
+      description: tool.function?.description,
+      parameters: tool.function?.parameters,
+    })),
+    tool_choice: toolChoice,
+  };
+  const invalid = validateTools(tools);
+  if (invalid) {
+    return { error: invalid, param: 'tools' };
+  }
+
+  const format = body.response_format;
+  if (format === undefined || format?.type === 'text') {
+    return { ...tools, response_format: format };
+  }
+  if (format?.type === 'json_object') {
+    return { ...tools, response_format: { type: 'json_schema', schema: { type: 'object' } } };
+  }
+  if (format?.type === 'json_schema' && format.json_schema?.schema && typeof format.json_schema.schema === 'object') {
+    return { ...tools, response_format: { type: 'json_schema', schema: format.json_schema.schema, name: format.json_schema.name } };
+  }
+  return { error: `response_format type must be 'text', 'json_object' or 'json_schema' with a schema`, param: 'response_format' };
+}
+
+/**
+ * Convert tool calls to OpenAI tool_calls, or undefined when there are none
+ */
+function toOpenAIToolCallList(calls: ToolCall[]): OpenAIToolCall[] | undefined {
+  return calls.length > 0 ? (toOpenAIToolCalls(calls) as unknown as OpenAIToolCall[]) : undefined;
+}
+
+/**
+ * Send an OpenAI-format error response
+ */
+function sendOpenAIError(res: Response, status: number, message: string, type: string, code: string | null = null, param: string | null = null): void {
+  const body: OpenAIErrorResponse = {
+    error: { message, type, param, code },
+  };
+  res.status(status).json(body);
+}
+
+/**
+ * Build routing details for a facade response
+ */
+export function buildRoutingInfo(model: Model, startTime: number): RoutingInfo {
+  return {
+    provider: model.provider,
+    route: model.route,
+    cost_tier: model.cost_tier,
+    execution_time_ms: Date.now() - startTime,
+  };
+}
+
+/**
+ * Stream a completion as OpenAI chat.completion.chunk events
+ */
+async function streamCompletion(
+  req: Request<object, object, OpenAIChatCompletionRequest>,
+  res: Response,
+  model: Model,
+  input: ProviderInput,
+  startTime: number
+): Promise<void> {
+  const id = `chatcmpl-${randomUUID()}`;
+  const created = Math.floor(Date.now() / 1000);
+  const chunks = streamProvider(model, input);
+
+  // Pull the first chunk before opening the stream so upstream failures
+  // are returned as regular OpenAI error responses
+  let next = await chunks.next();
+
+  const makeChunk = (delta: OpenAIChatCompletionChunk['choices'][0]['delta'], finishReason: string | null): OpenAIChatCompletionChunk => ({
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model: model.id,
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+  });
+
+  openSSE(res);
+  writeSSEData(res, makeChunk({ role: 'assistant', content: '' }, null));
+
+  let finishReason: string | null = null;
+  let usage: unknown = null;
+
+  try {
+    while (!next.done) {
+      const chunk = next.value;
+      if (chunk.delta) {
+        writeSSEData(res, makeChunk({ content: chunk.delta }, null));
+      }
+      if (chunk.tool_calls) {
+        const toolCalls = (toOpenAIToolCallList(chunk.tool_calls) || []).map((call, index) => ({ index, ...call }));
+        writeSSEData(res, makeChunk({ tool_calls: toolCalls }, null));
+      }
+      if (chunk.finish_reason) finishReason = chunk.finish_reason;
+      if (chunk.usage) usage = chunk.usage;
+
+      next = await chunks.next();
+    }
+
+    writeSSEData(res, {
+      ...makeChunk({}, toOpenAIFinishReason(finishReason)),
+      x_turbo_console: buildRoutingInfo(model, startTime),
+    });
+
+    if (req.body.stream_options?.include_usage) {
+      writeSSEData(res, { ...makeChunk({}, null), choices: [], usage: toOpenAIUsage(usage) });
+    }
+  } catch (error) {
+    const err = error as Error;
+
+    // Nobody is left to read an error chunk once the client went away
+    if (isClientClosedError(err) || res.writableEnded) {
+      return;
+    }
+
+    writeSSEData(res, {
+      error: {
+        message: err.message,
+        type: isRateLimitError(err) ? 'rate_limit_error' : 'api_error',
+        param: null,
+        code: null,
+      },
+    });
+  }
+
+  writeSSEData(res, '[DONE]');
+  res.end();
+}
+
+/**
+ * POST /v1/chat/completions - OpenAI-compatible chat completions
+ */
+router.post('/v1/chat/completions', async (req: Request<object, object, OpenAIChatCompletionRequest>, res: Response) => {
+  const startTime = Date.now();
+  const abort = abortOnClose(res);
+
+  try {
+    if (!Array.isArray(req.body.messages) || req.body.messages.length === 0) {
+      sendOpenAIError(res, 400, 'messages must be a non-empty array', 'invalid_request_error', null, 'messages');
+      return;
+    }
+
+    const timeoutError = checkTimeoutMs(req.body.timeout_ms);
+    if (timeoutError) {
+      sendOpenAIError(res, 400, `timeout_ms ${timeoutError}`, 'invalid_request_error', null, 'timeout_ms');
+      return;
+    }
+
+    const messages = toChatMessages(req.body.messages);
+    if ('error' in messages) {
+      sendOpenAIError(res, 400, messages.error, 'invalid_request_error', null, messages.param);
+      return;
+    }
+
+    const options = toRequestOptions(req.body);
+    if ('error' in options) {
+      sendOpenAIError(res, 400, options.error, 'invalid_request_error', null, options.param);
+      return;
+    }
+
+    // Auto aliases pick a model that can take the images and tools; a named model must have them
+    const required = getRequiredCapabilities({ messages, tools: options.tools });
+    const db = databaseService.loadDb();
+    const models = buildModelList(db);
+    const model = resolveRequestedModel(models, req.body.model, undefined, required);
+
+    if (!model) {
+      sendOpenAIError(res, 404, `The model '${req.body.model}' does not exist`, 'invalid_request_error', 'model_not_found', 'model');
+      return;
+    }
+
+    const missing = required.find((key) => !model.capabilities?.[key]);
+    if (missing) {
+      sendOpenAIError(
+        res,
+        400,
+        `The model '${model.id}' does not support ${missing === 'tools' ? 'tool calling' : 'image input'}`,
+        'invalid_request_error',
+        null,
+        missing === 'tools' ? 'tools' : 'messages'
+      );
+      return;
+    }
+
+    const input: ProviderInput = {
+      messages,
+      ...options,
+      temperature: req.body.temperature,
+      max_tokens: req.body.max_completion_tokens ?? req.body.max_tokens,
+      timeout_ms: req.body.timeout_ms,
+      signal: abort.signal,
+    };
+
+    if (req.body.stream) {
+      await streamCompletion(req, res, model, input, startTime);
+      return;
+    }
+
+    const providerResponse = await callProvider(model, input);
+    const normalized = normalizeResponse(providerResponse);
+
+    const response: OpenAIChatCompletionResponse = {
+      id: `chatcmpl-${randomUUID()}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: model.id,
+      choices: [
+        {
+          index: 0,
+          message: {
+            role: 'assistant',
+            content: normalized.text || (normalized.tool_calls.length > 0 ? null : ''),
+            tool_calls: toOpenAIToolCallList(normalized.tool_calls),
+          },
+          finish_reason: toOpenAIFinishReason(normalized.finish_reason),
+        },
+      ],
+      usage: toOpenAIUsage(normalized.usage),
+      x_turbo_console: buildRoutingInfo(model, startTime),
+    };
+
+    res.json(response);
+  } catch (error) {
+    const err = error as Error;
+
+    if (isClientClosedError(err)) {
+      return;
+    }
+
+    if (err instanceof TurboConsoleError && err.statusCode === 400) {
+      sendOpenAIError(res, 400, err.message, 'invalid_request_error', err.code);
+      return;
+    }
+
+    if (isRateLimitError(err)) {
+      sendOpenAIError(res, 429, err.message, 'rate_limit_error', 'rate_limit_exceeded');
+      return;
+    }
+
+    if (isTimeoutError(err)) {
+      sendOpenAIError(res, 504, err.message, 'api_error', 'timeout');
+      return;
+    }
+
+    sendOpenAIError(res, 500, err.message, 'api_error');
+  }
+});
+
+/**
+ * Encode an embedding as base64 little-endian float32, like OpenAI's encoding_format=base64
+ */
+function toBase64Embedding(embedding: number[]): string {
+  const buffer = Buffer.alloc(embedding.length * 4);
+  embedding.forEach((value, i) => buffer.writeFloatLE(value, i * 4));
+  return buffer.toString('base64');
+}
+
+/**
+ * POST /v1/embeddings - OpenAI-compatible embeddings
+ * "auto" and aliases without a capability pick an embeddings model
+ */
+router.post('/v1/embeddings', async (req: Request<object, object, OpenAIEmbeddingRequest>, res: Response) => {
+  const startTime = Date.now();
+  const abort = abortOnClose(res);
+
+  try {
+    const texts = toEmbeddingTexts(req.body.input);
+    if (!texts || texts.length > MAX_EMBEDDING_INPUTS) {
+      sendOpenAIError(
+        res,
+        400,
+        `input must be a string or an array of 1 to ${MAX_EMBEDDING_INPUTS} strings`,
+        'invalid_request_error',
+        null,
+        'input'
+      );
+      return;
+    }
+
+    const encodingFormat = req.body.encoding_format || 'float';
+    if (!['float', 'base64'].includes(encodingFormat)) {
+      sendOpenAIError(res, 400, `encoding_format must be 'float' or 'base64'`, 'invalid_request_error', null, 'encoding_format');
+      return;
+    }
+
+    const timeoutError = checkTimeoutMs(req.body.timeout_ms);
+    if (timeoutError) {
+      sendOpenAIError(res, 400, `timeout_ms ${timeoutError}`, 'invalid_request_error', null, 'timeout_ms');
+      return;
+    }
+
+    const db = databaseService.loadDb();
+    const models = buildModelList(db);
+    const model = resolveRequestedModel(models, req.body.model, 'embeddings');
+
+    if (!model) {
+      sendOpenAIError(res, 404, `The model '${req.body.model}' does not exist`, 'invalid_request_error', 'model_not_found', 'model');
+      return;
+    }
+
+    if (!model.capabilities.embeddings) {
+      sendOpenAIError(res, 400, `The model '${model.id}' does not support embeddings`, 'invalid_request_error', null, 'model');
+      return;
+    }
+
+    const result = await embedProvider(model, { texts, timeout_ms: req.body.timeout_ms, signal: abort.signal });
+
+    const response: OpenAIEmbeddingResponse = {
+      object: 'list',
+      data: result.embeddings.map((embedding, index) => ({
+        object: 'embedding',
+        index,
+        embedding: encodingFormat === 'base64' ? toBase64Embedding(embedding) : embedding,
+      })),
+      model: model.id,
+      usage: {
+        prompt_tokens: result.usage.input_tokens,
+        total_tokens: result.usage.total_tokens,
+      },
+      x_turbo_console: buildRoutingInfo(model, startTime),
+    };
+
+    res.json(response);
+  } catch (error) {
+    const err = error as Error;
+
+    if (isClientClosedError(err)) {
+      return;
+    }
+
+    if (err instanceof TurboConsoleError && err.statusCode === 400) {
+      sendOpenAIError(res, 400, err.message, 'invalid_request_error', err.code);
+      return;
+    }
+
+    if (isRateLimitError(err)) {
+      sendOpenAIError(res, 429, err.message, 'rate_limit_error', 'rate_limit_exceeded');
+      return;
+    }
+
+    if (isTimeoutError(err)) {
+      sendOpenAIError(res, 504, err.message, 'api_error', 'timeout');
+      return;
+    }
+
+    sendOpenAIError(res, 500, err.message, 'api_error');
+  }
+});
+
+/**
+ * GET /v1/models - OpenAI-compatible model list, including auto aliases
+ */
+router.get('/v1/models', (_req: Request, res: Response) => {
+  try {
+    const db = databaseService.loadDb();
+    const models = buildModelList(db);
+
+    const aliases: string[] = ['auto'];
+    for (const tier of Object.keys(BOOST_TIERS)) {
+      aliases.push(`auto@${tier}`);
+    }
+    for (const capability of MODEL_ALIAS_CAPABILITIES) {
+      aliases.push(`auto:${capability}`);
+      for (const tier of Object.keys(BOOST_TIERS)) {
+        aliases.push(`auto:${capability}@${tier}`);
+      }
+    }
+
+    const data: OpenAIModelObject[] = [
+      ...aliases.map((id) => ({ id, object: 'model' as const, created: 0, owned_by: 'turbo-console' })),
+      ...models.map((m) => ({ id: m.id, object: 'model' as const, created: 0, owned_by: m.provider })),
+    ];
+
+    res.json({ object: 'list', data });
+  } catch (error) {
+    sendOpenAIError(res, 500, (error as Error).message, 'api_error');
+  }
+});
+
+/**
+ * GET /v1/models/:model_id - OpenAI-compatible single model lookup
+ */
+router.get('/v1/models/:model_id(*)', (req: Request<{ model_id: string }>, res: Response) => {
+  try {
+    const db = databaseService.loadDb();
+    const model = buildModelList(db).find((m) => m.id === req.params.model_id);
+
+    if (!model) {
+      sendOpenAIError(res, 404, `The model '${req.params.model_id}' does not exist`, 'invalid_request_error', 'model_not_found', 'model');
+      return;
+    }
+
+    const body: OpenAIModelObject = { id: model.id, object: 'model', created: 0, owned_by: model.provider };
+    res.json(body);
+  } catch (error) {
+    sendOpenAIError(res, 500, (error as Error).message, 'api_error');
+  }
+});
+
+export default router;
@@ -8,6 +8,8 @@ import {
 import { databaseService } from '../services/database';
 import { buildModelList, suggestModels } from '../services/models';
 import { rateLimitService } from '../services/rateLimit';
+import { circuitBreakerService } from '../services/circuitBreaker';
+import { getModelPoolKeyIds } from '../providers';
 import { boostTierToCostTier, TASK_CAPABILITY_MAP } from '../utils/constants';
 import { checkBoostTierExhaustion } from './account';
 
@@ -43,7 +45,8 @@ router.post('/preflight', async (req: Request<object, object, PreflightRequest>,
     let candidateModels = allModels.filter(
       (m) =>
         m.cost_tier === tierStatus.cost_tier &&
-        (tierStatus.usable_model_ids || []).includes(m.id)
+        (tierStatus.usable_model_ids || []).includes(m.id) &&
+        !circuitBreakerService.isOpen(m.route || m.provider)
     );
 
     // Filter by capability if specified
@@ -163,11 +166,11 @@ router.post('/api/preflight/batch', async (req: Request<object, object, BatchPre
       // Check rate limits for top candidate
       let foundUsable = false;
       for (const candidate of sortedCandidates) {
-        const cached = rateLimitService.get(candidate.provider, candidate.id);
+        const cached = rateLimitService.get(candidate.route || candidate.provider, candidate.id, getModelPoolKeyIds(candidate));
         const staticLimits = candidate.limits || {};
 
         // Get current limits (prefer cached real-time data)
-        const requestsRemaining = cached?.requests_remaining ?? staticLimits.rpm ?? 999;
+        const requestsRemaining = cached?.requests_remaining ?? cached?.requests_remaining_daily ?? staticLimits.rpm ?? 999;
         const tokensRemaining = cached?.tokens_remaining ?? staticLimits.tpm ?? 999999;
 
         // Account for simulated usage from earlier tasks in this batch
@@ -207,11 +210,8 @@ router.post('/api/preflight/batch', async (req: Request<object, object, BatchPre
             m.capabilities?.[task.capability as keyof ModelCapabilities || 'chat']
         );
 
-        const cached = rateLimitService.get(sortedCandidates[0].provider, sortedCandidates[0].id);
-        const resetTime = cached?.reset_time;
-        const waitSeconds = resetTime
-          ? Math.max(0, Math.ceil((new Date(resetTime).getTime() - Date.now()) / 1000))
-          : 60;
+        const limited = sortedCandidates[0];
+        const waitSeconds = rateLimitService.getWaitTime(limited.route || limited.provider, limited.id, getModelPoolKeyIds(limited));
 
         results.push({
           task_index: i,
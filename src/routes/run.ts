@@ -1,132 +1,758 @@
 import { Router, Request, Response } from 'express';
-import { RunRequest, CostTier } from '../types';
+import {
+  RunRequest,
+  RunMetadata,
+  RunAttempt,
+  RunStreamStartEvent,
+  RunStreamDeltaEvent,
+  RunStreamDoneEvent,
+  RunErrorResponse,
+  RunInvalidResponse,
+  RunOutcome,
+  ProviderStreamChunk,
+  ModelCapabilities,
+  ProviderInput,
+  ChatMessage,
+  ToolCall,
+  CostTier,
+  Database,
+  Model,
+  ImageGenerationResult,
+} from '../types';
 import { databaseService } from '../services/database';
-import { buildModelList, suggestModels, pickModel } from '../services/models';
-import { callProvider, extractContent } from '../providers';
-import { boostTierToCostTier } from '../utils/constants';
-import { isRateLimitError } from '../utils/errors';
+import { buildModelList, suggestModels, pickModel, rankFallbackModels } from '../services/models';
+import { rateLimitService } from '../services/rateLimit';
+import { waitQueueService } from '../services/waitQueue';
+import {
+  callProvider,
+  streamProvider,
+  generateImageProvider,
+  extractContent,
+  normalizeResponse,
+  normalizeUsage,
+  getTextContent,
+  getModelPoolKeyIds,
+} from '../providers';
+import {
+  boostTierToCostTier,
+  DEFAULT_JSON_REPAIRS,
+  MAX_JSON_REPAIRS,
+  DEFAULT_LIMIT_WAIT_SECONDS,
+  MAX_LIMIT_WAIT_SECONDS,
+} from '../utils/constants';
+import { getRetryAfterSeconds, isClientClosedError } from '../utils/errors';
+import { checkJsonSchema, parseJsonOutput, validateJsonSchema } from '../utils/jsonSchema';
+import { openSSE, writeSSE } from '../utils/sse';
 import { checkBoostTierExhaustion } from './account';
+import { abortOnClose, getErrorStatus, getErrorType, getRequiredCapabilities, resolveRouting, validateTools } from './shared';
 
 const router = Router();
 
 /**
- * POST /run - Execute a model inference
+ * Started provider stream with its first chunk already pulled
  */
-router.post('/run', async (req: Request<object, object, RunRequest>, res: Response) => {
-  const startTime = Date.now();
+interface StartedStream {
+  chunks: AsyncGenerator<ProviderStreamChunk>;
+  first: IteratorResult<ProviderStreamChunk>;
+}
+
+/**
+ * Structured output check: parsed value (null when invalid) and validation errors
+ */
+interface StructuredOutput {
+  parsed: unknown;
+  errors: string[];
+}
+
+/**
+ * Provider response for a run, plus the structured output check when a schema was requested
+ * Image models answer with generated images instead of a provider response
+ */
+interface RunCallResult {
+  response: unknown;
+  structured: (StructuredOutput & { repairs: number }) | null;
+  generated: ImageGenerationResult | null;
+}
+
+/**
+ * Validate multimodal message content parts, returning an error message or null
+ */
+function validateContentParts(body: RunRequest): string | null {
+  for (const msg of body.messages || []) {
+    if (typeof msg.content === 'string') continue;
+
+    if (!Array.isArray(msg.content)) {
+      return 'Invalid messages: content must be a string or an array of parts';
+    }
+
+    for (const part of msg.content) {
+      if (part?.type === 'text' && typeof part.text === 'string') continue;
+      if (part?.type === 'image' && (part.url || part.data)) continue;
+      if (part?.type === 'audio' && part.data) continue;
+      return 'Invalid content part: expected { type: "text", text }, { type: "image", url | data, media_type? } or { type: "audio", data, format? }';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate response_format and max_repairs, returning an error message or null
+ */
+function validateResponseFormat(body: RunRequest): string | null {
+  const format = body.response_format;
+  if (format !== undefined) {
+    if (!format || !['text', 'json_schema'].includes(format.type)) {
+      return `Invalid response_format: type must be 'text' or 'json_schema'`;
+    }
+    if (format.type === 'json_schema' && (!format.schema || typeof format.schema !== 'object' || Array.isArray(format.schema))) {
+      return 'Invalid response_format: json_schema requires a schema object';
+    }
+
+    // A bad schema would otherwise only fail after the model answered, on every fallback
+    const schemaError = format.type === 'json_schema' ? checkJsonSchema(format.schema) : null;
+    if (schemaError) {
+      return `Invalid response_format schema: ${schemaError}`;
+    }
+  }
+
+  const maxRepairs = body.max_repairs;
+  if (maxRepairs !== undefined && (!Number.isInteger(maxRepairs) || maxRepairs < 0 || maxRepairs > MAX_JSON_REPAIRS)) {
+    return `Invalid max_repairs: ${maxRepairs}. Must be an integer from 0 to ${MAX_JSON_REPAIRS}.`;
+  }
+
+  return null;
+}
+
+/**
+ * Parse output as JSON and validate it against the requested schema
+ */
+function checkStructuredOutput(text: string, schema: Record<string, unknown>): StructuredOutput {
+  const result = parseJsonOutput(text);
+  if (!result.ok) {
+    return { parsed: null, errors: [result.error] };
+  }
+
+  const errors = validateJsonSchema(result.value, schema);
+  return { parsed: errors.length === 0 ? result.value : null, errors };
+}
+
+/**
+ * Get the text-to-image prompt of a run: input, prompt, else the last message's text
+ */
+function getImagePrompt(body: RunRequest): string {
+  const last = body.messages?.[body.messages.length - 1];
+  return body.input || body.prompt || (last ? getTextContent(last.content) : '');
+}
+
+/**
+ * Capability a run's fallbacks and suggestions are ranked under: the requested one,
+ * else image generation for text-to-image models and chat for the rest
+ */
+function getRunCapability(body: RunRequest, selected: Model): keyof ModelCapabilities {
+  return body.capability ?? (selected.capabilities?.image_generation ? 'image_generation' : 'chat');
+}
+
+/**
+ * Call a model for a run. With a json_schema response_format, invalid output is
+ * sent back to the same model with the validation errors, up to max_repairs times.
+ * Text-to-image models get an image generation call instead of a chat completion.
+ */
+async function callRun(model: Model, body: RunRequest, signal: AbortSignal): Promise<RunCallResult> {
+  if (model.capabilities?.image_generation) {
+    const generated = await generateImageProvider(model, { prompt: getImagePrompt(body), timeout_ms: body.timeout_ms, signal });
+    return { response: null, structured: null, generated };
+  }
+
+  let response = await callProvider(model, { ...body, signal });
+
+  const format = body.response_format;
+  if (format?.type !== 'json_schema') {
+    return { response, structured: null, generated: null };
+  }
+
+  const maxRepairs = body.max_repairs ?? DEFAULT_JSON_REPAIRS;
+  let text = extractContent(response).text;
+  let check = checkStructuredOutput(text, format.schema);
+  let messages: ChatMessage[] = body.messages?.length
+    ? body.messages
+    : [{ role: 'user', content: body.input || body.prompt || '' }];
+  let repairs = 0;
+
+  while (check.errors.length > 0 && repairs < maxRepairs) {
+    repairs++;
+    messages = [
+      ...messages,
+      { role: 'assistant', content: text },
+      {
+        role: 'user',
+        content: `Your previous response did not match the required JSON schema:\n${check.errors.join('\n')}\nReply with only the corrected JSON.`,
+      },
+    ];
+
+    const input: ProviderInput = { ...body, messages, signal };
+    response = await callProvider(model, input);
+    text = extractContent(response).text;
+    check = checkStructuredOutput(text, format.schema);
+  }
+
+  return { response, structured: { ...check, repairs }, generated: null };
+}
+
+/**
+ * Build the metadata block returned with a successful run
+ */
+function buildRunMetadata(
+  selected: Model,
+  body: RunRequest,
+  startTime: number,
+  usage: unknown,
+  modelReported: string | null = null
+): RunMetadata {
+  return {
+    cost_tier: selected.cost_tier,
+    boost_tier: body.boost_tier || null,
+    execution_time_ms: Date.now() - startTime,
+    timestamp: new Date().toISOString(),
+    usage: usage ? normalizeUsage(usage) : null,
+    model_reported: modelReported,
+    rate_limits: selected.limits || null,
+  };
+}
+
+/**
+ * Try candidates in order until one succeeds, recording each hop in attempts.
+ * Providers that already failed are skipped, as are fallback models whose
+ * cached rate limits are exhausted. Throws the last error if every call fails.
+ */
+export async function runWithFallback<T>(
+  candidates: Model[],
+  maxAttempts: number,
+  attempts: RunAttempt[],
+  execute: (model: Model) => Promise<T>
+): Promise<{ model: Model; result: T }> {
+  const failedProviders = new Set<string>();
+  let lastError: Error | null = null;
+  let calls = 0;
+
+  for (const [index, model] of candidates.entries()) {
+    if (calls >= maxAttempts) break;
+
+    if (failedProviders.has(model.provider)) {
+      attempts.push({
+        model_id: model.id,
+        provider: model.provider,
+        status: 'skipped',
+        reason: `Provider ${model.provider} already failed in this request`,
+      });
+      continue;
+    }
+
+    // With a key pool, a model is only skipped when no pooled key has capacity left
+    if (index > 0 && rateLimitService.isRateLimited(model.route || model.provider, model.id, getModelPoolKeyIds(model))) {
+      attempts.push({
+        model_id: model.id,
+        provider: model.provider,
+        status: 'skipped',
+        reason: 'Cached rate limits exhausted',
+      });
+      continue;
+    }
+
+    calls++;
+
+    try {
+      const result = await execute(model);
+      attempts.push({ model_id: model.id, provider: model.provider, status: 'success' });
+      return { model, result };
+    } catch (error) {
+      lastError = error as Error;
+
+      // A disconnected client ends the walk, there is nobody left to answer
+      if (isClientClosedError(lastError)) {
+        throw lastError;
+      }
+
+      failedProviders.add(model.provider);
+      attempts.push({
+        model_id: model.id,
+        provider: model.provider,
+        status: 'failed',
+        error_type: getErrorType(lastError),
+        error: lastError.message,
+      });
+    }
+  }
+
+  throw lastError || new Error('No fallback candidates available');
+}
+
+/**
+ * Run with fallback. With on_limit "wait", a run that ends rate limited waits in
+ * the limited provider's queue until its window resets, then walks the candidates
+ * again, until it succeeds or max_wait_seconds runs out.
+ */
+async function runWithLimitWait<T>(
+  body: RunRequest,
+  candidates: Model[],
+  maxAttempts: number,
+  attempts: RunAttempt[],
+  signal: AbortSignal,
+  execute: (model: Model) => Promise<T>
+): Promise<{ model: Model; result: T }> {
+  if (body.on_limit !== 'wait') {
+    return runWithFallback(candidates, maxAttempts, attempts, execute);
+  }
+
+  // The wait budget starts when the run is first parked, not before its first call
+  let deadline: number | null = null;
+  let queue: string | null = null;
+  let ticket: number | undefined;
 
   try {
-    const db = databaseService.loadDb();
-    let models = buildModelList(db);
+    for (;;) {
+      try {
+        return await runWithFallback(candidates, maxAttempts, attempts, execute);
+      } catch (error) {
+        const err = error as Error;
+        const lastFailed = [...attempts].reverse().find((a) => a.status === 'failed');
+        const limited = lastFailed && candidates.find((m) => m.id === lastFailed.model_id);
+        if (getErrorType(err) !== 'rate_limit_exceeded' || !limited) {
+          throw err;
+        }
 
-    // Filter by boost_tier if specified
-    const boostTier = req.body.boost_tier;
-    if (boostTier) {
-      const costTier = boostTierToCostTier(boostTier);
-      if (!costTier) {
-        res.status(400).json({
-          error: `Invalid boost_tier: ${boostTier}. Must be 'turbo' or 'ultra'.`,
+        // Queues are per route, matching how rate limits are cached
+        const route = limited.route || limited.provider;
+        if (queue !== null && queue !== route && ticket !== undefined) {
+          waitQueueService.leave(queue, ticket);
+          ticket = undefined;
+        }
+        queue = route;
+
+        const waitStart = Date.now();
+        deadline ??= waitStart + (body.max_wait_seconds ?? DEFAULT_LIMIT_WAIT_SECONDS) * 1000;
+        const releaseAt = waitStart + (getRetryAfterSeconds(err) ?? 0) * 1000;
+        const released = await waitQueueService.wait(
+          route,
+          limited.id,
+          getModelPoolKeyIds(limited),
+          releaseAt,
+          deadline,
+          signal,
+          ticket
+        );
+        if (released === null) {
+          throw err;
+        }
+
+        ticket = released;
+        attempts.push({
+          model_id: limited.id,
+          provider: limited.provider,
+          status: 'queued',
+          reason: 'Waited for rate limit window to reset',
+          waited_ms: Date.now() - waitStart,
         });
-        return;
       }
-      models = models.filter((m) => m.cost_tier === costTier);
     }
+  } finally {
+    if (queue !== null && ticket !== undefined) {
+      waitQueueService.leave(queue, ticket);
+    }
+  }
+}
 
-    const selected = pickModel(models, {
-      model_id: req.body.model_id,
-      capability: req.body.capability,
-      max_cost_tier: req.body.max_cost_tier,
-    });
+/**
+ * Start a provider stream, pulling the first chunk so that failures to reach
+ * the provider surface before any bytes are sent to the client
+ */
+async function startStream(model: Model, body: RunRequest, signal: AbortSignal): Promise<StartedStream> {
+  const chunks = streamProvider(model, { ...body, signal });
+  const first = await chunks.next();
+  return { chunks, first };
+}
 
-    if (!selected) {
-      res.status(400).json({
-        error: 'No model matched request',
-        request: req.body,
-        boost_tier: boostTier,
-        available_models_count: models.length,
-      });
-      return;
-    }
+/**
+ * Stream a run as server-sent events: start, delta..., then done or error
+ */
+async function streamRun(
+  req: Request<object, object, RunRequest>,
+  res: Response,
+  selected: Model,
+  stream: StartedStream,
+  db: Database,
+  startTime: number,
+  attempts?: RunAttempt[]
+): Promise<void> {
+  openSSE(res);
+  const start: RunStreamStartEvent = {
+    model_id: selected.id,
+    provider: selected.provider,
+    route: selected.route,
+  };
+  writeSSE(res, 'start', start);
 
-    // Make actual provider call
-    const providerResponse = await callProvider(selected, req.body);
+  let next = stream.first;
+  let output = '';
+  let toolCalls: ToolCall[] = [];
+  let finishReason: string | null = null;
+  let usage: unknown = null;
 
-    // Check boost tier exhaustion after call
-    let exhaustionCheck = null;
-    if (boostTier) {
-      exhaustionCheck = await checkBoostTierExhaustion(boostTier, db);
+  try {
+    while (!next.done) {
+      const chunk = next.value;
+      if (chunk.delta) {
+        output += chunk.delta;
+        const delta: RunStreamDeltaEvent = { delta: chunk.delta };
+        writeSSE(res, 'delta', delta);
+      }
+      if (chunk.tool_calls) toolCalls = toolCalls.concat(chunk.tool_calls);
+      if (chunk.finish_reason) finishReason = chunk.finish_reason;
+      if (chunk.usage) usage = chunk.usage;
+
+      next = await stream.chunks.next();
     }
 
-    // Extract content from response
-    const output = extractContent(providerResponse);
+    // Check boost tier exhaustion after call
+    const boostTier = req.body.boost_tier;
+    const exhaustionCheck = boostTier ? await checkBoostTierExhaustion(boostTier, db) : null;
+
+    // Streamed output is already sent, so it is validated but not repaired
+    const format = req.body.response_format;
+    const structured = format?.type === 'json_schema' ? checkStructuredOutput(output, format.schema) : null;
 
-    res.json({
+    const done: RunStreamDoneEvent = {
       model_id: selected.id,
       provider: selected.provider,
       route: selected.route,
       output,
-      raw_provider_response: providerResponse,
+      tool_calls: toolCalls,
+      finish_reason: finishReason,
+      parsed: structured?.parsed,
+      validation_errors: structured?.errors.length ? structured.errors : undefined,
       error: null,
+      metadata: buildRunMetadata(selected, req.body, startTime, usage),
+      boost_tier_exhausted: exhaustionCheck?.exhausted || false,
+      boost_tier_message: exhaustionCheck?.message || null,
+      attempts,
+    };
+    writeSSE(res, 'done', done);
+  } catch (error) {
+    const err = error as Error;
+
+    // Nobody is left to read an error event once the client went away
+    if (isClientClosedError(err) || res.writableEnded) {
+      return;
+    }
+
+    const errorType = getErrorType(err);
+    const failure: RunErrorResponse = {
+      error: err.message,
+      error_type: errorType,
+      provider: selected.provider,
+      model_id: selected.id,
+      retry_after_seconds: getRetryAfterSeconds(err),
+      suggestion: null,
       metadata: {
-        cost_tier: selected.cost_tier,
-        boost_tier: boostTier || null,
         execution_time_ms: Date.now() - startTime,
         timestamp: new Date().toISOString(),
-        usage: (providerResponse as Record<string, unknown>).usage || null,
-        rate_limits: selected.limits || null,
       },
-      boost_tier_exhausted: exhaustionCheck?.exhausted || false,
-      boost_tier_message: exhaustionCheck?.message || null,
+      attempts,
+    };
+    writeSSE(res, 'error', failure);
+  }
+
+  res.end();
+}
+
+/**
+ * Validated /run request: the selected model and the fallback candidates to walk
+ */
+interface RunPlan {
+  db: Database;
+  candidates: Model[];
+  attempt_limit: number;
+  report_attempts: boolean;
+}
+
+/**
+ * Reject an invalid /run request with a 400
+ */
+function invalidRun(body: RunInvalidResponse): RunOutcome {
+  return { status: 400, body };
+}
+
+/**
+ * Validate a /run request and select its model and fallback candidates
+ * Returns the 400 outcome instead when the request is invalid or no model matches
+ */
+function planRun(body: RunRequest): RunPlan | RunOutcome {
+  const routing = resolveRouting(body);
+  if ('error' in routing) {
+    return invalidRun({ error: routing.error });
+  }
+  const models = routing.models;
+
+  if (body.on_limit !== undefined && !['fail', 'wait'].includes(body.on_limit)) {
+    return invalidRun({ error: `Invalid on_limit: ${body.on_limit}. Must be 'fail' or 'wait'.` });
+  }
+
+  const maxWait = body.max_wait_seconds;
+  if (maxWait !== undefined && (!Number.isInteger(maxWait) || maxWait < 1 || maxWait > MAX_LIMIT_WAIT_SECONDS)) {
+    return invalidRun({
+      error: `Invalid max_wait_seconds: ${maxWait}. Must be an integer from 1 to ${MAX_LIMIT_WAIT_SECONDS}.`,
     });
-  } catch (error) {
-    const err = error as Error;
-    const isRateLimit = isRateLimitError(err);
+  }
 
-    // Try to find the selected model for error context
-    const db = databaseService.loadDb();
-    let models = buildModelList(db);
-    const boostTier = req.body.boost_tier;
-    if (boostTier) {
-      const costTier = boostTierToCostTier(boostTier);
-      if (costTier) {
-        models = models.filter((m) => m.cost_tier === costTier);
-      }
+  const inputError = validateContentParts(body) || validateTools(body) || validateResponseFormat(body);
+  if (inputError) {
+    return invalidRun({ error: inputError });
+  }
+
+  const required = getRequiredCapabilities(body);
+  const requires = required.length > 0 ? required : undefined;
+
+  const selected = pickModel(models, {
+    model_id: body.model_id,
+    capability: body.capability,
+    max_cost_tier: body.max_cost_tier,
+    requires,
+    strategy: body.strategy,
+  });
+
+  if (!selected) {
+    return invalidRun({
+      error: 'No model matched request',
+      request: body,
+      boost_tier: body.boost_tier,
+      available_models_count: models.length,
+    });
+  }
+
+  const missing = required.find((key) => !selected.capabilities?.[key]);
+  if (missing) {
+    return invalidRun({
+      error: `Model ${selected.id} does not support ${missing === 'tools' ? 'tool calling' : 'image input'}`,
+    });
+  }
+
+  if (selected.capabilities?.image_generation && body.stream) {
+    return invalidRun({ error: `Model ${selected.id} generates images and does not support streaming` });
+  }
+
+  if (selected.capabilities?.image_generation && !getImagePrompt(body)) {
+    return invalidRun({ error: `Model ${selected.id} generates images and needs a text prompt` });
+  }
+
+  // Walk same-tier alternatives only when fallback is enabled
+  return {
+    db: routing.db,
+    candidates: routing.fallback_enabled ? rankFallbackModels(models, selected, getRunCapability(body, selected), requires, body.strategy) : [selected],
+    attempt_limit: routing.attempt_limit,
+    report_attempts: routing.fallback_enabled || body.on_limit === 'wait',
+  };
+}
+
+/**
+ * Build the /run error outcome for a failed call, suggesting a same-capability
+ * model from another provider when the failure was a rate limit or timeout
+ */
+function failRun(body: RunRequest, error: Error, attempts: RunAttempt[], startTime: number): RunOutcome {
+  const errorType = getErrorType(error);
+
+  // Try to find the selected model for error context
+  const db = databaseService.loadDb();
+  let models = buildModelList(db);
+  const boostTier = body.boost_tier;
+  if (boostTier) {
+    const costTier = boostTierToCostTier(boostTier);
+    if (costTier) {
+      models = models.filter((m) => m.cost_tier === costTier);
     }
-    const selected = req.body.model_id
-      ? models.find((m) => m.id === req.body.model_id)
-      : null;
-
-    let suggestion = null;
-
-    if (isRateLimit && selected) {
-      // Find alternative model with same capability
-      const capability = req.body.capability || 'chat';
-      const alternatives = suggestModels(models, {
-        capability: capability,
-        max_cost_tier: (req.body.max_cost_tier || 'remote_free') as CostTier,
-      }).filter((m) => m.id !== selected.id && m.provider !== selected.provider);
-
-      if (alternatives.length > 0) {
-        suggestion = {
-          next_best_model: alternatives[0].id,
-          next_best_provider: alternatives[0].provider,
-          reason: 'Same capability, different provider',
-        };
-      }
+  }
+
+  // With fallback, report the last model that was actually called
+  const fallbackEnabled = body.fallback === 'auto';
+  const lastFailed = [...attempts].reverse().find((a) => a.status === 'failed');
+  const selectedId = fallbackEnabled && lastFailed ? lastFailed.model_id : body.model_id;
+  const selected = selectedId
+    ? models.find((m) => m.id === selectedId)
+    : null;
+  const failedProviders = attempts.filter((a) => a.status === 'failed').map((a) => a.provider);
+
+  let suggestion = null;
+
+  if (errorType !== 'provider_error' && selected) {
+    // Find alternative model with same capability
+    const alternatives = suggestModels(models, {
+      capability: getRunCapability(body, selected),
+      max_cost_tier: (body.max_cost_tier || 'remote_free') as CostTier,
+      requires: getRequiredCapabilities(body),
+    }).filter((m) => m.id !== selected.id && m.provider !== selected.provider && !failedProviders.includes(m.provider));
+
+    if (alternatives.length > 0) {
+      suggestion = {
+        next_best_model: alternatives[0].id,
+        next_best_provider: alternatives[0].provider,
+        reason: 'Same capability, different provider',
+      };
     }
+  }
 
-    res.status(isRateLimit ? 429 : 500).json({
-      error: err.message,
-      error_type: isRateLimit ? 'rate_limit_exceeded' : 'provider_error',
+  return {
+    status: getErrorStatus(errorType),
+    body: {
+      error: error.message,
+      error_type: errorType,
       provider: selected?.provider,
       model_id: selected?.id,
-      retry_after_seconds: isRateLimit ? 60 : null,
+      retry_after_seconds: getRetryAfterSeconds(error),
       suggestion,
       metadata: {
         execution_time_ms: Date.now() - startTime,
         timestamp: new Date().toISOString(),
       },
-    });
+      attempts: fallbackEnabled || body.on_limit === 'wait' ? attempts : undefined,
+    },
+  };
+}
+
+/**
+ * Call the planned candidates and build the /run success or error outcome
+ * Throws only when the caller went away, since nobody is left to answer
+ */
+async function executeRun(body: RunRequest, plan: RunPlan, signal: AbortSignal, startTime: number): Promise<RunOutcome> {
+  const attempts: RunAttempt[] = [];
+  const reportedAttempts = plan.report_attempts ? attempts : undefined;
+
+  try {
+    // Make actual provider call
+    const { model: answered, result } = await runWithLimitWait(
+      body,
+      plan.candidates,
+      plan.attempt_limit,
+      attempts,
+      signal,
+      (model) => callRun(model, body, signal)
+    );
+    const providerResponse = result.response;
+    const structured = result.structured;
+
+    // Check boost tier exhaustion after call
+    let exhaustionCheck = null;
+    if (body.boost_tier) {
+      exhaustionCheck = await checkBoostTierExhaustion(body.boost_tier, plan.db);
+    }
+
+    if (result.generated) {
+      return {
+        status: 200,
+        body: {
+          model_id: answered.id,
+          provider: answered.provider,
+          route: answered.route,
+          output: result.generated.text,
+          tool_calls: [],
+          finish_reason: 'stop',
+          images: result.generated.images,
+          raw_provider_response: null,
+          error: null,
+          metadata: buildRunMetadata(answered, body, startTime, result.generated.usage),
+          boost_tier_exhausted: exhaustionCheck?.exhausted || false,
+          boost_tier_message: exhaustionCheck?.message || null,
+          attempts: reportedAttempts,
+        },
+      };
+    }
+
+    // Normalize text, finish reason and usage across provider formats
+    const normalized = normalizeResponse(providerResponse);
+
+    return {
+      status: 200,
+      body: {
+        model_id: answered.id,
+        provider: answered.provider,
+        route: answered.route,
+        output: normalized.text,
+        tool_calls: normalized.tool_calls,
+        finish_reason: normalized.finish_reason,
+        parsed: structured?.parsed,
+        validation_errors: structured?.errors.length ? structured.errors : undefined,
+        repairs: structured?.repairs,
+        raw_provider_response: providerResponse,
+        error: null,
+        metadata: buildRunMetadata(answered, body, startTime, normalized.usage, normalized.model_reported),
+        boost_tier_exhausted: exhaustionCheck?.exhausted || false,
+        boost_tier_message: exhaustionCheck?.message || null,
+        attempts: reportedAttempts,
+      },
+    };
+  } catch (error) {
+    const err = error as Error;
+    if (isClientClosedError(err)) {
+      throw err;
+    }
+    return failRun(body, err, attempts, startTime);
+  }
+}
+
+/**
+ * Validate a /run request without calling a model: its 400 outcome, or null when it would run
+ */
+export function validateRunRequest(body: RunRequest): RunOutcome | null {
+  const plan = planRun(body);
+  return 'status' in plan ? plan : null;
+}
+
+/**
+ * Validate and execute a non-streaming /run request, as POST /run would answer it
+ * Used by /run itself and by background jobs
+ */
+export async function runRequest(body: RunRequest, signal: AbortSignal): Promise<RunOutcome> {
+  const startTime = Date.now();
+  const plan = planRun(body);
+  if ('status' in plan) {
+    return plan;
+  }
+  return executeRun(body, plan, signal, startTime);
+}
+
+/**
+ * POST /run - Execute a model inference
+ */
+router.post('/run', async (req: Request<object, object, RunRequest>, res: Response) => {
+  const startTime = Date.now();
+  const attempts: RunAttempt[] = [];
+
+  const abort = abortOnClose(res);
+
+  try {
+    if (!req.body.stream) {
+      const outcome = await runRequest(req.body, abort.signal);
+      res.status(outcome.status).json(outcome.body);
+      return;
+    }
+
+    const plan = planRun(req.body);
+    if ('status' in plan) {
+      res.status(plan.status).json(plan.body);
+      return;
+    }
+
+    const started = await runWithLimitWait(req.body, plan.candidates, plan.attempt_limit, attempts, abort.signal, (model) =>
+      startStream(model, req.body, abort.signal)
+    );
+    await streamRun(req, res, started.model, started.result, plan.db, startTime, plan.report_attempts ? attempts : undefined);
+  } catch (error) {
+    const err = error as Error;
+
+    if (isClientClosedError(err)) {
+      return;
+    }
+
+    const outcome = failRun(req.body, err, attempts, startTime);
+    res.status(outcome.status).json(outcome.body);
   }
 });
 
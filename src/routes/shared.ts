@@ -0,0 +1,171 @@
+import { Response } from 'express';
+import { Database, Model, ModelCapabilities, ProviderInput, RoutingOptions, RunAttempt, RunErrorResponse, RunErrorType } from '../types';
+import { databaseService } from '../services/database';
+import { buildModelList } from '../services/models';
+import { hasContentType } from '../providers';
+import {
+  boostTierToCostTier,
+  DEFAULT_FALLBACK_ATTEMPTS,
+  MAX_FALLBACK_ATTEMPTS,
+  MAX_PROVIDER_TIMEOUT_MS,
+  SELECTION_STRATEGIES,
+} from '../utils/constants';
+import { ClientClosedError, getRetryAfterSeconds, isClientClosedError, isRateLimitError, isTimeoutError } from '../utils/errors';
+
+/**
+ * Checked routing options: the models left after the boost_tier filter and how many to try
+ */
+export interface RoutingPlan {
+  db: Database;
+  models: Model[];
+  fallback_enabled: boolean;
+  attempt_limit: number;
+}
+
+/**
+ * Classify a provider failure for /run, /embed, /transcribe and /speak responses
+ */
+export function getErrorType(error: Error): RunErrorType {
+  if (isTimeoutError(error)) return 'timeout';
+  return isRateLimitError(error) ? 'rate_limit_exceeded' : 'provider_error';
+}
+
+/**
+ * HTTP status for a /run, /embed, /transcribe or /speak error type
+ */
+export function getErrorStatus(errorType: RunErrorType): number {
+  if (errorType === 'rate_limit_exceeded') return 429;
+  if (errorType === 'timeout') return 504;
+  return 500;
+}
+
+/**
+ * Abort controller for a request, aborted when the client goes away before the response is sent
+ */
+export function abortOnClose(res: Response): AbortController {
+  const abort = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abort.abort(new ClientClosedError());
+    }
+  });
+  return abort;
+}
+
+/**
+ * Check an optional timeout_ms field, returning an error message or null
+ */
+export function checkTimeoutMs(timeoutMs: unknown): string | null {
+  if (timeoutMs === undefined || (Number.isInteger(timeoutMs) && (timeoutMs as number) >= 1 && (timeoutMs as number) <= MAX_PROVIDER_TIMEOUT_MS)) {
+    return null;
+  }
+  return `must be an integer from 1 to ${MAX_PROVIDER_TIMEOUT_MS}`;
+}
+
+/**
+ * Capabilities a model needs beyond the requested one: vision for image parts, tools for tool definitions
+ */
+export function getRequiredCapabilities(body: Pick<ProviderInput, 'messages' | 'tools'>): (keyof ModelCapabilities)[] {
+  const required: (keyof ModelCapabilities)[] = [];
+  if (hasContentType(body.messages, 'image')) required.push('vision');
+  if (body.tools?.length) required.push('tools');
+  return required;
+}
+
+/**
+ * Validate tools and tool_choice, returning an error message or null
+ */
+export function validateTools(body: Pick<ProviderInput, 'tools' | 'tool_choice'>): string | null {
+  if (body.tools === undefined) {
+    return body.tool_choice === undefined ? null : 'tool_choice requires tools';
+  }
+
+  if (!Array.isArray(body.tools) || body.tools.some((tool) => !tool || typeof tool.name !== 'string' || !tool.name)) {
+    return 'Invalid tools: must be an array of { name, description?, parameters? }';
+  }
+
+  const choice = body.tool_choice;
+  if (choice === undefined || ['auto', 'none', 'required'].includes(choice as string)) {
+    return null;
+  }
+
+  if (typeof choice !== 'object' || !body.tools.some((tool) => tool.name === choice.name)) {
+    return `Invalid tool_choice: must be 'auto', 'none', 'required' or { name } of a declared tool`;
+  }
+
+  return null;
+}
+
+/**
+ * Check a request's routing options and load the models it may be routed to
+ * Returns an error message for the 400 response instead when an option is invalid
+ */
+export function resolveRouting(body: RoutingOptions): RoutingPlan | { error: string } {
+  const db = databaseService.loadDb();
+  let models = buildModelList(db);
+
+  // Filter by boost_tier if specified
+  const boostTier = body.boost_tier;
+  if (boostTier) {
+    const costTier = boostTierToCostTier(boostTier);
+    if (!costTier) {
+      return { error: `Invalid boost_tier: ${boostTier}. Must be 'turbo' or 'ultra'.` };
+    }
+    models = models.filter((m) => m.cost_tier === costTier);
+  }
+
+  if (body.strategy !== undefined && !SELECTION_STRATEGIES.includes(body.strategy)) {
+    return { error: `Invalid strategy: ${body.strategy}. Must be one of: ${SELECTION_STRATEGIES.join(', ')}` };
+  }
+
+  if (body.fallback !== undefined && !['none', 'auto'].includes(body.fallback)) {
+    return { error: `Invalid fallback: ${body.fallback}. Must be 'none' or 'auto'.` };
+  }
+
+  const maxAttempts = body.max_attempts ?? DEFAULT_FALLBACK_ATTEMPTS;
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_FALLBACK_ATTEMPTS) {
+    return { error: `Invalid max_attempts: ${body.max_attempts}. Must be an integer from 1 to ${MAX_FALLBACK_ATTEMPTS}.` };
+  }
+
+  if (checkTimeoutMs(body.timeout_ms)) {
+    return { error: `Invalid timeout_ms: ${body.timeout_ms}. Must be an integer from 1 to ${MAX_PROVIDER_TIMEOUT_MS}.` };
+  }
+
+  const fallbackEnabled = body.fallback === 'auto';
+  return { db, models, fallback_enabled: fallbackEnabled, attempt_limit: fallbackEnabled ? maxAttempts : 1 };
+}
+
+/**
+ * Answer a failed provider call with the error envelope shared by /embed, /transcribe and /speak
+ * Nothing is sent when the client went away, since nobody is left to answer
+ */
+export function sendCallError(
+  res: Response,
+  error: Error,
+  body: RoutingOptions,
+  selected: Model | null,
+  attempts: RunAttempt[],
+  startTime: number
+): void {
+  if (isClientClosedError(error)) {
+    return;
+  }
+
+  // With fallback, report the last model that was actually called
+  const fallbackEnabled = body.fallback === 'auto';
+  const lastFailed = [...attempts].reverse().find((a) => a.status === 'failed');
+  const errorType = getErrorType(error);
+  const response: Omit<RunErrorResponse, 'suggestion'> = {
+    error: error.message,
+    error_type: errorType,
+    provider: fallbackEnabled && lastFailed ? lastFailed.provider : selected?.provider,
+    model_id: fallbackEnabled && lastFailed ? lastFailed.model_id : selected?.id,
+    retry_after_seconds: getRetryAfterSeconds(error),
+    metadata: {
+      execution_time_ms: Date.now() - startTime,
+      timestamp: new Date().toISOString(),
+    },
+    attempts: fallbackEnabled ? attempts : undefined,
+  };
+  res.status(getErrorStatus(errorType)).json(response);
+}
@@ -0,0 +1,163 @@
+import { Router, Request, Response } from 'express';
+import { Model, RunAttempt, SpeakRequest, SpeakResponse } from '../types';
+import { getModelVoices, pickModel, rankFallbackModels } from '../services/models';
+import { getModelSpeechFormats, speakProvider } from '../providers';
+import { MAX_SPEECH_CHARS, SPEECH_ENCODINGS, SPEECH_SPEED_RANGE } from '../utils/constants';
+import { checkBoostTierExhaustion } from './account';
+import { runWithFallback } from './run';
+import { abortOnClose, resolveRouting, sendCallError } from './shared';
+
+const router = Router();
+
+/**
+ * Resolve the voice and format a model would speak a request with
+ * Unset options fall back to the model's defaults; returns an error message when the model cannot honour them
+ */
+function resolveSpeechOptions(model: Model, body: SpeakRequest): { voice: string; format: string } | { error: string } {
+  const formats = getModelSpeechFormats(model);
+  if (formats.length === 0) {
+    return { error: `Model ${model.id} does not support text-to-speech` };
+  }
+
+  const voices = getModelVoices(model);
+  const voice = body.voice ?? voices[0];
+  if (!voice) {
+    return { error: `Missing voice: model ${model.id} lists no voices` };
+  }
+  if (voices.length > 0 && !voices.includes(voice)) {
+    return { error: `Invalid voice: ${voice}. Model ${model.id} offers: ${voices.join(', ')}` };
+  }
+
+  const format = body.format ?? formats[0];
+  if (!formats.includes(format)) {
+    return { error: `Invalid format: ${format}. Model ${model.id} returns: ${formats.join(', ')}` };
+  }
+
+  return { voice, format };
+}
+
+/**
+ * POST /speak - Synthesize speech with a text-to-speech model
+ * Returns the audio bytes, or base64 audio in a JSON envelope
+ */
+router.post('/speak', async (req: Request<object, object, SpeakRequest>, res: Response) => {
+  const startTime = Date.now();
+  const attempts: RunAttempt[] = [];
+  const abort = abortOnClose(res);
+  let selected: Model | null = null;
+
+  try {
+    const routing = resolveRouting(req.body);
+    if ('error' in routing) {
+      res.status(400).json({ error: routing.error });
+      return;
+    }
+
+    const text = req.body.text;
+    if (typeof text !== 'string' || !text.trim()) {
+      res.status(400).json({ error: 'Invalid text: must be a non-empty string' });
+      return;
+    }
+    if (text.length > MAX_SPEECH_CHARS) {
+      res.status(400).json({ error: `Invalid text: at most ${MAX_SPEECH_CHARS} characters` });
+      return;
+    }
+
+    const speed = req.body.speed;
+    if (speed !== undefined && (typeof speed !== 'number' || speed < SPEECH_SPEED_RANGE.min || speed > SPEECH_SPEED_RANGE.max)) {
+      res.status(400).json({
+        error: `Invalid speed: ${speed}. Must be a number from ${SPEECH_SPEED_RANGE.min} to ${SPEECH_SPEED_RANGE.max}.`,
+      });
+      return;
+    }
+
+    const encoding = req.body.encoding ?? SPEECH_ENCODINGS[0];
+    if (!SPEECH_ENCODINGS.includes(encoding)) {
+      res.status(400).json({
+        error: `Invalid encoding: ${req.body.encoding}. Must be 'binary' or 'base64'.`,
+      });
+      return;
+    }
+
+    selected = pickModel(routing.models, {
+      model_id: req.body.model_id,
+      capability: 'tts',
+      max_cost_tier: req.body.max_cost_tier,
+      strategy: req.body.strategy,
+    });
+
+    if (!selected) {
+      res.status(400).json({
+        error: 'No text-to-speech model matched request',
+        boost_tier: req.body.boost_tier,
+        available_models_count: routing.models.length,
+      });
+      return;
+    }
+
+    if (!selected.capabilities.tts) {
+      res.status(400).json({ error: `Model ${selected.id} does not support text-to-speech` });
+      return;
+    }
+
+    const options = resolveSpeechOptions(selected, req.body);
+    if ('error' in options) {
+      res.status(400).json({ error: options.error });
+      return;
+    }
+
+    // Walk same-tier text-to-speech models that accept the requested voice and format
+    const candidates = routing.fallback_enabled
+      ? rankFallbackModels(routing.models, selected, 'tts', undefined, req.body.strategy).filter(
+          (m) => !('error' in resolveSpeechOptions(m, req.body))
+        )
+      : [selected];
+    const { model: answered, result } = await runWithFallback(candidates, routing.attempt_limit, attempts, async (model) => {
+      const { voice, format } = resolveSpeechOptions(model, req.body) as { voice: string; format: string };
+      const speech = await speakProvider(model, {
+        text,
+        voice,
+        format,
+        speed,
+        timeout_ms: req.body.timeout_ms,
+        signal: abort.signal,
+      });
+      return { ...speech, voice, format };
+    });
+
+    if (encoding === 'binary') {
+      res.set({ 'X-Model-Id': answered.id, 'X-Provider': answered.provider });
+      res.type(result.mime).send(result.audio);
+      return;
+    }
+
+    // Check boost tier exhaustion after call
+    const boostTier = req.body.boost_tier;
+    const exhaustionCheck = boostTier ? await checkBoostTierExhaustion(boostTier, routing.db) : null;
+
+    const response: SpeakResponse = {
+      model_id: answered.id,
+      provider: answered.provider,
+      route: answered.route,
+      audio: result.audio.toString('base64'),
+      mime: result.mime,
+      voice: result.voice,
+      format: result.format,
+      metadata: {
+        cost_tier: answered.cost_tier,
+        boost_tier: boostTier || null,
+        execution_time_ms: Date.now() - startTime,
+        timestamp: new Date().toISOString(),
+        characters: text.length,
+      },
+      boost_tier_exhausted: exhaustionCheck?.exhausted || false,
+      boost_tier_message: exhaustionCheck?.message || null,
+      attempts: routing.fallback_enabled ? attempts : undefined,
+    };
+    res.json(response);
+  } catch (error) {
+    sendCallError(res, error as Error, req.body, selected, attempts, startTime);
+  }
+});
+
+export default router;
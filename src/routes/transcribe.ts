@@ -0,0 +1,240 @@
+import express, { Router, Request, Response } from 'express';
+import { Model, RunAttempt, TranscribeRequest, TranscribeResponse, TranscriptionResult } from '../types';
+import { pickModel, rankFallbackModels } from '../services/models';
+import { getAudioFormat, parseDataUrl, transcribeProvider } from '../providers';
+import { MAX_TRANSCRIPTION_BYTES, TRANSCRIPTION_FORMATS } from '../utils/constants';
+import { checkBoostTierExhaustion } from './account';
+import { runWithFallback } from './run';
+import { abortOnClose, resolveRouting, sendCallError } from './shared';
+
+const router = Router();
+
+/**
+ * Uploaded or decoded audio file
+ */
+interface AudioUpload {
+  data: Buffer;
+  filename: string;
+  mime: string;
+}
+
+/**
+ * Multipart fields holding numbers or booleans, parsed from their string form
+ */
+const TYPED_FORM_FIELDS = ['translate', 'timeout_ms', 'max_attempts'];
+
+/**
+ * Read a multipart/form-data body: the audio from the file field, the other fields as request options
+ */
+async function readMultipart(
+  req: Request<object, object, TranscribeRequest>
+): Promise<{ body: TranscribeRequest; audio: AudioUpload | null }> {
+  const form = await new globalThis.Request('http://localhost/transcribe', {
+    method: 'POST',
+    headers: { 'content-type': req.headers['content-type'] || '' },
+    body: req.body as Buffer,
+  }).formData();
+
+  const body: Record<string, unknown> = {};
+  let audio: AudioUpload | null = null;
+
+  for (const [name, value] of form.entries()) {
+    if (typeof value !== 'string') {
+      if (name === 'file') {
+        const mime = value.type || `audio/${getAudioFormat(undefined)}`;
+        audio = { data: Buffer.from(await value.arrayBuffer()), filename: value.name || `audio.${mime.split('/')[1]}`, mime };
+      }
+      continue;
+    }
+
+    if (!TYPED_FORM_FIELDS.includes(name)) {
+      body[name] = value;
+      continue;
+    }
+    try {
+      body[name] = JSON.parse(value);
+    } catch {
+      // Left as a string so validation reports it
+      body[name] = value;
+    }
+  }
+
+  return { body: body as TranscribeRequest, audio };
+}
+
+/**
+ * Decode base64 or data URL audio from a JSON body; format names the encoding of bare base64
+ */
+function decodeAudio(audio: string, format: string | undefined): AudioUpload {
+  const dataUrl = parseDataUrl(audio);
+  const mime = dataUrl?.media_type || `audio/${getAudioFormat(format)}`;
+  return {
+    data: Buffer.from(dataUrl ? dataUrl.data : audio, 'base64'),
+    filename: `audio.${mime.split('/')[1]}`,
+    mime,
+  };
+}
+
+/**
+ * Format seconds as an SRT (00:00:01,500) or WebVTT (00:00:01.500) timestamp
+ */
+function formatTimestamp(seconds: number, separator: ',' | '.'): string {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value: number, width = 2) => String(value).padStart(width, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Render a transcript as SRT or WebVTT cues
+ * Providers that report no segments give one cue spanning the whole audio
+ */
+function toSubtitles(result: TranscriptionResult, format: 'srt' | 'vtt'): string {
+  const segments = result.segments.length > 0 ? result.segments : [{ start: 0, end: result.duration ?? 0, text: result.text }];
+  const separator = format === 'srt' ? ',' : '.';
+  const cues = segments.map((segment, i) => {
+    const timing = `${formatTimestamp(segment.start, separator)} --> ${formatTimestamp(segment.end, separator)}`;
+    return format === 'srt' ? `${i + 1}\n${timing}\n${segment.text.trim()}` : `${timing}\n${segment.text.trim()}`;
+  });
+  return format === 'srt' ? `${cues.join('\n\n')}\n` : `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+/**
+ * POST /transcribe - Transcribe or translate audio with a speech-to-text model
+ * Accepts multipart/form-data with a file field, or JSON with base64 audio
+ */
+router.post(
+  '/transcribe',
+  express.raw({ type: 'multipart/form-data', limit: MAX_TRANSCRIPTION_BYTES + 1024 * 1024 }),
+  async (req: Request<object, object, TranscribeRequest>, res: Response) => {
+    const startTime = Date.now();
+    const attempts: RunAttempt[] = [];
+
+    const abort = abortOnClose(res);
+    let body: TranscribeRequest = req.body || {};
+    let selected: Model | null = null;
+
+    try {
+      let audio: AudioUpload | null = null;
+      if (req.is('multipart/form-data')) {
+        try {
+          ({ body, audio } = await readMultipart(req));
+        } catch {
+          res.status(400).json({ error: 'Invalid multipart body' });
+          return;
+        }
+      } else if (typeof body.audio === 'string' && body.audio) {
+        audio = decodeAudio(body.audio, body.format);
+      }
+
+      const routing = resolveRouting(body);
+      if ('error' in routing) {
+        res.status(400).json({ error: routing.error });
+        return;
+      }
+
+      const responseFormat = body.response_format ?? TRANSCRIPTION_FORMATS[0];
+      if (!TRANSCRIPTION_FORMATS.includes(responseFormat)) {
+        res.status(400).json({
+          error: `Invalid response_format: ${body.response_format}. Must be one of: ${TRANSCRIPTION_FORMATS.join(', ')}`,
+        });
+        return;
+      }
+
+      if (body.translate !== undefined && typeof body.translate !== 'boolean') {
+        res.status(400).json({ error: `Invalid translate: ${body.translate}. Must be true or false.` });
+        return;
+      }
+
+      if (body.language !== undefined && (typeof body.language !== 'string' || !body.language)) {
+        res.status(400).json({ error: 'Invalid language: must be a language code such as "en"' });
+        return;
+      }
+
+      if (!audio || audio.data.length === 0) {
+        res.status(400).json({ error: 'Missing audio: send a multipart file field or base64 audio' });
+        return;
+      }
+      if (audio.data.length > MAX_TRANSCRIPTION_BYTES) {
+        res.status(400).json({ error: `Audio too large: at most ${MAX_TRANSCRIPTION_BYTES} bytes` });
+        return;
+      }
+
+      selected = pickModel(routing.models, {
+        model_id: body.model_id,
+        capability: 'transcription',
+        max_cost_tier: body.max_cost_tier,
+        strategy: body.strategy,
+      });
+
+      if (!selected) {
+        res.status(400).json({
+          error: 'No transcription model matched request',
+          boost_tier: body.boost_tier,
+          available_models_count: routing.models.length,
+        });
+        return;
+      }
+
+      if (!selected.capabilities.transcription) {
+        res.status(400).json({ error: `Model ${selected.id} does not support transcription` });
+        return;
+      }
+
+      // Walk same-tier transcription models only when fallback is enabled
+      const candidates = routing.fallback_enabled
+        ? rankFallbackModels(routing.models, selected, 'transcription', undefined, body.strategy)
+        : [selected];
+      const upload = audio;
+      const { model: answered, result } = await runWithFallback(candidates, routing.attempt_limit, attempts, (model) =>
+        transcribeProvider(model, {
+          audio: upload.data,
+          filename: upload.filename,
+          mime: upload.mime,
+          language: body.language,
+          translate: body.translate,
+          timeout_ms: body.timeout_ms,
+          signal: abort.signal,
+        })
+      );
+
+      if (responseFormat === 'text') {
+        res.type('text/plain; charset=utf-8').send(result.text);
+        return;
+      }
+      if (responseFormat === 'srt' || responseFormat === 'vtt') {
+        res.type(responseFormat === 'srt' ? 'application/x-subrip' : 'text/vtt').send(toSubtitles(result, responseFormat));
+        return;
+      }
+
+      // Check boost tier exhaustion after call
+      const boostTier = body.boost_tier;
+      const exhaustionCheck = boostTier ? await checkBoostTierExhaustion(boostTier, routing.db) : null;
+      const verbose = responseFormat === 'verbose_json';
+
+      const response: TranscribeResponse = {
+        model_id: answered.id,
+        provider: answered.provider,
+        route: answered.route,
+        text: result.text,
+        language: verbose ? result.language : undefined,
+        duration: verbose ? result.duration : undefined,
+        segments: verbose ? result.segments : undefined,
+        metadata: {
+          cost_tier: answered.cost_tier,
+          boost_tier: boostTier || null,
+          execution_time_ms: Date.now() - startTime,
+          timestamp: new Date().toISOString(),
+          task: body.translate ? 'translate' : 'transcribe',
+        },
+        boost_tier_exhausted: exhaustionCheck?.exhausted || false,
+        boost_tier_message: exhaustionCheck?.message || null,
+        attempts: routing.fallback_enabled ? attempts : undefined,
+      };
+      res.json(response);
+    } catch (error) {
+      sendCallError(res, error as Error, body, selected, attempts, startTime);
+    }
+  }
+);
+
+export default router;
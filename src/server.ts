@@ -3,10 +3,18 @@ import cors from 'cors';
 import path from 'path';
 import dotenv from 'dotenv';
 import { createRouter } from './routes';
+import { persistenceService } from './services/persistence';
+import { healthProbeService } from './services/probes';
 
 // Load environment variables
 dotenv.config();
 
+// Restore rate limit, health and job state from the last run
+persistenceService.start();
+
+// Probe configured providers in the background
+healthProbeService.start();
+
 const app = express();
 const PORT = process.env.PORT || 8080;
 
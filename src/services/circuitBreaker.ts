@@ -0,0 +1,155 @@
+import { CircuitBreakerStatus, CircuitState, PersistableState } from '../types';
+import {
+  CIRCUIT_FAILURE_THRESHOLD,
+  CIRCUIT_OPEN_DURATION_MS,
+  CIRCUIT_MAX_OPEN_DURATION_MS,
+  MAX_PROVIDER_TIMEOUT_MS,
+} from '../utils/constants';
+
+/**
+ * Failure streak and open window for one provider route
+ */
+interface Circuit {
+  consecutive_failures: number;
+  opened_at: number | null;
+  open_ms: number;
+  trial_started_at: number | null;
+}
+
+/**
+ * Service keeping a circuit breaker per provider route
+ * A circuit opens after CIRCUIT_FAILURE_THRESHOLD consecutive outages (5xx, timeouts,
+ * network errors), turns half-open once its cooldown passes, and a single trial call
+ * closes or reopens it; other calls are held back while the trial runs
+ * Circuits are persisted, so a restart does not send traffic back to a route that is down.
+ */
+class CircuitBreakerService implements PersistableState {
+  private circuits: Record<string, Circuit> = {};
+
+  /**
+   * Get the current state of a route's circuit
+   */
+  getState(route: string): CircuitState {
+    const circuit = this.circuits[route];
+    if (!circuit || circuit.opened_at === null) {
+      return 'closed';
+    }
+    return Date.now() < circuit.opened_at + circuit.open_ms ? 'open' : 'half_open';
+  }
+
+  /**
+   * Whether auto-selection should skip the route: open, or half-open with its trial call running
+   */
+  isOpen(route: string): boolean {
+    return this.getState(route) === 'open' || this.isTrialRunning(route);
+  }
+
+  /**
+   * Whether a half-open circuit's trial call is in flight
+   * A trial older than the longest provider timeout was abandoned and no longer counts
+   */
+  isTrialRunning(route: string): boolean {
+    const startedAt = this.circuits[route]?.trial_started_at ?? null;
+    return this.getState(route) === 'half_open' && startedAt !== null && Date.now() - startedAt < MAX_PROVIDER_TIMEOUT_MS;
+  }
+
+  /**
+   * Claim the trial call of a half-open circuit
+   * Returns false when the circuit is not half-open or another trial is running
+   */
+  startTrial(route: string): boolean {
+    if (this.getState(route) !== 'half_open' || this.isTrialRunning(route)) {
+      return false;
+    }
+    this.circuits[route].trial_started_at = Date.now();
+    return true;
+  }
+
+  /**
+   * Release a trial call, whatever its outcome, so the next call can try
+   */
+  endTrial(route: string): void {
+    const circuit = this.circuits[route];
+    if (circuit) {
+      circuit.trial_started_at = null;
+    }
+  }
+
+  /**
+   * Feed a call outcome into the route's circuit; failures should be provider outages only
+   * A failed trial call in half-open reopens the circuit for twice as long
+   */
+  recordResult(route: string, success: boolean): void {
+    if (success) {
+      delete this.circuits[route];
+      return;
+    }
+
+    const state = this.getState(route);
+    const circuit = this.circuits[route] || {
+      consecutive_failures: 0,
+      opened_at: null,
+      open_ms: CIRCUIT_OPEN_DURATION_MS,
+      trial_started_at: null,
+    };
+    circuit.consecutive_failures++;
+
+    if (state === 'half_open') {
+      circuit.opened_at = Date.now();
+      circuit.open_ms = Math.min(circuit.open_ms * 2, CIRCUIT_MAX_OPEN_DURATION_MS);
+    } else if (state === 'closed' && circuit.consecutive_failures >= CIRCUIT_FAILURE_THRESHOLD) {
+      circuit.opened_at = Date.now();
+    }
+
+    this.circuits[route] = circuit;
+  }
+
+  /**
+   * Get circuit status for a route
+   */
+  getStatus(route: string): CircuitBreakerStatus {
+    const circuit = this.circuits[route];
+    const openedAt = circuit?.opened_at ?? null;
+
+    return {
+      state: this.getState(route),
+      consecutive_failures: circuit?.consecutive_failures || 0,
+      opened_at: openedAt !== null ? new Date(openedAt).toISOString() : null,
+      retry_at: openedAt !== null ? new Date(openedAt + circuit.open_ms).toISOString() : null,
+    };
+  }
+
+  /**
+   * Close every circuit
+   */
+  clearAll(): void {
+    this.circuits = {};
+  }
+
+  /**
+   * Snapshot circuits for persistence; a running trial dies with the process, so it is not kept
+   */
+  snapshot(): Record<string, Circuit> {
+    return Object.fromEntries(Object.entries(this.circuits).map(([route, circuit]) => [route, { ...circuit, trial_started_at: null }]));
+  }
+
+  /**
+   * Restore persisted circuits, keeping ones that saw calls since startup
+   * An open window that passed meanwhile restores as half-open
+   */
+  restore(data: unknown): void {
+    const circuits = (data || {}) as Record<string, Circuit>;
+
+    for (const [route, circuit] of Object.entries(circuits)) {
+      if (circuit && typeof circuit.consecutive_failures === 'number' && typeof circuit.open_ms === 'number' && !this.circuits[route]) {
+        this.circuits[route] = { ...circuit, trial_started_at: null };
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export const circuitBreakerService = new CircuitBreakerService();
+
+// Export class for testing
+export { CircuitBreakerService };
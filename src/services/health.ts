@@ -1,17 +1,35 @@
-import { ProviderHealthRecord, ProviderHealthStatus, Database } from '../types';
+import { ProviderHealthRecord, ProviderHealthStatus, ProviderProbeStatus, Database, PersistableState } from '../types';
 import { MAX_HISTORY_PER_PROVIDER } from '../utils/constants';
 import { buildModelList } from './models';
+import { circuitBreakerService } from './circuitBreaker';
+
+/**
+ * Health figures computed from a list of call records
+ */
+type HealthSummary = Omit<ProviderHealthStatus, 'provider' | 'models_available' | 'probe' | 'circuit'>;
 
 /**
  * Service for tracking provider health
  */
-class HealthService {
+class HealthService implements PersistableState {
   private history: Record<string, ProviderHealthRecord[]> = {};
+  private probes: Record<string, ProviderHealthRecord[]> = {};
 
   /**
-   * Record a provider call result
+   * Record a provider call result and feed it to the provider's circuit breaker
+   * Only successes and outages (5xx, timeouts, network errors) reach the breaker, so
+   * bad client input or rate limits cannot open the circuit for everyone
    */
-  recordCall(provider: string, modelId: string, success: boolean, latencyMs: number, errorMessage: string | null): void {
+  recordCall(
+    provider: string,
+    modelId: string,
+    success: boolean,
+    latencyMs: number,
+    errorMessage: string | null,
+    timedOut: boolean = false,
+    keyId?: string,
+    outage: boolean = false
+  ): void {
     if (!this.history[provider]) {
       this.history[provider] = [];
     }
@@ -21,6 +39,8 @@ class HealthService {
       success,
       latency_ms: latencyMs,
       error_message: errorMessage,
+      timed_out: timedOut,
+      key_id: keyId,
       timestamp: new Date().toISOString(),
     });
 
@@ -28,28 +48,45 @@ class HealthService {
     if (this.history[provider].length > MAX_HISTORY_PER_PROVIDER) {
       this.history[provider].shift();
     }
+
+    if (success || outage) {
+      circuitBreakerService.recordResult(provider, success);
+    }
   }
 
   /**
-   * Get health status for a provider
+   * Record a background health probe result (kept apart from user traffic)
    */
-  getProviderStatus(provider: string, db: Database): ProviderHealthStatus {
-    const history = this.history[provider] || [];
-
-    if (history.length === 0) {
-      return {
-        provider,
-        status: 'unknown',
-        latency_ms: null,
-        last_checked: null,
-        last_success: null,
-        last_error: null,
-        error_count_last_hour: 0,
-        success_rate_last_hour: null,
-        models_available: buildModelList(db).filter((m) => m.provider === provider).length,
-      };
+  recordProbe(
+    provider: string,
+    modelId: string,
+    success: boolean,
+    latencyMs: number,
+    errorMessage: string | null,
+    timedOut: boolean = false
+  ): void {
+    if (!this.probes[provider]) {
+      this.probes[provider] = [];
+    }
+
+    this.probes[provider].push({
+      model_id: modelId,
+      success,
+      latency_ms: latencyMs,
+      error_message: errorMessage,
+      timed_out: timedOut,
+      timestamp: new Date().toISOString(),
+    });
+
+    if (this.probes[provider].length > MAX_HISTORY_PER_PROVIDER) {
+      this.probes[provider].shift();
     }
+  }
 
+  /**
+   * Summarize call records: status, latency and last-hour counts
+   */
+  private summarize(history: ProviderHealthRecord[]): HealthSummary {
     const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
     const recentHistory = history.filter((h) => new Date(h.timestamp) > oneHourAgo);
     const lastCall = history[history.length - 1];
@@ -58,7 +95,6 @@ class HealthService {
     const successCount = recentHistory.filter((h) => h.success).length;
     const totalCount = recentHistory.length;
     const successRate = totalCount > 0 ? successCount / totalCount : null;
-    const errorCount = recentHistory.filter((h) => !h.success).length;
 
     // Calculate average latency from successful calls
     const successfulCalls = recentHistory.filter((h) => h.success && h.latency_ms);
@@ -68,7 +104,7 @@ class HealthService {
         : null;
 
     // Determine status
-    let status: 'healthy' | 'degraded' | 'down' | 'unknown' = 'unknown';
+    let status: HealthSummary['status'] = 'unknown';
     if (totalCount > 0) {
       if (successRate !== null && successRate >= 0.95 && (avgLatency === null || avgLatency < 2000)) {
         status = 'healthy';
@@ -89,15 +125,52 @@ class HealthService {
     }
 
     return {
-      provider,
       status,
       latency_ms: avgLatency,
       last_checked: lastCall?.timestamp || null,
       last_success: lastSuccess?.timestamp || null,
       last_error: lastCall?.success === false ? lastCall.error_message : null,
-      error_count_last_hour: errorCount,
+      error_count_last_hour: recentHistory.filter((h) => !h.success).length,
+      timeout_count_last_hour: recentHistory.filter((h) => h.timed_out).length,
       success_rate_last_hour: successRate,
+    };
+  }
+
+  /**
+   * Get background probe status for a provider, or null if it was never probed
+   */
+  getProbeStatus(provider: string): ProviderProbeStatus | null {
+    const probes = this.probes[provider] || [];
+    if (probes.length === 0) {
+      return null;
+    }
+
+    const summary = this.summarize(probes);
+    return {
+      status: summary.status,
+      latency_ms: summary.latency_ms,
+      last_probe: summary.last_checked,
+      last_success: summary.last_success,
+      last_error: summary.last_error,
+      success_rate_last_hour: summary.success_rate_last_hour,
+    };
+  }
+
+  /**
+   * Get health status for a provider
+   * Status comes from user traffic, or from probes when there was none
+   */
+  getProviderStatus(provider: string, db: Database): ProviderHealthStatus {
+    const summary = this.summarize(this.history[provider] || []);
+    const probe = this.getProbeStatus(provider);
+
+    return {
+      provider,
+      ...summary,
+      status: summary.status === 'unknown' && probe ? probe.status : summary.status,
       models_available: buildModelList(db).filter((m) => m.provider === provider).length,
+      probe,
+      circuit: circuitBreakerService.getStatus(provider),
     };
   }
 
@@ -108,6 +181,38 @@ class HealthService {
     return providers.map((provider) => this.getProviderStatus(provider, db));
   }
 
+  /**
+   * Get median latency of successful calls and success rate over the last hour,
+   * for one model when modelId is given
+   * Either is null when there were no matching calls
+   */
+  getRecentStats(provider: string, modelId?: string): { p50_latency_ms: number | null; success_rate: number | null } {
+    const oneHourAgo = Date.now() - 60 * 60 * 1000;
+    const recent = (this.history[provider] || []).filter(
+      (h) => new Date(h.timestamp).getTime() > oneHourAgo && (modelId === undefined || h.model_id === modelId)
+    );
+    const latencies = recent
+      .filter((h) => h.success)
+      .map((h) => h.latency_ms)
+      .sort((a, b) => a - b);
+
+    return {
+      p50_latency_ms: latencies.length > 0 ? latencies[Math.floor((latencies.length - 1) / 2)] : null,
+      success_rate: recent.length > 0 ? recent.filter((h) => h.success).length / recent.length : null,
+    };
+  }
+
+  /**
+   * Get the success rate over the last hour of calls made with a pooled API key
+   */
+  getKeySuccessRate(keyId: string): number | null {
+    const oneHourAgo = Date.now() - 60 * 60 * 1000;
+    const recent = Object.values(this.history)
+      .flat()
+      .filter((h) => h.key_id === keyId && new Date(h.timestamp).getTime() > oneHourAgo);
+    return recent.length > 0 ? recent.filter((h) => h.success).length / recent.length : null;
+  }
+
   /**
    * Get raw history for a provider
    */
@@ -122,11 +227,32 @@ class HealthService {
     delete this.history[provider];
   }
 
+  /**
+   * Snapshot call history for persistence
+   */
+  snapshot(): Record<string, ProviderHealthRecord[]> {
+    return { ...this.history };
+  }
+
+  /**
+   * Restore persisted call history ahead of calls recorded since startup
+   */
+  restore(data: unknown): void {
+    const history = (data || {}) as Record<string, ProviderHealthRecord[]>;
+
+    for (const [provider, records] of Object.entries(history)) {
+      if (!Array.isArray(records)) continue;
+      this.history[provider] = [...records, ...(this.history[provider] || [])].slice(-MAX_HISTORY_PER_PROVIDER);
+    }
+  }
+
   /**
    * Clear all history
    */
   clearAllHistory(): void {
     this.history = {};
+    this.probes = {};
+    circuitBreakerService.clearAll();
   }
 }
 
@@ -3,3 +3,12 @@ export * from './models';
 export * from './ratings';
 export * from './rateLimit';
 export * from './health';
+export * from './circuitBreaker';
+export * from './limiter';
+export * from './persistence';
+export * from './probes';
+export * from './metrics';
+export * from './ledger';
+export * from './keyPool';
+export * from './waitQueue';
+export * from './jobs';
@@ -0,0 +1,260 @@
+import { randomUUID } from 'crypto';
+import { Job, JobStatus, PersistableState, RunOutcome, RunRequest } from '../types';
+import {
+  JOB_CALLBACK_ATTEMPTS,
+  JOB_CALLBACK_RETRY_DELAY_MS,
+  JOB_CALLBACK_TIMEOUT_MS,
+  JOB_RETENTION_MS,
+  MAX_CONCURRENT_JOBS,
+  MAX_QUEUED_JOBS,
+} from '../utils/constants';
+import { ClientClosedError } from '../utils/errors';
+import { sleep } from '../utils/async';
+import { resolveToPublicAddress } from '../utils/network';
+
+/**
+ * Runs a job's /run payload, answering as POST /run would
+ */
+type JobExecutor = (request: RunRequest, signal: AbortSignal) => Promise<RunOutcome>;
+
+const FINAL_STATUSES: JobStatus[] = ['succeeded', 'failed', 'cancelled'];
+
+/**
+ * Service running /run payloads as background jobs
+ * At most MAX_CONCURRENT_JOBS run at once, the rest wait in creation order, up to
+ * MAX_QUEUED_JOBS. Jobs are saved whenever one is created, starts, finishes or is cancelled,
+ * so queued jobs resume after a restart or crash; jobs that were running when the
+ * server stopped are failed, since their provider calls were lost with it.
+ */
+class JobService implements PersistableState {
+  private jobs: Record<string, Job> = {};
+  private controllers: Record<string, AbortController> = {};
+  private executor: JobExecutor | null = null;
+  private save: () => void = () => {};
+
+  /**
+   * Set the function saving jobs to persistent state
+   */
+  setSaver(save: () => void): void {
+    this.save = save;
+  }
+
+  /**
+   * Set the function running job payloads and start any queued jobs
+   */
+  setExecutor(executor: JobExecutor): void {
+    this.executor = executor;
+    this.dispatch();
+  }
+
+  /**
+   * Whether another job can be queued
+   */
+  hasCapacity(): boolean {
+    return this.countQueued() < MAX_QUEUED_JOBS;
+  }
+
+  /**
+   * Number of jobs waiting for a slot
+   */
+  countQueued(): number {
+    return Object.values(this.jobs).filter((job) => job.status === 'queued').length;
+  }
+
+  /**
+   * Queue a /run payload, with an optional URL to POST the finished job to
+   */
+  create(request: RunRequest, callbackUrl?: string): Job {
+    this.prune();
+
+    const job: Job = {
+      job_id: `job_${randomUUID().replace(/-/g, '')}`,
+      status: 'queued',
+      request,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      http_status: null,
+      result: null,
+      callback: callbackUrl ? { url: callbackUrl, state: 'pending', attempts: 0, last_error: null, delivered_at: null } : null,
+    };
+    this.jobs[job.job_id] = job;
+    this.save();
+    this.dispatch();
+    return job;
+  }
+
+  /**
+   * Get a job by ID, or null when unknown or pruned
+   */
+  get(jobId: string): Job | null {
+    return this.jobs[jobId] || null;
+  }
+
+  /**
+   * Whether a job has reached a final status
+   */
+  isFinished(job: Job): boolean {
+    return FINAL_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Cancel a queued or running job, aborting its provider calls
+   * Returns false when the job already finished
+   */
+  cancel(jobId: string): boolean {
+    const job = this.jobs[jobId];
+    if (!job || this.isFinished(job)) {
+      return false;
+    }
+
+    this.controllers[jobId]?.abort(new ClientClosedError());
+    this.finish(job, 'cancelled', null);
+    this.dispatch();
+    return true;
+  }
+
+  /**
+   * Start queued jobs, oldest first, while there are free slots
+   */
+  private dispatch(): void {
+    const executor = this.executor;
+    if (!executor) return;
+
+    const jobs = Object.values(this.jobs);
+    const free = MAX_CONCURRENT_JOBS - jobs.filter((j) => j.status === 'running').length;
+    for (const job of jobs.filter((j) => j.status === 'queued').slice(0, Math.max(0, free))) {
+      void this.run(job, executor);
+    }
+  }
+
+  /**
+   * Run a job to completion; a job cancelled meanwhile keeps its cancelled status
+   */
+  private async run(job: Job, executor: JobExecutor): Promise<void> {
+    const controller = new AbortController();
+    this.controllers[job.job_id] = controller;
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    this.save();
+
+    try {
+      const outcome = await executor(job.request, controller.signal);
+      if (job.status === 'running') {
+        this.finish(job, outcome.status < 400 ? 'succeeded' : 'failed', outcome);
+      }
+    } catch (error) {
+      if (job.status === 'running') {
+        this.finish(job, 'failed', { status: 500, body: { error: (error as Error).message } });
+      }
+    } finally {
+      delete this.controllers[job.job_id];
+      this.dispatch();
+    }
+  }
+
+  /**
+   * Record a job's final status and /run answer, then deliver its callback
+   */
+  private finish(job: Job, status: JobStatus, outcome: RunOutcome | null): void {
+    job.status = status;
+    job.finished_at = new Date().toISOString();
+    job.http_status = outcome?.status ?? null;
+    job.result = outcome?.body ?? null;
+    this.save();
+
+    if (job.callback) {
+      void this.deliverCallback(job);
+    }
+  }
+
+  /**
+   * POST the finished job to its callback URL, retrying failed deliveries with backoff
+   * The host is resolved first and redirects are refused, so a callback never reaches a private address
+   */
+  private async deliverCallback(job: Job): Promise<void> {
+    const callback = job.callback;
+    if (!callback) return;
+
+    for (let attempt = 0; attempt < JOB_CALLBACK_ATTEMPTS; attempt++) {
+      if (attempt > 0) {
+        await sleep(JOB_CALLBACK_RETRY_DELAY_MS * 2 ** (attempt - 1));
+      }
+      callback.attempts++;
+
+      try {
+        await resolveToPublicAddress(callback.url);
+        const response = await fetch(callback.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(job),
+          redirect: 'error',
+          signal: AbortSignal.timeout(JOB_CALLBACK_TIMEOUT_MS),
+        });
+        await response.body?.cancel();
+
+        if (response.ok) {
+          callback.state = 'delivered';
+          callback.delivered_at = new Date().toISOString();
+          callback.last_error = null;
+          this.save();
+          return;
+        }
+        callback.last_error = `Callback answered ${response.status}`;
+      } catch (error) {
+        callback.last_error = (error as Error).message;
+      }
+    }
+
+    callback.state = 'failed';
+    this.save();
+  }
+
+  /**
+   * Drop finished jobs older than the retention period
+   */
+  private prune(): void {
+    const cutoff = Date.now() - JOB_RETENTION_MS;
+    for (const [jobId, job] of Object.entries(this.jobs)) {
+      if (job.finished_at && new Date(job.finished_at).getTime() < cutoff) {
+        delete this.jobs[jobId];
+      }
+    }
+  }
+
+  /**
+   * Snapshot jobs for persistence
+   */
+  snapshot(): Record<string, Job> {
+    this.prune();
+    return { ...this.jobs };
+  }
+
+  /**
+   * Restore persisted jobs: queued jobs resume, running ones are failed as interrupted,
+   * and callbacks still pending at shutdown are delivered again
+   */
+  restore(data: unknown): void {
+    const jobs = (data || {}) as Record<string, Job>;
+
+    for (const [jobId, job] of Object.entries(jobs)) {
+      if (!job || !job.job_id || !job.status || this.jobs[jobId]) continue;
+
+      this.jobs[jobId] = job;
+      if (job.status === 'running') {
+        this.finish(job, 'failed', { status: 500, body: { error: 'Job interrupted by server restart' } });
+      } else if (this.isFinished(job) && job.callback?.state === 'pending') {
+        void this.deliverCallback(job);
+      }
+    }
+
+    this.prune();
+    this.dispatch();
+  }
+}
+
+// Export singleton instance
+export const jobService = new JobService();
+
+// Export class for testing
+export { JobService };
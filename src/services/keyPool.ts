@@ -0,0 +1,189 @@
+import { ApiKeyStatus, KeyRotationStrategy, PersistableState } from '../types';
+import { DEFAULT_KEY_COOLDOWN_SECONDS, KEY_ROTATION_STRATEGIES } from '../utils/constants';
+import { rateLimitService } from './rateLimit';
+import { usageLedgerService } from './ledger';
+import { healthService } from './health';
+
+/**
+ * Cooldown benching one key on one model until a time (ms since epoch)
+ */
+interface KeyCooldown {
+  model_id: string;
+  key_id: string;
+  until: number;
+  error: string;
+}
+
+/**
+ * Service rotating calls across each provider's pool of API keys
+ * Keys that hit a rate limit or quota error cool down until their reset, and
+ * calls move to the next available key (round-robin or least used today).
+ * Cooldowns apply to one model on one key, since providers like Groq and Gemini
+ * meter each model separately: a key benched on one model still serves the others.
+ * Cooldowns are persisted, so a restart does not send calls back to exhausted keys.
+ */
+class KeyPoolService implements PersistableState {
+  private cooldowns: Record<string, KeyCooldown> = {};
+  private cursors: Record<string, number> = {};
+
+  /**
+   * Get the cooldown key for a key on a provider/model
+   */
+  private getCooldownKey(pool: string, modelId: string, keyId: string): string {
+    return `${pool}:${modelId}:${keyId}`;
+  }
+
+  /**
+   * Get the rotation strategy from KEY_ROTATION_STRATEGY (default round_robin)
+   */
+  getStrategy(): KeyRotationStrategy {
+    const strategy = process.env.KEY_ROTATION_STRATEGY as KeyRotationStrategy;
+    return KEY_ROTATION_STRATEGIES.includes(strategy) ? strategy : KEY_ROTATION_STRATEGIES[0];
+  }
+
+  /**
+   * Get when a key can be used again for a model, in ms since epoch, or null if it is available now
+   * Without a model (health probes) only the rotation matters, so every key is available
+   */
+  private getAvailableAt(pool: string, modelId: string | null, keyId: string): number | null {
+    if (modelId === null) {
+      return null;
+    }
+
+    const cooldown = this.cooldowns[this.getCooldownKey(pool, modelId, keyId)];
+    if (cooldown && cooldown.until > Date.now()) {
+      return cooldown.until;
+    }
+    if (rateLimitService.isKeyRateLimited(pool, modelId, keyId)) {
+      return Date.now() + rateLimitService.getWaitTimeForKey(pool, modelId, keyId) * 1000;
+    }
+    return null;
+  }
+
+  /**
+   * Whether any key outside the excluded ones is available for a model
+   */
+  hasAvailable(pool: string, modelId: string, keyIds: string[], exclude: string[] = []): boolean {
+    return keyIds.some((keyId) => !exclude.includes(keyId) && this.getAvailableAt(pool, modelId, keyId) === null);
+  }
+
+  /**
+   * Pick the next key available for a model from a pool, skipping excluded keys
+   * Returns null when every key is excluded or cooling down
+   */
+  select(pool: string, modelId: string | null, keyIds: string[], exclude: string[] = []): string | null {
+    const candidates = keyIds.filter((keyId) => !exclude.includes(keyId) && this.getAvailableAt(pool, modelId, keyId) === null);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    if (this.getStrategy() === 'least_used') {
+      return candidates.reduce((best, keyId) =>
+        usageLedgerService.getKeyUsageToday(keyId).requests < usageLedgerService.getKeyUsageToday(best).requests ? keyId : best
+      );
+    }
+
+    const cursor = this.cursors[pool] || 0;
+    for (let i = 0; i < keyIds.length; i++) {
+      const index = (cursor + i) % keyIds.length;
+      if (candidates.includes(keyIds[index])) {
+        this.cursors[pool] = (index + 1) % keyIds.length;
+        return keyIds[index];
+      }
+    }
+    return candidates[0];
+  }
+
+  /**
+   * Seconds until the first key of a pool becomes available for a model
+   */
+  getWaitSeconds(pool: string, modelId: string, keyIds: string[]): number {
+    const times = keyIds.map((keyId) => this.getAvailableAt(pool, modelId, keyId) ?? Date.now());
+    return Math.max(0, Math.ceil((Math.min(...times) - Date.now()) / 1000));
+  }
+
+  /**
+   * Put a key on cooldown for a model after a rate limit or quota error
+   */
+  markExhausted(pool: string, modelId: string, keyId: string, retryAfterSeconds: number | null, error: string): void {
+    const seconds = retryAfterSeconds ?? DEFAULT_KEY_COOLDOWN_SECONDS;
+    this.cooldowns[this.getCooldownKey(pool, modelId, keyId)] = {
+      model_id: modelId,
+      key_id: keyId,
+      until: Date.now() + seconds * 1000,
+      error,
+    };
+  }
+
+  /**
+   * Clear a key's cooldown for a model after a successful call
+   */
+  markSuccess(pool: string, modelId: string, keyId: string): void {
+    delete this.cooldowns[this.getCooldownKey(pool, modelId, keyId)];
+  }
+
+  /**
+   * Get state, usage and last seen limits of a key
+   * The key is cooling down while any model is benched on it; cooldowns lists them
+   */
+  getStatus(keyId: string): ApiKeyStatus {
+    const now = Date.now();
+    const cooldowns = Object.values(this.cooldowns)
+      .filter((cooldown) => cooldown.key_id === keyId && cooldown.until > now)
+      .sort((a, b) => a.until - b.until);
+    const usage = usageLedgerService.getKeyUsageToday(keyId);
+    const latest = cooldowns[cooldowns.length - 1];
+
+    return {
+      key_id: keyId,
+      state: latest ? 'cooling_down' : 'available',
+      available_at: latest ? new Date(latest.until).toISOString() : null,
+      last_error: latest?.error ?? null,
+      cooldowns: cooldowns.map((cooldown) => ({
+        model_id: cooldown.model_id,
+        available_at: new Date(cooldown.until).toISOString(),
+        error: cooldown.error,
+      })),
+      requests_today: usage.requests,
+      tokens_today: usage.tokens,
+      success_rate_last_hour: healthService.getKeySuccessRate(keyId),
+      rate_limits: rateLimitService.getLatestForKey(keyId),
+    };
+  }
+
+  /**
+   * Clear all cooldowns and rotation cursors
+   */
+  clearAll(): void {
+    this.cooldowns = {};
+    this.cursors = {};
+  }
+
+  /**
+   * Snapshot the cooldowns still running for persistence
+   */
+  snapshot(): Record<string, KeyCooldown> {
+    const now = Date.now();
+    return Object.fromEntries(Object.entries(this.cooldowns).filter(([, cooldown]) => cooldown.until > now));
+  }
+
+  /**
+   * Restore persisted cooldowns that have not expired, keeping ones set since startup
+   */
+  restore(data: unknown): void {
+    const cooldowns = (data || {}) as Record<string, KeyCooldown>;
+    const now = Date.now();
+
+    for (const [key, cooldown] of Object.entries(cooldowns)) {
+      if (cooldown && cooldown.model_id && cooldown.key_id && cooldown.until > now && !this.cooldowns[key]) {
+        this.cooldowns[key] = cooldown;
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export const keyPoolService = new KeyPoolService();
+
+// Export class for testing
+export { KeyPoolService };
@@ -0,0 +1,195 @@
+import { Model, PersistableState, QuotaLimitKey, QuotaUsage, UsageLedgerEntry } from '../types';
+import { PROVIDER_DAILY_RESET_TIME_ZONES } from '../utils/constants';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Wall-clock time in a time zone, in milliseconds as if that zone were UTC
+ */
+function getWallClockMs(timeZone: string, now: number): number {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(new Date(now));
+  const part = (type: Intl.DateTimeFormatPartTypes) => parseInt(parts.find((p) => p.type === type)?.value || '0', 10);
+
+  return Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second')) + (now % 1000);
+}
+
+/**
+ * Get the provider's current quota day
+ * The day starts at midnight in the provider's reset time zone (UTC unless documented otherwise)
+ */
+function getQuotaDay(provider: string, now: number): string {
+  const timeZone = PROVIDER_DAILY_RESET_TIME_ZONES[provider] || 'UTC';
+  return new Date(getWallClockMs(timeZone, now)).toISOString().slice(0, 10);
+}
+
+/**
+ * Get when the provider's next quota day starts: the next midnight in its reset time zone
+ * The zone's UTC offset is taken at that midnight, so days with a DST change are 23 or 25 hours
+ */
+function getNextQuotaDayStart(provider: string, now: number): number {
+  const timeZone = PROVIDER_DAILY_RESET_TIME_ZONES[provider] || 'UTC';
+  const wallClock = getWallClockMs(timeZone, now);
+  const midnight = (Math.floor(wallClock / DAY_MS) + 1) * DAY_MS;
+
+  const guess = now + (midnight - wallClock);
+  return guess + (midnight - getWallClockMs(timeZone, guess));
+}
+
+/**
+ * Service keeping a ledger of requests and tokens per provider, model and API key
+ * Minute windows reset on the UTC minute, daily windows at the provider's midnight,
+ * so quota exhaustion can be predicted before a provider reports it
+ */
+class UsageLedgerService implements PersistableState {
+  private entries: Record<string, UsageLedgerEntry> = {};
+
+  /**
+   * Get ledger key for provider/model/key combination
+   */
+  private getKey(provider: string, modelId: string, keyId: string): string {
+    return `${provider}:${modelId}:${keyId}`;
+  }
+
+  /**
+   * Get an entry with its counters reset for any window that has rolled over
+   */
+  private getEntry(provider: string, modelId: string, keyId: string, now: number): UsageLedgerEntry {
+    const key = this.getKey(provider, modelId, keyId);
+    const day = getQuotaDay(provider, now);
+    const minute = Math.floor(now / MINUTE_MS);
+    const entry = this.entries[key] || {
+      provider,
+      model_id: modelId,
+      key_id: keyId,
+      day,
+      minute,
+      requests_minute: 0,
+      tokens_minute: 0,
+      requests_day: 0,
+      tokens_day: 0,
+    };
+
+    if (entry.day !== day) {
+      entry.day = day;
+      entry.requests_day = 0;
+      entry.tokens_day = 0;
+    }
+    if (entry.minute !== minute) {
+      entry.minute = minute;
+      entry.requests_minute = 0;
+      entry.tokens_minute = 0;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Record requests and tokens consumed through a key
+   */
+  record(provider: string, modelId: string, keyId: string, requests: number, tokens: number): void {
+    const entry = this.getEntry(provider, modelId, keyId, Date.now());
+    entry.requests_minute += requests;
+    entry.requests_day += requests;
+    entry.tokens_minute += tokens;
+    entry.tokens_day += tokens;
+    this.entries[this.getKey(provider, modelId, keyId)] = entry;
+  }
+
+  /**
+   * Get usage against each of the model's rpm/tpm/rpd/tpd/neurons_per_day limits
+   * Limits apply per key, so a pool of keys adds up their usage, limits and remaining
+   */
+  getQuota(model: Model, keyIds: string[]): Partial<Record<QuotaLimitKey, QuotaUsage>> {
+    const provider = model.route || model.provider;
+    const now = Date.now();
+    const entries = keyIds.map((keyId) => this.getEntry(provider, model.id, keyId, now));
+    const limits = model.limits || {};
+
+    const minuteReset = new Date((Math.floor(now / MINUTE_MS) + 1) * MINUTE_MS).toISOString();
+    const dayReset = new Date(getNextQuotaDayStart(provider, now)).toISOString();
+
+    // Neurons are not reported per call, so only the limit is known
+    const windows: Record<QuotaLimitKey, { used: ((entry: UsageLedgerEntry) => number) | null; resets_at: string }> = {
+      rpm: { used: (e) => e.requests_minute, resets_at: minuteReset },
+      tpm: { used: (e) => e.tokens_minute, resets_at: minuteReset },
+      rpd: { used: (e) => e.requests_day, resets_at: dayReset },
+      tpd: { used: (e) => e.tokens_day, resets_at: dayReset },
+      neurons_per_day: { used: null, resets_at: dayReset },
+    };
+
+    const quota: Partial<Record<QuotaLimitKey, QuotaUsage>> = {};
+    for (const [limitKey, window] of Object.entries(windows) as [QuotaLimitKey, (typeof windows)[QuotaLimitKey]][]) {
+      const limit = limits[limitKey];
+      if (typeof limit !== 'number' || limit <= 0 || entries.length === 0) continue;
+
+      const used = window.used;
+      quota[limitKey] = {
+        used: used ? entries.reduce((sum, e) => sum + used(e), 0) : null,
+        limit: limit * entries.length,
+        remaining: used ? entries.reduce((sum, e) => sum + Math.max(0, limit - used(e)), 0) : null,
+        resets_at: window.resets_at,
+      };
+    }
+    return quota;
+  }
+
+  /**
+   * Get requests and tokens used today through a key, across providers and models
+   */
+  getKeyUsageToday(keyId: string): { requests: number; tokens: number } {
+    return this.getAll()
+      .filter((e) => e.key_id === keyId)
+      .reduce((sum, e) => ({ requests: sum.requests + e.requests_day, tokens: sum.tokens + e.tokens_day }), { requests: 0, tokens: 0 });
+  }
+
+  /**
+   * Get every ledger entry with rolled-over windows reset
+   */
+  getAll(): UsageLedgerEntry[] {
+    const now = Date.now();
+    return Object.values(this.entries).map((e) => ({ ...this.getEntry(e.provider, e.model_id, e.key_id, now) }));
+  }
+
+  /**
+   * Clear the ledger
+   */
+  clearAll(): void {
+    this.entries = {};
+  }
+
+  /**
+   * Snapshot the ledger for persistence
+   */
+  snapshot(): Record<string, UsageLedgerEntry> {
+    return { ...this.entries };
+  }
+
+  /**
+   * Restore a persisted ledger; stale windows reset on first access
+   */
+  restore(data: unknown): void {
+    const entries = (data || {}) as Record<string, UsageLedgerEntry>;
+
+    for (const [key, entry] of Object.entries(entries)) {
+      if (entry && entry.provider && entry.model_id && entry.key_id && !this.entries[key]) {
+        this.entries[key] = entry;
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export const usageLedgerService = new UsageLedgerService();
+
+// Export class for testing
+export { UsageLedgerService };
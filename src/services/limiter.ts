@@ -0,0 +1,210 @@
+import { LocalLimitBucket, LocalLimitKey, Model, ModelLimits, ProviderInput } from '../types';
+import { LOCAL_LIMIT_WINDOWS_MS, MAX_LOCAL_LIMIT_WAIT_MS } from '../utils/constants';
+import { RateLimitError } from '../utils/errors';
+import { sleep } from '../utils/async';
+
+/**
+ * Approximate characters per token for prompt estimates
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Token overhead per chat message (role and separators)
+ */
+const TOKENS_PER_MESSAGE = 4;
+
+/**
+ * Token bucket for one limit, refilled continuously over its window
+ */
+interface Bucket extends LocalLimitBucket {
+  updated_at: number;
+}
+
+/**
+ * Estimate the tokens of a text
+ */
+export function estimateTextTokens(text: string): number {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the prompt tokens of a call from its text
+ */
+export function estimatePromptTokens(input: ProviderInput): number {
+  const texts: string[] = [input.input || input.prompt || ''];
+
+  for (const msg of input.messages || []) {
+    if (typeof msg.content === 'string') {
+      texts.push(msg.content);
+    } else {
+      for (const part of msg.content) {
+        if (part.type === 'text') texts.push(part.text);
+      }
+    }
+  }
+
+  return estimateTextTokens(texts.join('')) + (input.messages?.length || 0) * TOKENS_PER_MESSAGE;
+}
+
+/**
+ * Service enforcing the database's rpm/rpd/tpm/tpd limits locally, before dispatch,
+ * so free-tier keys are never pushed into provider 429s
+ * The limits are per API key, so a model's buckets hold them once for every key in its pool.
+ */
+class LocalLimiterService {
+  private buckets: Record<string, Bucket[]> = {};
+
+  /**
+   * Get bucket key for provider/model combination
+   */
+  private getKey(provider: string, modelId: string): string {
+    return `${provider}:${modelId}`;
+  }
+
+  /**
+   * Get the refilled buckets for a model, creating them from its limits times its pool's key count
+   * Buckets are rebuilt when the database limits or the key count change
+   */
+  private getBuckets(provider: string, modelId: string, limits: ModelLimits, keyCount: number): Bucket[] {
+    const key = this.getKey(provider, modelId);
+    const now = Date.now();
+    const existing = this.buckets[key] || [];
+
+    const buckets = (Object.keys(LOCAL_LIMIT_WINDOWS_MS) as LocalLimitKey[])
+      .filter((limit) => typeof limits[limit] === 'number' && limits[limit]! > 0)
+      .map((limit) => {
+        const capacity = limits[limit]! * keyCount;
+        const bucket = existing.find((b) => b.limit === limit && b.capacity === capacity);
+        if (!bucket) {
+          return { limit, capacity, available: capacity, updated_at: now };
+        }
+
+        const refill = ((now - bucket.updated_at) / LOCAL_LIMIT_WINDOWS_MS[limit]) * capacity;
+        return { ...bucket, available: Math.min(capacity, bucket.available + refill), updated_at: now };
+      });
+
+    if (buckets.length > 0) {
+      this.buckets[key] = buckets;
+    } else {
+      delete this.buckets[key];
+    }
+    return buckets;
+  }
+
+  /**
+   * Amount a call takes from a bucket: one request or its tokens
+   */
+  private getCost(limit: LocalLimitKey, tokens: number): number {
+    return limit === 'rpm' || limit === 'rpd' ? 1 : tokens;
+  }
+
+  /**
+   * Take capacity for one call from every bucket, or report the wait until it fits
+   * Returns null when the call was admitted
+   */
+  private tryTake(
+    provider: string,
+    model: Model,
+    tokens: number,
+    keyCount: number
+  ): { limit: LocalLimitKey; wait_ms: number } | null {
+    const buckets = this.getBuckets(provider, model.id, model.limits || {}, keyCount);
+    let blocked: { limit: LocalLimitKey; wait_ms: number } | null = null;
+
+    for (const bucket of buckets) {
+      const cost = this.getCost(bucket.limit, tokens);
+      if (bucket.available >= cost) continue;
+
+      // A prompt larger than the whole bucket never fits
+      const waitMs =
+        cost > bucket.capacity
+          ? Infinity
+          : ((cost - bucket.available) / bucket.capacity) * LOCAL_LIMIT_WINDOWS_MS[bucket.limit];
+      if (!blocked || waitMs > blocked.wait_ms) {
+        blocked = { limit: bucket.limit, wait_ms: waitMs };
+      }
+    }
+
+    if (blocked) {
+      return blocked;
+    }
+
+    for (const bucket of buckets) {
+      bucket.available -= this.getCost(bucket.limit, tokens);
+    }
+    return null;
+  }
+
+  /**
+   * Admit a call against the model's limits, for a pool of keyCount API keys
+   * Short waits are queued; longer ones are rejected with a RateLimitError
+   */
+  async acquire(provider: string, model: Model, tokens: number, keyCount: number, signal?: AbortSignal): Promise<void> {
+    const deadline = Date.now() + MAX_LOCAL_LIMIT_WAIT_MS;
+
+    for (;;) {
+      const blocked = this.tryTake(provider, model, tokens, keyCount);
+      if (!blocked) {
+        return;
+      }
+
+      if (Date.now() + blocked.wait_ms > deadline) {
+        const retryAfter = Number.isFinite(blocked.wait_ms) ? Math.ceil(blocked.wait_ms / 1000) : 60;
+        throw new RateLimitError(
+          provider,
+          `Local rate limit reached for ${provider}/${model.id} (${blocked.limit}): ` +
+            (Number.isFinite(blocked.wait_ms)
+              ? `capacity frees up in ${retryAfter}s`
+              : `request of ~${tokens} tokens exceeds the ${blocked.limit} limit`),
+          retryAfter
+        );
+      }
+
+      await sleep(blocked.wait_ms, signal);
+    }
+  }
+
+  /**
+   * Correct the token buckets once the provider reports actual usage
+   * (the estimate covers the prompt only, completion tokens are charged here)
+   */
+  settle(provider: string, modelId: string, estimatedTokens: number, actualTokens: number): void {
+    if (actualTokens <= 0) return;
+
+    for (const bucket of this.buckets[this.getKey(provider, modelId)] || []) {
+      if (bucket.limit === 'tpm' || bucket.limit === 'tpd') {
+        bucket.available = Math.min(bucket.capacity, bucket.available + estimatedTokens - actualTokens);
+      }
+    }
+  }
+
+  /**
+   * Get bucket state for every limited provider/model
+   */
+  getAll(): Record<string, LocalLimitBucket[]> {
+    const result: Record<string, LocalLimitBucket[]> = {};
+    const now = Date.now();
+
+    for (const [key, buckets] of Object.entries(this.buckets)) {
+      result[key] = buckets.map(({ limit, capacity, available, updated_at }) => ({
+        limit,
+        capacity,
+        available: Math.floor(Math.min(capacity, available + ((now - updated_at) / LOCAL_LIMIT_WINDOWS_MS[limit]) * capacity)),
+      }));
+    }
+    return result;
+  }
+
+  /**
+   * Clear all buckets
+   */
+  clearAll(): void {
+    this.buckets = {};
+  }
+}
+
+// Export singleton instance
+export const localLimiterService = new LocalLimiterService();
+
+// Export class for testing
+export { LocalLimiterService };
@@ -0,0 +1,145 @@
+import { MetricLabels, MetricSample } from '../types';
+import { LATENCY_HISTOGRAM_BUCKETS_SECONDS } from '../utils/constants';
+
+/**
+ * Latency histogram for one label set
+ */
+interface Histogram {
+  labels: MetricLabels;
+  buckets: number[];
+  sum: number;
+  count: number;
+}
+
+/**
+ * Escape a label value for the Prometheus text format
+ */
+function escapeLabelValue(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set as {name="value",...}, or an empty string when there are none
+ */
+function formatLabels(labels: MetricLabels): string {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Format one metric family in the Prometheus text format
+ */
+export function formatMetric(name: string, type: 'counter' | 'gauge', help: string, samples: MetricSample[]): string {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const sample of samples) {
+    lines.push(`${name}${formatLabels(sample.labels)} ${sample.value}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Service collecting provider call counters and latency histograms for /metrics
+ * Gauges (rate limits, health, boost tiers) are read from their services at scrape time
+ */
+class MetricsService {
+  private requests: Record<string, MetricSample> = {};
+  private tokens: Record<string, MetricSample> = {};
+  private latency: Record<string, Histogram> = {};
+
+  /**
+   * Get the series key for a label set
+   */
+  private getKey(labels: MetricLabels): string {
+    return formatLabels(labels);
+  }
+
+  /**
+   * Add to a counter series, creating it at zero
+   */
+  private increment(series: Record<string, MetricSample>, labels: MetricLabels, amount: number): void {
+    const key = this.getKey(labels);
+    if (!series[key]) {
+      series[key] = { labels, value: 0 };
+    }
+    series[key].value += amount;
+  }
+
+  /**
+   * Count a finished provider call
+   * status is success, error or cancelled; error_type is empty unless status is error
+   */
+  recordRequest(provider: string, modelId: string, status: string, errorType: string = ''): void {
+    this.increment(this.requests, { provider, model: modelId, status, error_type: errorType }, 1);
+  }
+
+  /**
+   * Observe a provider call's duration
+   */
+  observeLatency(provider: string, modelId: string, latencyMs: number): void {
+    const labels = { provider, model: modelId };
+    const key = this.getKey(labels);
+    if (!this.latency[key]) {
+      this.latency[key] = { labels, buckets: LATENCY_HISTOGRAM_BUCKETS_SECONDS.map(() => 0), sum: 0, count: 0 };
+    }
+
+    const histogram = this.latency[key];
+    const seconds = latencyMs / 1000;
+    LATENCY_HISTOGRAM_BUCKETS_SECONDS.forEach((bound, i) => {
+      if (seconds <= bound) histogram.buckets[i]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+  }
+
+  /**
+   * Count tokens reported by a provider
+   */
+  recordTokens(provider: string, modelId: string, inputTokens: number, outputTokens: number): void {
+    if (inputTokens > 0) this.increment(this.tokens, { provider, model: modelId, type: 'input' }, inputTokens);
+    if (outputTokens > 0) this.increment(this.tokens, { provider, model: modelId, type: 'output' }, outputTokens);
+  }
+
+  /**
+   * Render counters and histograms in the Prometheus text format
+   */
+  render(): string {
+    const name = 'turbo_console_provider_request_duration_seconds';
+    const lines = [`# HELP ${name} Provider call duration in seconds`, `# TYPE ${name} histogram`];
+
+    for (const histogram of Object.values(this.latency)) {
+      LATENCY_HISTOGRAM_BUCKETS_SECONDS.forEach((bound, i) => {
+        lines.push(`${name}_bucket${formatLabels({ ...histogram.labels, le: String(bound) })} ${histogram.buckets[i]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...histogram.labels, le: '+Inf' })} ${histogram.count}`);
+      lines.push(`${name}_sum${formatLabels(histogram.labels)} ${histogram.sum}`);
+      lines.push(`${name}_count${formatLabels(histogram.labels)} ${histogram.count}`);
+    }
+
+    return (
+      formatMetric(
+        'turbo_console_provider_requests_total',
+        'counter',
+        'Provider calls by provider, model, status and error type',
+        Object.values(this.requests)
+      ) +
+      lines.join('\n') +
+      '\n' +
+      formatMetric('turbo_console_tokens_total', 'counter', 'Tokens reported by providers', Object.values(this.tokens))
+    );
+  }
+
+  /**
+   * Reset all counters and histograms
+   */
+  clearAll(): void {
+    this.requests = {};
+    this.tokens = {};
+    this.latency = {};
+  }
+}
+
+// Export singleton instance
+export const metricsService = new MetricsService();
+
+// Export class for testing
+export { MetricsService };
@@ -7,6 +7,10 @@ import {
   Database,
   ModelFilterQuery,
   ModelSuggestionConstraints,
+  ModelAlias,
+  BoostTier,
+  ScoreBreakdown,
+  SelectionStrategy,
   PinokioModel,
   PinokioFilterQuery,
 } from '../types';
@@ -14,9 +18,25 @@ import {
   COST_TIER_ORDER,
   PROVIDER_BUCKETS,
   CAPABILITY_KEYS,
+  BOOST_TIERS,
+  TOOL_CAPABLE_ROUTES,
+  VISION_MODEL_PATTERNS,
+  EMBEDDING_MODEL_PATTERNS,
+  IMAGE_GENERATION_MODEL_PATTERNS,
+  TTS_MODEL_VOICES,
+  STRATEGY_WEIGHTS,
+  MAX_MODEL_RATING,
+  LATENCY_SCORE_REFERENCE_MS,
+  UNKNOWN_SIGNAL_SCORE,
+  boostTierToCostTier,
   parseRouteKey,
 } from '../utils/constants';
+import { ValidationError } from '../utils/errors';
 import { ratingsService } from './ratings';
+import { circuitBreakerService } from './circuitBreaker';
+import { healthService } from './health';
+import { rateLimitService } from './rateLimit';
+import { getModelPoolKeyIds } from '../providers/router';
 
 /**
  * Create a default capability template
@@ -28,10 +48,15 @@ export function capabilityTemplate(flags: Partial<ModelCapabilities> = {}): Mode
     speed: false,
     coding: false,
     images: false,
+    image_generation: false,
     audio_speech: false,
     audio_music: false,
     vision: false,
     video: false,
+    tools: false,
+    embeddings: false,
+    transcription: false,
+    tts: false,
   };
 
   for (const key of CAPABILITY_KEYS) {
@@ -76,18 +101,31 @@ export function normalizeCostTier(modelId: string, db: Database): CostTier {
 export function inferCapabilities(modelId: string): ModelCapabilities {
   const lowered = modelId.toLowerCase();
 
+  if (EMBEDDING_MODEL_PATTERNS.some((pattern) => lowered.includes(pattern))) {
+    return capabilityTemplate({ embeddings: true });
+  }
+
+  if (IMAGE_GENERATION_MODEL_PATTERNS.some((pattern) => lowered.includes(pattern))) {
+    return capabilityTemplate({ images: true, image_generation: true });
+  }
+
   if (lowered.includes('whisper')) {
-    return capabilityTemplate({ audio_speech: true, speed: true });
+    return capabilityTemplate({ audio_speech: true, speed: true, transcription: true });
   }
 
   if (lowered.includes('tts') || lowered.includes('playai')) {
-    return capabilityTemplate({ audio_speech: true, speed: true });
+    return capabilityTemplate({ audio_speech: true, speed: true, tts: true });
   }
 
-  if (lowered.includes('img') || lowered.includes('vision') || lowered.includes('image')) {
+  if (lowered.includes('img') || lowered.includes('image')) {
     return capabilityTemplate({ vision: true, images: true });
   }
 
+  // Multimodal chat models accept image parts on /run
+  if (VISION_MODEL_PATTERNS.some((pattern) => lowered.includes(pattern))) {
+    return capabilityTemplate({ chat: true, reasoning: true, speed: true, coding: true, vision: true });
+  }
+
   if (lowered.includes('video') || lowered.includes('sora')) {
     return capabilityTemplate({ video: true });
   }
@@ -115,6 +153,11 @@ export function buildModelList(db: Database): Model[] {
           ? capabilityTemplate(base.capabilities)
           : inferCapabilities(modelId);
 
+        // Chat models on tool-capable routes accept tools unless details say otherwise
+        if (base.capabilities?.tools === undefined) {
+          capabilities.tools = capabilities.chat && TOOL_CAPABLE_ROUTES.includes(base.route || route);
+        }
+
         models.push({
           id: modelId,
           provider: base.provider || provider,
@@ -122,7 +165,7 @@ export function buildModelList(db: Database): Model[] {
           route: base.route || route,
           capabilities,
           ratings: base.ratings || ratingFromCapabilities(capabilities),
-          limits: base.limits || {},
+          limits: base.limits || base.rate_limits || {},
           cost_tier: base.cost_tier || normalizeCostTier(modelId, db),
           uses_puter_credits: Boolean(base.uses_puter_credits),
           cost_notes: base.cost_notes || '',
@@ -143,12 +186,63 @@ export function filterModels(models: Model[], query: ModelFilterQuery): Model[]
     if (query.provider && model.provider !== query.provider) return false;
     if (query.cost_tier && model.cost_tier !== query.cost_tier) return false;
     if (query.capability && !model.capabilities[query.capability]) return false;
+    if (query.requires && !query.requires.every((key) => model.capabilities[key])) return false;
     return true;
   });
 }
 
 /**
- * Suggest models based on constraints, sorted by quality and cost
+ * Score a model for a capability
+ * Without a strategy the score is the capability rating; with one it blends the
+ * scaled rating with the model's own observed p50 latency, success rate and
+ * remaining quota across its key pool (0-1)
+ */
+function scoreModel(
+  model: Model,
+  capabilityKey: keyof ModelCapabilities,
+  strategy?: SelectionStrategy
+): { score: number; score_breakdown: ScoreBreakdown } {
+  const route = model.route || model.provider;
+  const rating = (model.ratings && model.ratings[capabilityKey]) || 0;
+  const { p50_latency_ms, success_rate } = healthService.getRecentStats(route, model.id);
+  const quotaRemaining = rateLimitService.getRemainingFraction(route, model.id, getModelPoolKeyIds(model));
+  const breakdown: ScoreBreakdown = {
+    strategy: strategy || null,
+    rating,
+    p50_latency_ms,
+    success_rate,
+    quota_remaining: quotaRemaining,
+    components: null,
+  };
+
+  if (!strategy) {
+    return { score: rating, score_breakdown: breakdown };
+  }
+
+  const weights = STRATEGY_WEIGHTS[strategy];
+  const signals = {
+    rating: Math.min(1, rating / MAX_MODEL_RATING),
+    latency: p50_latency_ms !== null ? LATENCY_SCORE_REFERENCE_MS / (LATENCY_SCORE_REFERENCE_MS + p50_latency_ms) : UNKNOWN_SIGNAL_SCORE,
+    success_rate: success_rate ?? UNKNOWN_SIGNAL_SCORE,
+    quota: quotaRemaining ?? UNKNOWN_SIGNAL_SCORE,
+  };
+  const round = (value: number) => Math.round(value * 1000) / 1000;
+  breakdown.components = {
+    rating: round(signals.rating * weights.rating),
+    latency: round(signals.latency * weights.latency),
+    success_rate: round(signals.success_rate * weights.success_rate),
+    quota: round(signals.quota * weights.quota),
+  };
+
+  const score = Object.values(breakdown.components).reduce((sum, value) => sum + value, 0);
+  return { score: round(score), score_breakdown: breakdown };
+}
+
+/**
+ * Suggest models based on constraints, sorted by cost tier, then score
+ * The cost tier always comes first (cheaper tiers are preferred), so a strategy's
+ * score only reorders models within a tier; max_cost_tier bounds the tiers considered.
+ * Models behind an open provider circuit are left out unless include_open_circuits is set
  */
 export function suggestModels(models: Model[], constraints: ModelSuggestionConstraints = {}): ScoredModel[] {
   const filtered = filterModels(models, constraints);
@@ -162,10 +256,8 @@ export function suggestModels(models: Model[], constraints: ModelSuggestionConst
       const idx = COST_TIER_ORDER.indexOf(m.cost_tier);
       return idx !== -1 && idx <= maxCostIndex;
     })
-    .map((model) => {
-      const rating = (model.ratings && model.ratings[capabilityKey]) || 0;
-      return { ...model, score: rating };
-    })
+    .filter((m) => constraints.include_open_circuits || !circuitBreakerService.isOpen(m.route || m.provider))
+    .map((model) => ({ ...model, ...scoreModel(model, capabilityKey, constraints.strategy) }))
     .sort((a, b) => {
       const aIdx = COST_TIER_ORDER.indexOf(a.cost_tier);
       const bIdx = COST_TIER_ORDER.indexOf(b.cost_tier);
@@ -178,7 +270,7 @@ export function suggestModels(models: Model[], constraints: ModelSuggestionConst
 /**
  * Pick a model based on input constraints
  */
-export function pickModel(models: Model[], input: { model_id?: string; capability?: keyof ModelCapabilities; max_cost_tier?: CostTier }): Model | null {
+export function pickModel(models: Model[], input: { model_id?: string; capability?: keyof ModelCapabilities; max_cost_tier?: CostTier; requires?: (keyof ModelCapabilities)[]; strategy?: SelectionStrategy }): Model | null {
   if (input.model_id) {
     return models.find((m) => m.id === input.model_id) || null;
   }
@@ -186,11 +278,97 @@ export function pickModel(models: Model[], input: { model_id?: string; capabilit
   const suggestions = suggestModels(models, {
     capability: input.capability,
     max_cost_tier: input.max_cost_tier,
+    requires: input.requires,
+    strategy: input.strategy,
   });
 
   return suggestions[0] || null;
 }
 
+/**
+ * Parse an auto-routing alias: "auto", "auto:coding", "auto@turbo" or "auto:coding@turbo"
+ * Returns null when the value is a concrete model ID
+ */
+export function parseModelAlias(value: string): ModelAlias | null {
+  const match = /^auto(?::([a-z_]+))?(?:@([a-z]+))?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const [, capability, boostTier] = match;
+  const alias: ModelAlias = {};
+
+  if (capability) {
+    if (!CAPABILITY_KEYS.includes(capability as keyof ModelCapabilities)) {
+      throw new ValidationError(
+        `Invalid capability in model alias: ${capability}. Must be one of: ${CAPABILITY_KEYS.join(', ')}`,
+        'model',
+        value
+      );
+    }
+    alias.capability = capability as keyof ModelCapabilities;
+  }
+
+  if (boostTier) {
+    if (!(boostTier in BOOST_TIERS)) {
+      throw new ValidationError(`Invalid boost_tier in model alias: ${boostTier}. Must be 'turbo' or 'ultra'.`, 'model', value);
+    }
+    alias.boost_tier = boostTier as BoostTier;
+  }
+
+  return alias;
+}
+
+/**
+ * Resolve a requested model (concrete ID or auto alias) to a model
+ * Aliases without a capability pick by defaultCapability when given, and only
+ * pick models that also have the required capabilities (vision, tools)
+ */
+export function resolveRequestedModel(
+  models: Model[],
+  requested: string = 'auto',
+  defaultCapability?: keyof ModelCapabilities,
+  requires?: (keyof ModelCapabilities)[]
+): Model | null {
+  const alias = parseModelAlias(requested);
+  if (!alias) {
+    return pickModel(models, { model_id: requested });
+  }
+
+  const costTier = alias.boost_tier ? boostTierToCostTier(alias.boost_tier) : null;
+  const pool = costTier ? models.filter((m) => m.cost_tier === costTier) : models;
+
+  return pickModel(pool, { capability: alias.capability || defaultCapability, requires });
+}
+
+/**
+ * Rank fallback candidates for a model: the model itself first, then models of
+ * the same cost tier and capability in suggestModels order
+ */
+export function rankFallbackModels(
+  models: Model[],
+  primary: Model,
+  capability: keyof ModelCapabilities = 'chat',
+  requires?: (keyof ModelCapabilities)[],
+  strategy?: SelectionStrategy
+): Model[] {
+  const alternatives = suggestModels(models, {
+    capability,
+    cost_tier: primary.cost_tier,
+    requires,
+    strategy,
+  }).filter((m) => m.id !== primary.id);
+
+  return [primary, ...alternatives];
+}
+
+/**
+ * Get the voices a text-to-speech model offers, default first; empty for unlisted models
+ */
+export function getModelVoices(model: Model): string[] {
+  return TTS_MODEL_VOICES[model.id] || [];
+}
+
 /**
  * Transform model to Pinokio API format
  */
@@ -211,10 +389,15 @@ export function transformModelForPinokio(model: Model, db: Database): PinokioMod
     supports_reasoning: Boolean(model.capabilities?.reasoning),
     supports_coding: Boolean(model.capabilities?.coding),
     supports_images: Boolean(model.capabilities?.images),
+    supports_image_generation: Boolean(model.capabilities?.image_generation),
     supports_audio_speech: Boolean(model.capabilities?.audio_speech),
     supports_audio_music: Boolean(model.capabilities?.audio_music),
     supports_vision: Boolean(model.capabilities?.vision),
     supports_video: Boolean(model.capabilities?.video),
+    supports_tools: Boolean(model.capabilities?.tools),
+    supports_embeddings: Boolean(model.capabilities?.embeddings),
+    supports_transcription: Boolean(model.capabilities?.transcription),
+    supports_tts: Boolean(model.capabilities?.tts),
 
     // Ratings (apply overrides)
     chat_rating: overrides.chat ?? model.ratings?.chat ?? null,
@@ -270,10 +453,15 @@ export function filterModelsPinokio(models: PinokioModel[], query: PinokioFilter
     if (query.requires_reasoning === 'true' && !model.supports_reasoning) return false;
     if (query.requires_coding === 'true' && !model.supports_coding) return false;
     if (query.requires_images === 'true' && !model.supports_images) return false;
+    if (query.requires_image_generation === 'true' && !model.supports_image_generation) return false;
     if (query.requires_audio_speech === 'true' && !model.supports_audio_speech) return false;
     if (query.requires_audio_music === 'true' && !model.supports_audio_music) return false;
     if (query.requires_vision === 'true' && !model.supports_vision) return false;
     if (query.requires_video === 'true' && !model.supports_video) return false;
+    if (query.requires_tools === 'true' && !model.supports_tools) return false;
+    if (query.requires_embeddings === 'true' && !model.supports_embeddings) return false;
+    if (query.requires_transcription === 'true' && !model.supports_transcription) return false;
+    if (query.requires_tts === 'true' && !model.supports_tts) return false;
 
     // Minimum rating filters
     const ratingFields = ['chat', 'reasoning', 'speed', 'coding', 'images', 'audio_speech', 'audio_music', 'vision', 'video'] as const;
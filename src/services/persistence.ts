@@ -0,0 +1,169 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { PersistableState, PersistenceBackend } from '../types';
+import { DEFAULT_SNAPSHOT_INTERVAL_MS } from '../utils/constants';
+import { rateLimitService } from './rateLimit';
+import { healthService } from './health';
+import { usageLedgerService } from './ledger';
+import { jobService } from './jobs';
+import { keyPoolService } from './keyPool';
+import { circuitBreakerService } from './circuitBreaker';
+
+/**
+ * Backend storing each key as a JSON file in a directory
+ * Files are written to a temporary path and renamed, so a crash never leaves a partial snapshot
+ */
+export class JsonFileBackend implements PersistenceBackend {
+  constructor(private readonly dir: string) {}
+
+  private getFilePath(key: string): string {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  load(key: string): unknown {
+    const filePath = this.getFilePath(key);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8')) as unknown;
+  }
+
+  save(key: string, data: unknown): void {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const filePath = this.getFilePath(key);
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, filePath);
+  }
+}
+
+/**
+ * Backend keeping snapshots in memory (state is lost on restart)
+ */
+export class MemoryBackend implements PersistenceBackend {
+  private store: Record<string, string> = {};
+
+  load(key: string): unknown {
+    return key in this.store ? (JSON.parse(this.store[key]) as unknown) : null;
+  }
+
+  save(key: string, data: unknown): void {
+    this.store[key] = JSON.stringify(data);
+  }
+}
+
+/**
+ * Service snapshotting in-memory service state to a backend and restoring it on startup
+ */
+class PersistenceService {
+  private backend: PersistenceBackend | null = null;
+  private sources: Record<string, PersistableState> = {};
+  private timer: NodeJS.Timeout | null = null;
+
+  /**
+   * Register a service under a storage key, restoring its state if a backend is set
+   */
+  register(key: string, source: PersistableState): void {
+    this.sources[key] = source;
+    source.setSaver?.(() => this.save(key));
+    if (this.backend) {
+      this.restoreOne(key, source);
+    }
+  }
+
+  /**
+   * Restore one service, ignoring unreadable snapshots
+   */
+  private restoreOne(key: string, source: PersistableState): void {
+    try {
+      const data = this.backend!.load(key);
+      if (data !== null) {
+        source.restore(data);
+      }
+    } catch (e) {
+      console.warn(`Could not restore ${key} state:`, (e as Error).message);
+    }
+  }
+
+  /**
+   * Set the backend and restore every registered service from it
+   */
+  setBackend(backend: PersistenceBackend | null): void {
+    this.backend = backend;
+    if (!backend) return;
+
+    for (const [key, source] of Object.entries(this.sources)) {
+      this.restoreOne(key, source);
+    }
+  }
+
+  /**
+   * Snapshot one registered service to the backend
+   */
+  save(key: string): void {
+    const source = this.sources[key];
+    if (!this.backend || !source) return;
+
+    try {
+      this.backend.save(key, source.snapshot());
+    } catch (e) {
+      console.warn(`Could not save ${key} state:`, (e as Error).message);
+    }
+  }
+
+  /**
+   * Snapshot every registered service to the backend
+   */
+  flush(): void {
+    for (const key of Object.keys(this.sources)) {
+      this.save(key);
+    }
+  }
+
+  /**
+   * Configure the backend from the environment, then snapshot periodically and on shutdown
+   * STATE_PERSISTENCE: "file" (default), "memory" or "none"; STATE_DIR: snapshot directory
+   */
+  start(): void {
+    const mode = process.env.STATE_PERSISTENCE || 'file';
+    if (mode === 'none') return;
+
+    // Navigate from src/services to project root
+    const dir = process.env.STATE_DIR || path.join(__dirname, '..', '..', 'state');
+    this.setBackend(mode === 'memory' ? new MemoryBackend() : new JsonFileBackend(dir));
+
+    const interval = parseInt(process.env.STATE_SNAPSHOT_INTERVAL_MS || '', 10) || DEFAULT_SNAPSHOT_INTERVAL_MS;
+    this.timer = setInterval(() => this.flush(), interval);
+    this.timer.unref();
+
+    for (const signal of ['SIGINT', 'SIGTERM'] as const) {
+      process.once(signal, () => {
+        this.flush();
+        process.exit(0);
+      });
+    }
+  }
+
+  /**
+   * Stop periodic snapshots
+   */
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+export const persistenceService = new PersistenceService();
+
+persistenceService.register('rate-limits', rateLimitService);
+persistenceService.register('provider-health', healthService);
+persistenceService.register('usage-ledger', usageLedgerService);
+persistenceService.register('jobs', jobService);
+persistenceService.register('key-cooldowns', keyPoolService);
+persistenceService.register('circuit-breakers', circuitBreakerService);
+
+// Export class for testing
+export { PersistenceService };
@@ -0,0 +1,164 @@
+import { HealthProbeInfo, Model, ProviderName } from '../types';
+import { DEFAULT_HEALTH_PROBE_DAILY_BUDGET, DEFAULT_HEALTH_PROBE_INTERVAL_MS } from '../utils/constants';
+import { isTimeoutError } from '../utils/errors';
+import { BaseProvider } from '../providers/base';
+import { getProvider } from '../providers/router';
+import { databaseService } from './database';
+import { healthService } from './health';
+import { keyPoolService } from './keyPool';
+import { usageLedgerService } from './ledger';
+import { buildModelList, suggestModels } from './models';
+
+/**
+ * Service sending a cheap periodic probe to every configured provider
+ * Providers that served user traffic within the interval are skipped, and each
+ * provider gets at most daily_budget probes per UTC day
+ */
+class HealthProbeService {
+  private timer: NodeJS.Timeout | null = null;
+  private running = false;
+  private intervalMs = DEFAULT_HEALTH_PROBE_INTERVAL_MS;
+  private dailyBudget = DEFAULT_HEALTH_PROBE_DAILY_BUDGET;
+  private spent: Record<string, { day: string; count: number }> = {};
+
+  /**
+   * Probes sent to a provider today
+   */
+  private getSpent(provider: string): number {
+    const day = new Date().toISOString().slice(0, 10);
+    const entry = this.spent[provider];
+    return entry && entry.day === day ? entry.count : 0;
+  }
+
+  /**
+   * Count a probe against today's budget
+   */
+  private spend(provider: string): void {
+    const day = new Date().toISOString().slice(0, 10);
+    this.spent[provider] = { day, count: this.getSpent(provider) + 1 };
+  }
+
+  /**
+   * Whether real traffic already told us about the provider this interval
+   */
+  private hadRecentTraffic(provider: string): boolean {
+    const history = healthService.getHistory(provider);
+    const last = history[history.length - 1];
+    return Boolean(last && Date.now() - new Date(last.timestamp).getTime() < this.intervalMs);
+  }
+
+  /**
+   * Probe one provider and record the result
+   */
+  private async probeProvider(provider: string, models: Model[]): Promise<void> {
+    let implementation: BaseProvider;
+    try {
+      implementation = getProvider(provider);
+    } catch {
+      return;
+    }
+
+    if (!implementation.isConfigured() || this.hadRecentTraffic(provider) || this.getSpent(provider) >= this.dailyBudget) {
+      return;
+    }
+
+    // Completion probes use the provider's cheapest chat model, even while its circuit is open
+    const model =
+      suggestModels(models, { provider: provider as ProviderName, capability: 'chat', include_open_circuits: true })[0] || null;
+    const startTime = Date.now();
+    this.spend(provider);
+
+    // Completion probes spend the model's quota through one pooled key, so the usage ledger counts them
+    const completion = model && implementation.usesCompletionProbe() ? model : null;
+    const keyId = completion ? keyPoolService.select(provider, completion.id, implementation.getKeyIds()) ?? undefined : undefined;
+    let requests = 1;
+
+    try {
+      await implementation.probe(model, {
+        api_key_pool: provider,
+        api_key_id: keyId,
+        api_key_model_id: completion?.id,
+        on_retry: () => requests++,
+      });
+      healthService.recordProbe(provider, model?.id || '', true, Date.now() - startTime, null);
+    } catch (error) {
+      const err = error as Error;
+      healthService.recordProbe(provider, model?.id || '', false, Date.now() - startTime, err.message, isTimeoutError(err));
+    } finally {
+      if (completion) {
+        usageLedgerService.record(provider, completion.id, keyId || 'none', requests, 0);
+      }
+    }
+  }
+
+  /**
+   * Probe every supported provider once, one at a time
+   */
+  async runOnce(): Promise<void> {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const db = databaseService.loadDb();
+      const models = buildModelList(db);
+      for (const provider of db.metadata.supported_providers) {
+        await this.probeProvider(provider, models);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start probing from the environment settings
+   * HEALTH_PROBE_INTERVAL_MS (0 disables), HEALTH_PROBE_DAILY_BUDGET (per provider)
+   */
+  start(): void {
+    const interval = parseInt(process.env.HEALTH_PROBE_INTERVAL_MS ?? '', 10);
+    const budget = parseInt(process.env.HEALTH_PROBE_DAILY_BUDGET ?? '', 10);
+    this.intervalMs = isNaN(interval) ? DEFAULT_HEALTH_PROBE_INTERVAL_MS : interval;
+    this.dailyBudget = isNaN(budget) ? DEFAULT_HEALTH_PROBE_DAILY_BUDGET : budget;
+
+    if (this.intervalMs <= 0) return;
+
+    const run = () => {
+      this.runOnce().catch((e) => console.warn('Health probes failed:', (e as Error).message));
+    };
+    this.timer = setInterval(run, this.intervalMs);
+    this.timer.unref();
+    run();
+  }
+
+  /**
+   * Stop probing
+   */
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Get probe settings and today's spend
+   */
+  getInfo(): HealthProbeInfo {
+    const probesToday: Record<string, number> = {};
+    for (const provider of Object.keys(this.spent)) {
+      probesToday[provider] = this.getSpent(provider);
+    }
+
+    return {
+      enabled: this.timer !== null,
+      interval_ms: this.intervalMs,
+      daily_budget: this.dailyBudget,
+      probes_today: probesToday,
+    };
+  }
+}
+
+// Export singleton instance
+export const healthProbeService = new HealthProbeService();
+
+// Export class for testing
+export { HealthProbeService };
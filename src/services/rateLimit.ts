@@ -1,11 +1,15 @@
-import { CachedRateLimit, RateLimitInfo } from '../types';
-import { parseRateLimitHeaders } from '../utils/headers';
+import { CachedRateLimit, PersistableState, RateLimitInfo } from '../types';
+import { parseRateLimitHeaders, parseResetSeconds } from '../utils/headers';
+import { DEFAULT_RATE_LIMIT_RESET_SECONDS } from '../utils/constants';
 
 /**
  * Service for caching and managing rate limit information
+ * Limits are cached per provider/model, and per provider/model/key for pooled keys,
+ * since providers like Groq and Gemini meter each model separately on each key
  */
-class RateLimitService {
+class RateLimitService implements PersistableState {
   private cache: Record<string, CachedRateLimit> = {};
+  private keyCache: Record<string, Record<string, CachedRateLimit>> = {};
 
   /**
    * Get cache key for provider/model combination
@@ -16,23 +20,82 @@ class RateLimitService {
 
   /**
    * Update rate limit cache from response headers
+   * headerFormat selects the header parser when it differs from the cache provider (direct routes);
+   * with a pooled key the limits are cached for that key and model, and the provider/model
+   * entry becomes the limits of the key with the most capacity seen so far
    */
-  updateFromHeaders(provider: string, modelId: string, headers: Headers): void {
-    const limits = parseRateLimitHeaders(headers);
+  updateFromHeaders(provider: string, modelId: string, headers: Headers, headerFormat: string = provider, keyId?: string): void {
+    const limits = parseRateLimitHeaders(headers, headerFormat);
     const cacheKey = this.getCacheKey(provider, modelId);
-
-    this.cache[cacheKey] = {
+    const entry = {
       ...limits,
       updated_at: new Date().toISOString(),
     };
+
+    if (!keyId) {
+      this.cache[cacheKey] = entry;
+      return;
+    }
+
+    const keyEntries = this.keyCache[cacheKey] || (this.keyCache[cacheKey] = {});
+    keyEntries[keyId] = entry;
+    this.cache[cacheKey] = this.pickBest(Object.values(keyEntries));
+  }
+
+  /**
+   * Get the last rate limits a pooled API key saw for a provider/model
+   */
+  getForKey(provider: string, modelId: string, keyId: string): CachedRateLimit | null {
+    return this.keyCache[this.getCacheKey(provider, modelId)]?.[keyId] || null;
+  }
+
+  /**
+   * Get the most recent rate limits a pooled API key saw on any model
+   */
+  getLatestForKey(keyId: string): CachedRateLimit | null {
+    return Object.values(this.keyCache)
+      .map((keyEntries) => keyEntries[keyId])
+      .filter((entry) => entry)
+      .reduce<CachedRateLimit | null>((latest, entry) => (!latest || entry.updated_at > latest.updated_at ? entry : latest), null);
+  }
+
+  /**
+   * Check if a pooled API key's last seen limits for a provider/model are exhausted
+   */
+  isKeyRateLimited(provider: string, modelId: string, keyId: string): boolean {
+    const cached = this.getForKey(provider, modelId, keyId);
+    return cached ? this.isExhausted(cached) : false;
   }
 
   /**
    * Get cached rate limits for a provider/model
+   * With a key pool (keyIds), these are the limits of the pooled key with the most
+   * capacity left, or null while some key has no limits cached (and so is presumed fresh)
    */
-  get(provider: string, modelId: string): CachedRateLimit | null {
-    const cacheKey = this.getCacheKey(provider, modelId);
-    return this.cache[cacheKey] || null;
+  get(provider: string, modelId: string, keyIds: string[] = []): CachedRateLimit | null {
+    if (keyIds.length === 0) {
+      return this.cache[this.getCacheKey(provider, modelId)] || null;
+    }
+
+    const entries = keyIds.map((keyId) => this.getForKey(provider, modelId, keyId));
+    return entries.some((entry) => !entry) ? null : this.pickBest(entries as CachedRateLimit[]);
+  }
+
+  /**
+   * Pick the entry with the most capacity: one not exhausted with the largest remaining
+   * fraction, else the one that resets first
+   */
+  private pickBest(entries: CachedRateLimit[]): CachedRateLimit {
+    return entries.reduce((best, entry) => {
+      const bestExhausted = this.isExhausted(best);
+      if (bestExhausted !== this.isExhausted(entry)) {
+        return bestExhausted ? entry : best;
+      }
+      if (bestExhausted) {
+        return this.getResetAt(entry) < this.getResetAt(best) ? entry : best;
+      }
+      return (this.getFraction(entry) ?? 1) > (this.getFraction(best) ?? 1) ? entry : best;
+    });
   }
 
   /**
@@ -43,45 +106,87 @@ class RateLimitService {
   }
 
   /**
-   * Check if a provider/model is rate limited
+   * Check if a provider/model is rate limited; with a key pool, only when no pooled key has capacity
    */
-  isRateLimited(provider: string, modelId: string): boolean {
-    const cached = this.get(provider, modelId);
-    if (!cached) return false;
+  isRateLimited(provider: string, modelId: string, keyIds: string[] = []): boolean {
+    const cached = this.get(provider, modelId, keyIds);
+    return cached ? this.isExhausted(cached) : false;
+  }
 
-    // Check request limit
-    if (cached.requests_remaining !== null && cached.requests_remaining <= 0) {
-      return true;
+  /**
+   * Check if a cached entry has an exhausted counter in a window that has not reset
+   */
+  private isExhausted(cached: CachedRateLimit): boolean {
+    // Exhausted counters no longer apply once their window has reset
+    if (this.getResetAt(cached) <= Date.now()) {
+      return false;
     }
 
-    // Check token limit
-    if (cached.tokens_remaining !== null && cached.tokens_remaining <= 0) {
-      return true;
-    }
+    const counters = [
+      cached.requests_remaining,
+      cached.tokens_remaining,
+      cached.requests_remaining_daily,
+      cached.tokens_remaining_daily,
+    ];
+    return counters.some((remaining) => remaining !== null && remaining !== undefined && remaining <= 0);
+  }
 
-    return false;
+  /**
+   * Get the fraction of quota left in the tightest known window (0-1)
+   * Returns null when no window reports both remaining and limit
+   */
+  getRemainingFraction(provider: string, modelId: string, keyIds: string[] = []): number | null {
+    const cached = this.get(provider, modelId, keyIds);
+    return cached ? this.getFraction(cached) : null;
   }
 
   /**
-   * Get estimated wait time in seconds
+   * Get the fraction of quota left in a cached entry's tightest window (0-1), or null when unknown
    */
-  getWaitTime(provider: string, modelId: string): number {
-    const cached = this.get(provider, modelId);
-    if (!cached || !cached.reset_time) return 60; // Default to 60 seconds
+  private getFraction(cached: CachedRateLimit): number | null {
+    const windows: [number | null, number | null][] = [
+      [cached.requests_remaining, cached.requests_limit],
+      [cached.tokens_remaining, cached.tokens_limit],
+      [cached.requests_remaining_daily, cached.requests_limit_daily],
+      [cached.tokens_remaining_daily, cached.tokens_limit_daily],
+    ];
+    const fractions = windows
+      .filter(([remaining, limit]) => remaining !== null && remaining !== undefined && limit)
+      .map(([remaining, limit]) => Math.max(0, Math.min(1, remaining! / limit!)));
+    if (fractions.length === 0) return null;
 
-    const resetTime = new Date(cached.reset_time).getTime();
-    const now = Date.now();
-    const waitMs = Math.max(0, resetTime - now);
+    // Counters refill once the binding window resets
+    return this.getResetAt(cached) <= Date.now() ? 1 : Math.min(...fractions);
+  }
+
+  /**
+   * Get estimated wait time in seconds; with a key pool, until the first pooled key resets
+   */
+  getWaitTime(provider: string, modelId: string, keyIds: string[] = []): number {
+    const cached = this.get(provider, modelId, keyIds);
+    if (!cached) return DEFAULT_RATE_LIMIT_RESET_SECONDS;
 
+    const waitMs = Math.max(0, this.getResetAt(cached) - Date.now());
     return Math.ceil(waitMs / 1000);
   }
 
+  /**
+   * Get estimated wait time in seconds until a pooled key's limits for a provider/model reset
+   */
+  getWaitTimeForKey(provider: string, modelId: string, keyId: string): number {
+    const cached = this.getForKey(provider, modelId, keyId);
+    if (!cached) return DEFAULT_RATE_LIMIT_RESET_SECONDS;
+
+    return Math.ceil(Math.max(0, this.getResetAt(cached) - Date.now()) / 1000);
+  }
+
   /**
    * Clear cache for a specific provider/model
    */
   clear(provider: string, modelId: string): void {
     const cacheKey = this.getCacheKey(provider, modelId);
     delete this.cache[cacheKey];
+    delete this.keyCache[cacheKey];
   }
 
   /**
@@ -89,6 +194,53 @@ class RateLimitService {
    */
   clearAll(): void {
     this.cache = {};
+    this.keyCache = {};
+  }
+
+  /**
+   * Get when a cached entry's window resets, in ms since epoch
+   * Entries cached before reset times were normalized may hold durations (e.g. "2m59.56s")
+   */
+  private getResetAt(entry: CachedRateLimit): number {
+    const updatedAt = new Date(entry.updated_at).getTime();
+    const seconds = entry.reset_time ? parseResetSeconds(entry.reset_time, updatedAt) : null;
+    return updatedAt + (seconds ?? DEFAULT_RATE_LIMIT_RESET_SECONDS) * 1000;
+  }
+
+  /**
+   * Snapshot the provider/model and per-key caches for persistence
+   */
+  snapshot(): { models: Record<string, CachedRateLimit>; keys: Record<string, Record<string, CachedRateLimit>> } {
+    return { models: this.getAll(), keys: { ...this.keyCache } };
+  }
+
+  /**
+   * Restore persisted caches, dropping entries whose reset time has passed
+   * Snapshots from before per-key caching hold the provider/model cache alone
+   */
+  restore(data: unknown): void {
+    const snapshot = (data || {}) as {
+      models?: Record<string, CachedRateLimit>;
+      keys?: Record<string, Record<string, CachedRateLimit>>;
+    };
+    const isKeyed = 'models' in snapshot;
+    this.restoreEntries(isKeyed ? snapshot.models || {} : (snapshot as Record<string, CachedRateLimit>), this.cache);
+
+    for (const [cacheKey, keyEntries] of Object.entries(isKeyed ? snapshot.keys || {} : {})) {
+      this.restoreEntries(keyEntries || {}, this.keyCache[cacheKey] || (this.keyCache[cacheKey] = {}));
+    }
+  }
+
+  /**
+   * Copy still-valid persisted entries into a cache, keeping entries already seen live
+   */
+  private restoreEntries(entries: Record<string, CachedRateLimit>, target: Record<string, CachedRateLimit>): void {
+    const now = Date.now();
+    for (const [cacheKey, entry] of Object.entries(entries)) {
+      if (entry && entry.updated_at && this.getResetAt(entry) > now && !target[cacheKey]) {
+        target[cacheKey] = entry;
+      }
+    }
   }
 
   /**
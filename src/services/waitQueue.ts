@@ -0,0 +1,190 @@
+import { RunQueueProviderStatus } from '../types';
+import { rateLimitService } from './rateLimit';
+
+/**
+ * A request parked in a provider's queue
+ */
+interface Waiter {
+  ticket: number;
+  provider: string;
+  model_id: string;
+  key_ids: string[];
+  enqueued_at: number;
+  release_at: number;
+  deadline: number;
+  resolve: (ticket: number | null) => void;
+  timer: NodeJS.Timeout | null;
+}
+
+/**
+ * Service parking rate-limited /run requests until their provider's window resets
+ * Waiters are released first come, first served, one at a time per provider, so a
+ * freshly reset window is not spent by a burst of waiters
+ */
+class WaitQueueService {
+  private queues: Record<string, Waiter[]> = {};
+  private active: Record<string, number> = {};
+  private nextTicket = 1;
+
+  /**
+   * Wait until the request may call the provider again
+   * Resolves with the ticket once released, or null when the release would come
+   * after the deadline. Pass the ticket back to keep the place in line when
+   * waiting again; call leave() with it once the call is done. keyIds is the
+   * model's key pool, which is limited only while none of its keys has capacity.
+   */
+  wait(
+    provider: string,
+    modelId: string,
+    keyIds: string[],
+    releaseAt: number,
+    deadline: number,
+    signal: AbortSignal,
+    ticket?: number
+  ): Promise<number | null> {
+    if (signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    const id = ticket ?? this.nextTicket++;
+    if (this.active[provider] === id) {
+      delete this.active[provider];
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(expiry);
+        this.remove(provider, id);
+        reject(signal.reason);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      // Waiters stuck behind others still give up at their deadline
+      const expiry = setTimeout(() => {
+        this.remove(provider, id);
+        waiter.resolve(null);
+      }, Math.max(0, deadline - Date.now()));
+
+      const waiter: Waiter = {
+        ticket: id,
+        provider,
+        model_id: modelId,
+        key_ids: keyIds,
+        enqueued_at: Date.now(),
+        release_at: releaseAt,
+        deadline,
+        resolve: (result) => {
+          clearTimeout(expiry);
+          signal.removeEventListener('abort', onAbort);
+          resolve(result);
+        },
+        timer: null,
+      };
+
+      // Tickets are issued in arrival order, so a returning waiter keeps its place
+      const queue = this.queues[provider] || (this.queues[provider] = []);
+      const index = queue.findIndex((w) => w.ticket > id);
+      queue.splice(index === -1 ? queue.length : index, 0, waiter);
+      this.dispatch(provider);
+    });
+  }
+
+  /**
+   * Give up a ticket after the released call finished, letting the next waiter go
+   */
+  leave(provider: string, ticket: number): void {
+    if (this.active[provider] === ticket) {
+      delete this.active[provider];
+    }
+    this.remove(provider, ticket);
+  }
+
+  /**
+   * Remove a waiter from its queue and move the queue along
+   */
+  private remove(provider: string, ticket: number): void {
+    const queue = this.queues[provider] || [];
+    const waiter = queue.find((w) => w.ticket === ticket);
+    if (waiter) {
+      if (waiter.timer) clearTimeout(waiter.timer);
+      queue.splice(queue.indexOf(waiter), 1);
+    }
+    this.dispatch(provider);
+  }
+
+  /**
+   * Release the head of a provider's queue once its window resets, or time it out
+   * The release time is pushed back while the cached rate limits are still exhausted
+   */
+  private dispatch(provider: string): void {
+    const queue = this.queues[provider];
+    if (!queue || queue.length === 0) {
+      delete this.queues[provider];
+      return;
+    }
+
+    for (const waiter of queue) {
+      if (waiter.timer) clearTimeout(waiter.timer);
+      waiter.timer = null;
+    }
+    if (this.active[provider] !== undefined) {
+      return;
+    }
+
+    const head = queue[0];
+    if (rateLimitService.isRateLimited(provider, head.model_id, head.key_ids)) {
+      const waitSeconds = rateLimitService.getWaitTime(provider, head.model_id, head.key_ids);
+      head.release_at = Math.max(head.release_at, Date.now() + waitSeconds * 1000);
+    }
+
+    if (head.release_at > head.deadline) {
+      queue.shift();
+      head.resolve(null);
+      this.dispatch(provider);
+      return;
+    }
+
+    const delay = head.release_at - Date.now();
+    if (delay > 0) {
+      head.timer = setTimeout(() => this.dispatch(provider), delay);
+      return;
+    }
+
+    queue.shift();
+    this.active[provider] = head.ticket;
+    head.resolve(head.ticket);
+    if (queue.length === 0) {
+      delete this.queues[provider];
+    }
+  }
+
+  /**
+   * Get depth, active ticket and waiters in release order for every provider queue
+   */
+  getStatus(): Record<string, RunQueueProviderStatus> {
+    const providers = new Set([...Object.keys(this.queues), ...Object.keys(this.active)]);
+    const status: Record<string, RunQueueProviderStatus> = {};
+
+    for (const provider of providers) {
+      const queue = this.queues[provider] || [];
+      status[provider] = {
+        depth: queue.length,
+        active: this.active[provider] ?? null,
+        waiters: queue.map((w, i) => ({
+          ticket: w.ticket,
+          model_id: w.model_id,
+          position: i + 1,
+          waiting_since: new Date(w.enqueued_at).toISOString(),
+          release_at: new Date(w.release_at).toISOString(),
+        })),
+      };
+    }
+    return status;
+  }
+}
+
+// Export singleton instance
+export const waitQueueService = new WaitQueueService();
+
+// Export class for testing
+export { WaitQueueService };
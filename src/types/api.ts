@@ -1,5 +1,22 @@
-import { Model, ModelCapabilities, CostTier, BoostTier, PinokioModel, ProviderName } from './models';
-import { ProviderHealthStatus, ChatMessage, CachedRateLimit, BoostTierExhaustionResult, PuterCreditsStatus } from './providers';
+import { Model, ModelCapabilities, CostTier, BoostTier, PinokioModel, ProviderName, ScoredModel, SelectionStrategy } from './models';
+import {
+  ProviderHealthStatus,
+  ChatMessage,
+  ToolDefinition,
+  ToolChoice,
+  ToolCall,
+  ResponseFormat,
+  NormalizedUsage,
+  CachedRateLimit,
+  LocalLimitBucket,
+  HealthProbeInfo,
+  BoostTierExhaustionResult,
+  PuterCreditsStatus,
+  ApiKeyStatus,
+  EmbeddingInputType,
+  GeneratedImage,
+  TranscriptionSegment,
+} from './providers';
 
 // ============================================================================
 // Models Endpoint Types
@@ -32,15 +49,17 @@ export interface SuggestModelsRequest {
   capability?: keyof ModelCapabilities;
   max_cost_tier?: CostTier;
   boost_tier?: BoostTier;
+  strategy?: SelectionStrategy;
 }
 
 /**
  * POST /suggest-models response
  */
 export interface SuggestModelsResponse {
-  models: Model[];
+  models: ScoredModel[];
   count: number;
   boost_tier: BoostTier | null;
+  strategy: SelectionStrategy | null;
   timestamp: string;
 }
 
@@ -49,18 +68,77 @@ export interface SuggestModelsResponse {
 // ============================================================================
 
 /**
- * POST /run request body
+ * Model selection and fallback options shared by /run, /embed, /transcribe and /speak
  */
-export interface RunRequest {
+export interface RoutingOptions {
   model_id?: string;
-  capability?: keyof ModelCapabilities;
   max_cost_tier?: CostTier;
   boost_tier?: BoostTier;
+  strategy?: SelectionStrategy;
+  fallback?: RunFallbackMode;
+  max_attempts?: number;
+  timeout_ms?: number;
+}
+
+/**
+ * POST /run request body
+ */
+export interface RunRequest extends RoutingOptions {
+  capability?: keyof ModelCapabilities;
   input?: string;
   prompt?: string;
   messages?: ChatMessage[];
   temperature?: number;
   max_tokens?: number;
+  stream?: boolean;
+  tools?: ToolDefinition[];
+  tool_choice?: ToolChoice;
+  response_format?: ResponseFormat;
+  max_repairs?: number;
+  on_limit?: RunLimitMode;
+  max_wait_seconds?: number;
+}
+
+/**
+ * POST /run fallback mode
+ */
+export type RunFallbackMode = 'none' | 'auto';
+
+/**
+ * POST /run behaviour when every candidate is rate limited: fail with 429, or
+ * wait in the provider's queue until the window resets
+ */
+export type RunLimitMode = 'fail' | 'wait';
+
+/**
+ * One hop of a POST /run fallback walk
+ */
+export interface RunAttempt {
+  model_id: string;
+  provider: ProviderName;
+  status: 'success' | 'failed' | 'skipped' | 'queued';
+  error_type?: RunErrorType;
+  error?: string;
+  reason?: string;
+  waited_ms?: number;
+}
+
+/**
+ * POST /run error classification
+ */
+export type RunErrorType = 'rate_limit_exceeded' | 'timeout' | 'provider_error';
+
+/**
+ * POST /run metadata block (shared by JSON and streaming responses)
+ */
+export interface RunMetadata {
+  cost_tier: CostTier;
+  boost_tier: BoostTier | null;
+  execution_time_ms: number;
+  timestamp: string;
+  usage: NormalizedUsage | null;
+  model_reported: string | null;
+  rate_limits: unknown;
 }
 
 /**
@@ -71,18 +149,18 @@ export interface RunSuccessResponse {
   provider: ProviderName;
   route: string;
   output: string;
+  tool_calls: ToolCall[];
+  finish_reason: string | null;
+  parsed?: unknown;
+  validation_errors?: string[];
+  repairs?: number;
+  images?: GeneratedImage[];
   raw_provider_response: unknown;
   error: null;
-  metadata: {
-    cost_tier: CostTier;
-    boost_tier: BoostTier | null;
-    execution_time_ms: number;
-    timestamp: string;
-    usage: unknown;
-    rate_limits: unknown;
-  };
+  metadata: RunMetadata;
   boost_tier_exhausted: boolean;
   boost_tier_message: string | null;
+  attempts?: RunAttempt[];
 }
 
 /**
@@ -90,7 +168,7 @@ export interface RunSuccessResponse {
  */
 export interface RunErrorResponse {
   error: string;
-  error_type: 'rate_limit_exceeded' | 'provider_error';
+  error_type: RunErrorType;
   provider: ProviderName | undefined;
   model_id: string | undefined;
   retry_after_seconds: number | null;
@@ -103,6 +181,214 @@ export interface RunErrorResponse {
     execution_time_ms: number;
     timestamp: string;
   };
+  attempts?: RunAttempt[];
+}
+
+/**
+ * POST /run 400 response for an invalid request or one no model matched
+ */
+export interface RunInvalidResponse {
+  error: string;
+  request?: RunRequest;
+  boost_tier?: BoostTier;
+  available_models_count?: number;
+}
+
+/**
+ * HTTP status and body of a non-streaming POST /run answer
+ */
+export interface RunOutcome {
+  status: number;
+  body: RunSuccessResponse | RunErrorResponse | RunInvalidResponse;
+}
+
+/**
+ * POST /run stream `start` event
+ */
+export interface RunStreamStartEvent {
+  model_id: string;
+  provider: ProviderName;
+  route: string;
+}
+
+/**
+ * POST /run stream `delta` event
+ */
+export interface RunStreamDeltaEvent {
+  delta: string;
+}
+
+/**
+ * POST /run stream `done` event
+ */
+export type RunStreamDoneEvent = Omit<RunSuccessResponse, 'raw_provider_response'>;
+
+// ============================================================================
+// Embed Endpoint Types
+// ============================================================================
+
+/**
+ * POST /embed request body
+ */
+export interface EmbedRequest extends RoutingOptions {
+  input: string | string[];
+  input_type?: EmbeddingInputType;
+}
+
+/**
+ * POST /embed success response
+ */
+export interface EmbedResponse {
+  model_id: string;
+  provider: ProviderName;
+  route: string;
+  embeddings: number[][];
+  dimensions: number;
+  count: number;
+  metadata: {
+    cost_tier: CostTier;
+    boost_tier: BoostTier | null;
+    execution_time_ms: number;
+    timestamp: string;
+    usage: NormalizedUsage;
+    batches: number;
+  };
+  boost_tier_exhausted: boolean;
+  boost_tier_message: string | null;
+  attempts?: RunAttempt[];
+}
+
+// ============================================================================
+// Transcribe Endpoint Types
+// ============================================================================
+
+/**
+ * POST /transcribe response format: JSON envelopes, plain text or subtitles
+ */
+export type TranscriptionFormat = 'json' | 'text' | 'verbose_json' | 'srt' | 'vtt';
+
+/**
+ * POST /transcribe request body
+ * JSON bodies carry base64 audio; multipart bodies carry it as the file field
+ * and the other fields as strings
+ */
+export interface TranscribeRequest extends RoutingOptions {
+  audio?: string;
+  format?: string;
+  language?: string;
+  translate?: boolean;
+  response_format?: TranscriptionFormat;
+}
+
+/**
+ * POST /transcribe success response (json and verbose_json formats)
+ * language, duration and segments are only included with verbose_json
+ */
+export interface TranscribeResponse {
+  model_id: string;
+  provider: ProviderName;
+  route: string;
+  text: string;
+  language?: string | null;
+  duration?: number | null;
+  segments?: TranscriptionSegment[];
+  metadata: {
+    cost_tier: CostTier;
+    boost_tier: BoostTier | null;
+    execution_time_ms: number;
+    timestamp: string;
+    task: 'transcribe' | 'translate';
+  };
+  boost_tier_exhausted: boolean;
+  boost_tier_message: string | null;
+  attempts?: RunAttempt[];
+}
+
+// ============================================================================
+// Speak Endpoint Types
+// ============================================================================
+
+/**
+ * POST /speak audio encoding: raw bytes, or base64 in a JSON envelope
+ */
+export type SpeechEncoding = 'binary' | 'base64';
+
+/**
+ * POST /speak request body
+ * voice and format default to the first ones the selected model and provider list
+ */
+export interface SpeakRequest extends RoutingOptions {
+  text: string;
+  voice?: string;
+  format?: string;
+  speed?: number;
+  encoding?: SpeechEncoding;
+}
+
+/**
+ * POST /speak success response with base64 encoding
+ */
+export interface SpeakResponse {
+  model_id: string;
+  provider: ProviderName;
+  route: string;
+  audio: string;
+  mime: string;
+  voice: string;
+  format: string;
+  metadata: {
+    cost_tier: CostTier;
+    boost_tier: BoostTier | null;
+    execution_time_ms: number;
+    timestamp: string;
+    characters: number;
+  };
+  boost_tier_exhausted: boolean;
+  boost_tier_message: string | null;
+  attempts?: RunAttempt[];
+}
+
+// ============================================================================
+// Jobs Endpoint Types
+// ============================================================================
+
+/**
+ * Background job lifecycle: queued until a slot frees up, running, then one of the final states
+ */
+export type JobStatus = 'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled';
+
+/**
+ * POST /jobs request body: a non-streaming /run payload plus an optional completion callback
+ */
+export interface CreateJobRequest extends RunRequest {
+  callback_url?: string;
+}
+
+/**
+ * Delivery state of a job's completion callback
+ */
+export interface JobCallbackStatus {
+  url: string;
+  state: 'pending' | 'delivered' | 'failed';
+  attempts: number;
+  last_error: string | null;
+  delivered_at: string | null;
+}
+
+/**
+ * Background job as returned by the /jobs endpoints and POSTed to callback_url
+ * result holds the /run response body, with http_status the status /run would have answered with
+ */
+export interface Job {
+  job_id: string;
+  status: JobStatus;
+  request: RunRequest;
+  created_at: string;
+  started_at: string | null;
+  finished_at: string | null;
+  http_status: number | null;
+  result: RunOutcome['body'] | null;
+  callback: JobCallbackStatus | null;
 }
 
 // ============================================================================
@@ -127,6 +413,7 @@ export interface AccountStatusResponse {
   boost_tier_status: BoostTierExhaustionResult;
   other_tier_status: BoostTierExhaustionResult;
   account_exhausted: boolean;
+  api_keys: Record<string, ApiKeyStatus[]>;
   recommendation: string;
   timestamp: string;
 }
@@ -232,7 +519,38 @@ export interface ProvidersHealthResponse {
     degraded: number;
     down: number;
     unknown: number;
+    open_circuits: number;
   };
+  probes: HealthProbeInfo;
+  timestamp: string;
+}
+
+/**
+ * A /run request parked until its provider's rate limit window resets
+ */
+export interface RunQueueWaiter {
+  ticket: number;
+  model_id: string;
+  position: number;
+  waiting_since: string;
+  release_at: string;
+}
+
+/**
+ * Wait queue of one provider; active is the ticket released and still calling
+ */
+export interface RunQueueProviderStatus {
+  depth: number;
+  active: number | null;
+  waiters: RunQueueWaiter[];
+}
+
+/**
+ * GET /api/queue response
+ */
+export interface RunQueueStatusResponse {
+  total_waiting: number;
+  providers: Record<string, RunQueueProviderStatus>;
   timestamp: string;
 }
 
@@ -307,9 +625,284 @@ export interface UpdateRatingResponse {
  */
 export interface RateLimitsResponse {
   cache: Record<string, CachedRateLimit>;
+  local: Record<string, LocalLimitBucket[]>;
   timestamp: string;
 }
 
+// ============================================================================
+// OpenAI-Compatible Facade Types
+// ============================================================================
+
+/**
+ * OpenAI chat message (content may be a string or text parts)
+ */
+export interface OpenAIChatMessage {
+  role: string;
+  content: string | OpenAIContentPart[] | null;
+  name?: string;
+  /** Assistant messages: the tool calls the model made */
+  tool_calls?: OpenAIToolCall[];
+  /** Tool messages: the tool call answered */
+  tool_call_id?: string;
+}
+
+/**
+ * OpenAI message content part: text, image_url or input_audio
+ */
+export interface OpenAIContentPart {
+  type: string;
+  text?: string;
+  image_url?: { url: string; detail?: string };
+  input_audio?: { data: string; format?: string };
+}
+
+/**
+ * OpenAI tool call (arguments is a JSON string)
+ */
+export interface OpenAIToolCall {
+  id: string;
+  type: 'function';
+  function: {
+    name: string;
+    arguments: string;
+  };
+}
+
+/**
+ * OpenAI function tool definition
+ */
+export interface OpenAITool {
+  type: 'function';
+  function: {
+    name: string;
+    description?: string;
+    parameters?: Record<string, unknown>;
+  };
+}
+
+/**
+ * OpenAI tool choice
+ */
+export type OpenAIToolChoice = 'auto' | 'none' | 'required' | { type: 'function'; function: { name: string } };
+
+/**
+ * OpenAI response format; json_object is sent upstream as a JSON schema for any object
+ */
+export type OpenAIResponseFormat =
+  | { type: 'text' }
+  | { type: 'json_object' }
+  | { type: 'json_schema'; json_schema: { name?: string; schema?: Record<string, unknown>; strict?: boolean } };
+
+/**
+ * POST /v1/chat/completions request body
+ */
+export interface OpenAIChatCompletionRequest {
+  model?: string;
+  messages: OpenAIChatMessage[];
+  temperature?: number;
+  max_tokens?: number;
+  max_completion_tokens?: number;
+  stream?: boolean;
+  stream_options?: {
+    include_usage?: boolean;
+  };
+  tools?: OpenAITool[];
+  tool_choice?: OpenAIToolChoice;
+  response_format?: OpenAIResponseFormat;
+  /** Turbo Console extension: provider timeout in ms */
+  timeout_ms?: number;
+}
+
+/**
+ * OpenAI token usage block
+ */
+export interface OpenAIUsage {
+  prompt_tokens: number;
+  completion_tokens: number;
+  total_tokens: number;
+}
+
+/**
+ * Routing details attached to facade responses as x_turbo_console (like Groq's x_groq)
+ */
+export interface RoutingInfo {
+  provider: ProviderName;
+  route: string;
+  cost_tier: CostTier;
+  execution_time_ms: number;
+}
+
+/**
+ * POST /v1/chat/completions response
+ */
+export interface OpenAIChatCompletionResponse {
+  id: string;
+  object: 'chat.completion';
+  created: number;
+  model: string;
+  choices: Array<{
+    index: number;
+    message: {
+      role: 'assistant';
+      content: string | null;
+      tool_calls?: OpenAIToolCall[];
+    };
+    finish_reason: string;
+  }>;
+  usage: OpenAIUsage;
+  x_turbo_console: RoutingInfo;
+}
+
+/**
+ * POST /v1/chat/completions streaming chunk
+ */
+export interface OpenAIChatCompletionChunk {
+  id: string;
+  object: 'chat.completion.chunk';
+  created: number;
+  model: string;
+  choices: Array<{
+    index: number;
+    delta: {
+      role?: 'assistant';
+      content?: string;
+      tool_calls?: Array<OpenAIToolCall & { index: number }>;
+    };
+    finish_reason: string | null;
+  }>;
+  usage?: OpenAIUsage | null;
+  x_turbo_console?: RoutingInfo;
+}
+
+/**
+ * POST /v1/embeddings request body (token array inputs are not supported)
+ */
+export interface OpenAIEmbeddingRequest {
+  model?: string;
+  input: string | string[];
+  encoding_format?: 'float' | 'base64';
+  user?: string;
+  /** Turbo Console extension: per-batch provider timeout in ms */
+  timeout_ms?: number;
+}
+
+/**
+ * POST /v1/embeddings response
+ * embedding is a base64 string of little-endian float32 values when encoding_format is base64
+ */
+export interface OpenAIEmbeddingResponse {
+  object: 'list';
+  data: Array<{
+    object: 'embedding';
+    index: number;
+    embedding: number[] | string;
+  }>;
+  model: string;
+  usage: {
+    prompt_tokens: number;
+    total_tokens: number;
+  };
+  x_turbo_console: RoutingInfo;
+}
+
+/**
+ * GET /v1/models entry
+ */
+export interface OpenAIModelObject {
+  id: string;
+  object: 'model';
+  created: number;
+  owned_by: string;
+}
+
+/**
+ * OpenAI error response
+ */
+export interface OpenAIErrorResponse {
+  error: {
+    message: string;
+    type: string;
+    param: string | null;
+    code: string | null;
+  };
+}
+
+// ============================================================================
+// Anthropic Messages Facade Types
+// ============================================================================
+
+/**
+ * Anthropic content block: text, image, tool_use or tool_result
+ * (thinking blocks are skipped, other types are rejected)
+ */
+export interface AnthropicContentBlock {
+  type: string;
+  text?: string;
+  /** Image blocks: base64 data or a URL */
+  source?: { type: string; media_type?: string; data?: string; url?: string };
+  /** tool_use blocks */
+  id?: string;
+  name?: string;
+  input?: Record<string, unknown>;
+  /** tool_result blocks: the answered tool_use and its output */
+  tool_use_id?: string;
+  content?: string | AnthropicContentBlock[];
+  is_error?: boolean;
+}
+
+/**
+ * Anthropic tool definition
+ */
+export interface AnthropicTool {
+  name: string;
+  description?: string;
+  input_schema?: Record<string, unknown>;
+}
+
+/**
+ * Anthropic tool choice
+ */
+export interface AnthropicToolChoice {
+  type: 'auto' | 'any' | 'none' | 'tool';
+  name?: string;
+}
+
+/**
+ * Anthropic message
+ */
+export interface AnthropicMessage {
+  role: 'user' | 'assistant';
+  content: string | AnthropicContentBlock[];
+}
+
+/**
+ * POST /v1/messages request body
+ */
+export interface AnthropicMessagesRequest {
+  model?: string;
+  system?: string | AnthropicContentBlock[];
+  messages: AnthropicMessage[];
+  max_tokens: number;
+  stop_sequences?: string[];
+  temperature?: number;
+  stream?: boolean;
+  tools?: AnthropicTool[];
+  tool_choice?: AnthropicToolChoice;
+  /** Turbo Console extension: provider timeout in ms */
+  timeout_ms?: number;
+}
+
+/**
+ * Anthropic error response
+ */
+export interface AnthropicErrorResponse {
+  type: 'error';
+  error: {
+    type: string;
+    message: string;
+  };
+}
+
 // ============================================================================
 // Error Response Types
 // ============================================================================
@@ -7,10 +7,15 @@ export interface ModelCapabilities {
   speed: boolean;
   coding: boolean;
   images: boolean;
+  image_generation: boolean;
   audio_speech: boolean;
   audio_music: boolean;
   vision: boolean;
   video: boolean;
+  tools: boolean;
+  embeddings: boolean;
+  transcription: boolean;
+  tts: boolean;
 }
 
 /**
@@ -22,10 +27,15 @@ export interface ModelRatings {
   speed?: number;
   coding?: number;
   images?: number;
+  image_generation?: number;
   audio_speech?: number;
   audio_music?: number;
   vision?: number;
   video?: number;
+  tools?: number;
+  embeddings?: number;
+  transcription?: number;
+  tts?: number;
 }
 
 /**
@@ -114,6 +124,30 @@ export interface Model {
  */
 export interface ScoredModel extends Model {
   score: number;
+  score_breakdown: ScoreBreakdown;
+}
+
+/**
+ * Ranking strategy for suggestModels
+ */
+export type SelectionStrategy = 'quality' | 'latency' | 'balanced' | 'quota_preserving';
+
+/**
+ * Signals that can be blended into a model's score
+ */
+export type ScoreComponent = 'rating' | 'latency' | 'success_rate' | 'quota';
+
+/**
+ * Why a model got its score: the observed signals and, with a strategy,
+ * each signal's weighted contribution (contributions sum to the score)
+ */
+export interface ScoreBreakdown {
+  strategy: SelectionStrategy | null;
+  rating: number;
+  p50_latency_ms: number | null;
+  success_rate: number | null;
+  quota_remaining: number | null;
+  components: Record<ScoreComponent, number> | null;
 }
 
 /**
@@ -143,6 +177,7 @@ export interface ModelFilterQuery {
   provider?: ProviderName;
   cost_tier?: CostTier;
   capability?: keyof ModelCapabilities;
+  requires?: (keyof ModelCapabilities)[];
 }
 
 /**
@@ -150,6 +185,18 @@ export interface ModelFilterQuery {
  */
 export interface ModelSuggestionConstraints extends ModelFilterQuery {
   max_cost_tier?: CostTier;
+  /** Blend health and quota into the score; without it models rank by rating */
+  strategy?: SelectionStrategy;
+  /** Keep models whose provider circuit is open (skipped by default) */
+  include_open_circuits?: boolean;
+}
+
+/**
+ * Auto-routing model alias such as "auto:coding@turbo"
+ */
+export interface ModelAlias {
+  capability?: keyof ModelCapabilities;
+  boost_tier?: BoostTier;
 }
 
 /**
@@ -175,10 +222,19 @@ export interface PinokioModel {
   supports_reasoning: boolean;
   supports_coding: boolean;
   supports_images: boolean;
+  supports_image_generation: boolean;
   supports_audio_speech: boolean;
   supports_audio_music: boolean;
   supports_vision: boolean;
   supports_video: boolean;
+  supports_tools: boolean;
+  supports_embeddings: boolean;
+  supports_transcription: boolean;
+  supports_tts: boolean;
+
+  // Text-to-speech options (single-model lookups of tts models only)
+  voices?: string[];
+  speech_formats?: string[];
 
   // Ratings (0-5, nullable)
   chat_rating: number | null;
@@ -221,10 +277,15 @@ export interface PinokioFilterQuery {
   requires_reasoning?: string;
   requires_coding?: string;
   requires_images?: string;
+  requires_image_generation?: string;
   requires_audio_speech?: string;
   requires_audio_music?: string;
   requires_vision?: string;
   requires_video?: string;
+  requires_tools?: string;
+  requires_embeddings?: string;
+  requires_transcription?: string;
+  requires_tts?: string;
   min_chat_rating?: string;
   min_reasoning_rating?: string;
   min_speed_rating?: string;
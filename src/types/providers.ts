@@ -1,11 +1,97 @@
 import { ModelCapabilities } from './models';
 
+/**
+ * Text content part
+ */
+export interface TextContentPart {
+  type: 'text';
+  text: string;
+}
+
+/**
+ * Image content part, given as a URL (http(s) or data URL) or base64 data
+ */
+export interface ImageContentPart {
+  type: 'image';
+  url?: string;
+  data?: string;
+  media_type?: string;
+}
+
+/**
+ * Audio content part, given as base64 data
+ */
+export interface AudioContentPart {
+  type: 'audio';
+  data: string;
+  format?: string;
+}
+
+/**
+ * Multimodal message content part
+ */
+export type ContentPart = TextContentPart | ImageContentPart | AudioContentPart;
+
 /**
  * Chat message format
+ * Content is plain text or an array of text/image/audio parts.
+ * Assistant messages may carry tool_calls; tool messages answer one by tool_call_id
  */
 export interface ChatMessage {
-  role: 'system' | 'user' | 'assistant';
-  content: string;
+  role: 'system' | 'user' | 'assistant' | 'tool';
+  content: string | ContentPart[];
+  tool_calls?: ToolCall[];
+  tool_call_id?: string;
+  name?: string;
+}
+
+/**
+ * Provider-neutral tool definition (parameters is a JSON schema)
+ */
+export interface ToolDefinition {
+  name: string;
+  description?: string;
+  parameters?: Record<string, unknown>;
+}
+
+/**
+ * Provider-neutral tool choice
+ */
+export type ToolChoice = 'auto' | 'none' | 'required' | { name: string };
+
+/**
+ * Tool call parsed from a provider response
+ */
+export interface ToolCall {
+  id: string;
+  name: string;
+  arguments: Record<string, unknown>;
+  raw_arguments?: string;
+}
+
+/**
+ * Text and tool calls extracted from a provider response
+ */
+export interface ExtractedContent {
+  text: string;
+  tool_calls: ToolCall[];
+}
+
+/**
+ * Requested output format; json_schema constrains output to a JSON schema
+ */
+export type ResponseFormat =
+  | { type: 'text' }
+  | { type: 'json_schema'; schema: Record<string, unknown>; name?: string };
+
+/**
+ * Retry policy for transient provider errors (429 and 5xx)
+ * Delays grow exponentially from base_delay_ms with full jitter, capped at max_delay_ms
+ */
+export interface RetryPolicy {
+  max_retries: number;
+  base_delay_ms: number;
+  max_delay_ms: number;
 }
 
 /**
@@ -17,6 +103,20 @@ export interface ProviderInput {
   messages?: ChatMessage[];
   temperature?: number;
   max_tokens?: number;
+  stop?: string[];
+  tools?: ToolDefinition[];
+  tool_choice?: ToolChoice;
+  response_format?: ResponseFormat;
+  timeout_ms?: number;
+  signal?: AbortSignal;
+  /** Key pool the key belongs to: the model's route, which can differ from the provider name */
+  api_key_pool?: string;
+  /** ID of the pooled API key to call with (chosen by the router) */
+  api_key_id?: string;
+  /** Model the key was chosen for, whose key cooldowns decide rotation */
+  api_key_model_id?: string;
+  /** Called for each retry sent after the first request, so the usage ledger counts it */
+  on_retry?: () => void;
   capability?: keyof ModelCapabilities;
   max_cost_tier?: string;
   model_id?: string;
@@ -35,7 +135,12 @@ export interface OpenAICompatibleResponse {
     index?: number;
     message: {
       role: string;
-      content: string;
+      content: string | null;
+      tool_calls?: Array<{
+        id: string;
+        type: string;
+        function: { name: string; arguments: string };
+      }>;
     };
     finish_reason?: string;
   }>;
@@ -55,10 +160,14 @@ export interface AnthropicResponse {
   role?: string;
   content: Array<{
     type: string;
-    text: string;
+    text?: string;
+    id?: string;
+    name?: string;
+    input?: Record<string, unknown>;
   }>;
   model?: string;
   stop_reason?: string;
+  stop_sequence?: string | null;
   usage?: {
     input_tokens?: number;
     output_tokens?: number;
@@ -72,7 +181,9 @@ export interface GeminiResponse {
   candidates?: Array<{
     content: {
       parts: Array<{
-        text: string;
+        text?: string;
+        functionCall?: { name: string; args?: Record<string, unknown> };
+        inlineData?: { mimeType: string; data: string };
       }>;
       role: string;
     };
@@ -96,10 +207,15 @@ export interface CohereResponse {
   id?: string;
   message?: {
     role: string;
-    content: Array<{
+    content?: Array<{
       type: string;
       text: string;
     }>;
+    tool_calls?: Array<{
+      id: string;
+      type: string;
+      function: { name: string; arguments: string };
+    }>;
   };
   finish_reason?: string;
   usage?: {
@@ -130,6 +246,88 @@ export interface HuggingFaceResponse {
   [key: string]: unknown;
 }
 
+/**
+ * OpenAI-compatible embeddings response (Mistral, GitHub, OpenAI)
+ */
+export interface OpenAICompatibleEmbeddingResponse {
+  data: Array<{ index: number; embedding: number[] }>;
+  usage?: { prompt_tokens?: number; total_tokens?: number };
+}
+
+/**
+ * Cohere v2 embed response
+ */
+export interface CohereEmbedResponse {
+  embeddings: { float?: number[][] };
+  meta?: { billed_units?: { input_tokens?: number } };
+}
+
+/**
+ * Gemini batchEmbedContents response
+ */
+export interface GeminiEmbedResponse {
+  embeddings: Array<{ values: number[] }>;
+}
+
+/**
+ * Cloudflare Workers AI text embeddings response
+ */
+export interface CloudflareEmbeddingResponse {
+  result: {
+    shape?: number[];
+    data: number[][];
+  };
+}
+
+/**
+ * OpenAI images/generations response (b64_json for gpt-image-1, url by default for dall-e)
+ */
+export interface OpenAIImageResponse {
+  data: Array<{ b64_json?: string; url?: string; revised_prompt?: string }>;
+  output_format?: string;
+  usage?: { input_tokens?: number; output_tokens?: number; total_tokens?: number };
+}
+
+/**
+ * OpenAI-style verbose_json transcription response (Groq, OpenAI)
+ */
+export interface OpenAITranscriptionResponse {
+  text: string;
+  language?: string;
+  duration?: number;
+  segments?: Array<{ start: number; end: number; text: string }>;
+}
+
+/**
+ * Cloudflare Workers AI Whisper response
+ * whisper-large-v3-turbo reports segments and transcription_info, base whisper only text and words
+ */
+export interface CloudflareTranscriptionResponse {
+  result: {
+    text: string;
+    segments?: Array<{ start: number; end: number; text: string }>;
+    transcription_info?: { language?: string; duration?: number };
+  };
+}
+
+/**
+ * Cloudflare Workers AI MeloTTS response (base64 MP3)
+ */
+export interface CloudflareSpeechResponse {
+  result: {
+    audio: string;
+  };
+}
+
+/**
+ * Cloudflare Workers AI text-to-image JSON response (FLUX); SDXL models answer with raw image bytes
+ */
+export interface CloudflareImageResponse {
+  result: {
+    image: string;
+  };
+}
+
 /**
  * Provider response wrapper
  */
@@ -138,14 +336,245 @@ export interface ProviderResponse {
   headers: Headers;
 }
 
+/**
+ * Normalized streaming chunk produced by every provider
+ */
+export interface ProviderStreamChunk {
+  delta: string;
+  finish_reason?: string | null;
+  usage?: unknown;
+  tool_calls?: ToolCall[];
+}
+
+/**
+ * Token usage normalized across provider formats
+ */
+export interface NormalizedUsage {
+  input_tokens: number;
+  output_tokens: number;
+  total_tokens: number;
+}
+
+/**
+ * Provider response normalized across formats
+ * finish_reason uses the OpenAI-style set: stop, length, tool_calls, content_filter, error
+ */
+export interface NormalizedResponse {
+  text: string;
+  candidates: string[];
+  tool_calls: ToolCall[];
+  finish_reason: string | null;
+  usage: NormalizedUsage;
+  model_reported: string | null;
+}
+
+/**
+ * Provider streaming response wrapper
+ */
+export interface ProviderStreamResponse {
+  chunks: AsyncIterable<ProviderStreamChunk>;
+  headers: Headers;
+}
+
+/**
+ * Embedding input type: search queries, or documents to be searched
+ * Providers with retrieval task types (Cohere, Gemini) embed each differently
+ */
+export type EmbeddingInputType = 'query' | 'document';
+
+/**
+ * Provider embeddings call input
+ */
+export interface EmbeddingInput {
+  texts: string[];
+  input_type?: EmbeddingInputType;
+  timeout_ms?: number;
+  signal?: AbortSignal;
+  /** Key pool the key belongs to: the model's route, which can differ from the provider name */
+  api_key_pool?: string;
+  /** ID of the pooled API key to call with (chosen by the router) */
+  api_key_id?: string;
+  /** Model the key was chosen for, whose key cooldowns decide rotation */
+  api_key_model_id?: string;
+  /** Called for each retry sent after the first request, so the usage ledger counts it */
+  on_retry?: () => void;
+}
+
+/**
+ * Provider embeddings response: one vector per input text, in input order
+ * usage is null when the provider does not report tokens
+ */
+export interface ProviderEmbeddingResponse {
+  embeddings: number[][];
+  usage: NormalizedUsage | null;
+  headers: Headers;
+}
+
+/**
+ * Embeddings for a batched input, with usage summed across provider calls
+ */
+export interface EmbeddingResult {
+  embeddings: number[][];
+  usage: NormalizedUsage;
+  batches: number;
+}
+
+/**
+ * Generated image: base64 data, or a URL for providers that host the result
+ */
+export interface GeneratedImage {
+  mime: string;
+  base64?: string;
+  url?: string;
+}
+
+/**
+ * Provider image generation call input
+ */
+export interface ImageGenerationInput {
+  prompt: string;
+  timeout_ms?: number;
+  signal?: AbortSignal;
+  /** Key pool the key belongs to: the model's route, which can differ from the provider name */
+  api_key_pool?: string;
+  /** ID of the pooled API key to call with (chosen by the router) */
+  api_key_id?: string;
+  /** Model the key was chosen for, whose key cooldowns decide rotation */
+  api_key_model_id?: string;
+  /** Called for each retry sent after the first request, so the usage ledger counts it */
+  on_retry?: () => void;
+}
+
+/**
+ * Provider image generation response, with any text the model returned alongside
+ * usage is null when the provider does not report tokens
+ */
+export interface ProviderImageResponse {
+  images: GeneratedImage[];
+  text: string;
+  usage: NormalizedUsage | null;
+  headers: Headers;
+}
+
+/**
+ * Image generation result returned by the router
+ */
+export interface ImageGenerationResult {
+  images: GeneratedImage[];
+  text: string;
+  usage: NormalizedUsage;
+}
+
+/**
+ * Timed span of a transcript, in seconds from the start of the audio
+ */
+export interface TranscriptionSegment {
+  start: number;
+  end: number;
+  text: string;
+}
+
+/**
+ * Provider speech-to-text call input
+ */
+export interface TranscriptionInput {
+  audio: Buffer;
+  filename: string;
+  mime: string;
+  language?: string;
+  /** Translate to English instead of transcribing in the spoken language */
+  translate?: boolean;
+  timeout_ms?: number;
+  signal?: AbortSignal;
+  /** Key pool the key belongs to: the model's route, which can differ from the provider name */
+  api_key_pool?: string;
+  /** ID of the pooled API key to call with (chosen by the router) */
+  api_key_id?: string;
+  /** Model the key was chosen for, whose key cooldowns decide rotation */
+  api_key_model_id?: string;
+  /** Called for each retry sent after the first request, so the usage ledger counts it */
+  on_retry?: () => void;
+}
+
+/**
+ * Transcript with the detected language and duration, when the provider reports them
+ */
+export interface TranscriptionResult {
+  text: string;
+  language: string | null;
+  duration: number | null;
+  segments: TranscriptionSegment[];
+}
+
+/**
+ * Provider speech-to-text response
+ */
+export interface ProviderTranscriptionResponse extends TranscriptionResult {
+  headers: Headers;
+}
+
+/**
+ * Input for a text-to-speech call
+ */
+export interface SpeechInput {
+  text: string;
+  /** Voice name, or language code for Cloudflare MeloTTS */
+  voice: string;
+  /** Audio format, one the provider lists in PROVIDER_SPEECH_FORMATS */
+  format: string;
+  speed?: number;
+  timeout_ms?: number;
+  signal?: AbortSignal;
+  /** Key pool the key belongs to: the model's route, which can differ from the provider name */
+  api_key_pool?: string;
+  /** ID of the pooled API key to call with (chosen by the router) */
+  api_key_id?: string;
+  /** Model the key was chosen for, whose key cooldowns decide rotation */
+  api_key_model_id?: string;
+  /** Called for each retry sent after the first request, so the usage ledger counts it */
+  on_retry?: () => void;
+}
+
+/**
+ * Synthesized audio with its media type
+ */
+export interface SpeechResult {
+  audio: Buffer;
+  mime: string;
+}
+
+/**
+ * Provider text-to-speech response
+ */
+export interface ProviderSpeechResponse extends SpeechResult {
+  headers: Headers;
+}
+
+/**
+ * Server-sent event message parsed from a provider stream
+ */
+export interface SSEMessage {
+  event: string | null;
+  data: string;
+}
+
 /**
  * Rate limit information parsed from headers
+ * Reset times are absolute ISO timestamps; counters are per minute unless suffixed _daily
  */
 export interface RateLimitInfo {
   requests_remaining: number | null;
   requests_limit: number | null;
+  requests_reset_time: string | null;
   tokens_remaining: number | null;
   tokens_limit: number | null;
+  tokens_reset_time: string | null;
+  requests_remaining_daily: number | null;
+  requests_limit_daily: number | null;
+  tokens_remaining_daily: number | null;
+  tokens_limit_daily: number | null;
+  daily_reset_time: string | null;
+  /** Reset of the exhausted window, null when no counter is exhausted */
   reset_time: string | null;
 }
 
@@ -156,6 +585,39 @@ export interface CachedRateLimit extends RateLimitInfo {
   updated_at: string;
 }
 
+/**
+ * Storage backend for service state that survives restarts
+ */
+export interface PersistenceBackend {
+  /** Stored data for a key, or null when nothing was saved */
+  load(key: string): unknown;
+  save(key: string, data: unknown): void;
+}
+
+/**
+ * Service whose state can be snapshotted and restored
+ */
+export interface PersistableState {
+  snapshot(): unknown;
+  restore(data: unknown): void;
+  /** Receive a function saving the service's state at once, for changes that must survive a crash */
+  setSaver?(save: () => void): void;
+}
+
+/**
+ * Database limits enforced locally before dispatch
+ */
+export type LocalLimitKey = 'rpm' | 'rpd' | 'tpm' | 'tpd';
+
+/**
+ * Local token bucket state for one limit of a provider/model
+ */
+export interface LocalLimitBucket {
+  limit: LocalLimitKey;
+  capacity: number;
+  available: number;
+}
+
 /**
  * Provider health record
  */
@@ -164,6 +626,8 @@ export interface ProviderHealthRecord {
   success: boolean;
   latency_ms: number;
   error_message: string | null;
+  timed_out: boolean;
+  key_id?: string;
   timestamp: string;
 }
 
@@ -178,8 +642,124 @@ export interface ProviderHealthStatus {
   last_success: string | null;
   last_error: string | null;
   error_count_last_hour: number;
+  timeout_count_last_hour: number;
   success_rate_last_hour: number | null;
   models_available: number;
+  probe: ProviderProbeStatus | null;
+  circuit: CircuitBreakerStatus;
+}
+
+/**
+ * Circuit breaker state: closed (normal), open (skipped by auto-selection)
+ * or half_open (cooldown over, the next call decides)
+ */
+export type CircuitState = 'closed' | 'open' | 'half_open';
+
+/**
+ * Circuit breaker status for a provider route
+ */
+export interface CircuitBreakerStatus {
+  state: CircuitState;
+  consecutive_failures: number;
+  opened_at: string | null;
+  retry_at: string | null;
+}
+
+/**
+ * Result of background health probes for a provider (kept apart from user traffic)
+ */
+export interface ProviderProbeStatus {
+  status: 'healthy' | 'degraded' | 'down' | 'unknown';
+  latency_ms: number | null;
+  last_probe: string | null;
+  last_success: string | null;
+  last_error: string | null;
+  success_rate_last_hour: number | null;
+}
+
+/**
+ * Background health probe settings and today's spend per provider
+ */
+export interface HealthProbeInfo {
+  enabled: boolean;
+  interval_ms: number;
+  daily_budget: number;
+  probes_today: Record<string, number>;
+}
+
+/**
+ * Requests and tokens consumed through one API key for a provider/model,
+ * in the current minute and the provider's current day
+ */
+export interface UsageLedgerEntry {
+  provider: string;
+  model_id: string;
+  key_id: string;
+  day: string;
+  minute: number;
+  requests_minute: number;
+  tokens_minute: number;
+  requests_day: number;
+  tokens_day: number;
+}
+
+/**
+ * Model limits reported against the usage ledger
+ */
+export type QuotaLimitKey = 'rpm' | 'tpm' | 'rpd' | 'tpd' | 'neurons_per_day';
+
+/**
+ * Ledger usage against one model limit
+ * used is null when the provider does not report the unit (neurons)
+ */
+export interface QuotaUsage {
+  used: number | null;
+  limit: number;
+  remaining: number | null;
+  resets_at: string;
+}
+
+/**
+ * How the next API key is picked from a provider's pool
+ */
+export type KeyRotationStrategy = 'round_robin' | 'least_used';
+
+/**
+ * Cooldown of one pooled API key on one model
+ */
+export interface ApiKeyCooldown {
+  model_id: string;
+  available_at: string;
+  error: string;
+}
+
+/**
+ * State of one pooled API key
+ * available_at is when the last of its model cooldowns ends
+ */
+export interface ApiKeyStatus {
+  key_id: string;
+  state: 'available' | 'cooling_down';
+  available_at: string | null;
+  last_error: string | null;
+  cooldowns: ApiKeyCooldown[];
+  requests_today: number;
+  tokens_today: number;
+  success_rate_last_hour: number | null;
+  rate_limits: CachedRateLimit | null;
+}
+
+/**
+ * Prometheus label set
+ */
+export type MetricLabels = Record<string, string>;
+
+/**
+ * One Prometheus series value
+ */
+export interface MetricSample {
+  labels: MetricLabels;
+  value: number;
 }
 
 /**
@@ -213,6 +793,7 @@ export interface ModelUsabilityResult {
   credits_required?: boolean;
   credits_available?: number | null;
   rate_limits?: CachedRateLimit | null;
+  quota?: Partial<Record<QuotaLimitKey, QuotaUsage>>;
 }
 
 /**
@@ -245,5 +826,6 @@ export interface BoostTierExhaustionResult {
     provider: string;
     reason: string;
   }>;
+  quota?: Record<string, Partial<Record<QuotaLimitKey, QuotaUsage>>>;
   message?: string;
 }
@@ -1,4 +1,17 @@
-import { CostTier, BoostTier, RouteKey, ProviderName, ModelCapabilities } from '../types';
+import {
+  CostTier,
+  BoostTier,
+  RouteKey,
+  ProviderName,
+  ModelCapabilities,
+  RetryPolicy,
+  LocalLimitKey,
+  SelectionStrategy,
+  ScoreComponent,
+  KeyRotationStrategy,
+  TranscriptionFormat,
+  SpeechEncoding,
+} from '../types';
 
 /**
  * Cost tier ordering for sorting (lower index = cheaper)
@@ -28,6 +41,235 @@ export const DEFAULT_TEMPERATURE = 0.7;
  */
 export const DEFAULT_MAX_TOKENS = 1024;
 
+/**
+ * Default upstream request timeout for providers without their own default
+ */
+export const DEFAULT_PROVIDER_TIMEOUT_MS = 60000;
+
+/**
+ * Upper bound on timeout_ms for /run
+ */
+export const MAX_PROVIDER_TIMEOUT_MS = 600000;
+
+/**
+ * Per-provider upstream request timeouts (fast inference APIs fail sooner,
+ * HuggingFace allows for cold starts)
+ */
+export const PROVIDER_TIMEOUTS_MS: Record<string, number> = {
+  groq: 30000,
+  cerebras: 30000,
+  mistral: 60000,
+  github: 60000,
+  cohere: 60000,
+  cloudflare: 60000,
+  perplexity: 90000,
+  gemini: 90000,
+  openrouter: 120000,
+  openai: 120000,
+  anthropic: 120000,
+  huggingface: 120000,
+};
+
+/**
+ * Retry policy for providers without their own policy
+ */
+export const DEFAULT_RETRY_POLICY: RetryPolicy = {
+  max_retries: 2,
+  base_delay_ms: 500,
+  max_delay_ms: 8000,
+};
+
+/**
+ * Per-provider retry policy overrides (fast free tiers recover quickly,
+ * HuggingFace cold starts answer 503 for a while)
+ */
+export const PROVIDER_RETRY_POLICIES: Record<string, Partial<RetryPolicy>> = {
+  groq: { max_retries: 3, base_delay_ms: 250 },
+  cerebras: { max_retries: 3, base_delay_ms: 250 },
+  mistral: { max_retries: 3, base_delay_ms: 1000 },
+  huggingface: { max_retries: 2, base_delay_ms: 2000, max_delay_ms: 20000 },
+};
+
+/**
+ * Upstream HTTP statuses worth retrying
+ */
+export const RETRYABLE_STATUS_CODES: number[] = [429, 500, 502, 503, 504];
+
+/**
+ * Refill windows of the local rate limiter's token buckets
+ */
+export const LOCAL_LIMIT_WINDOWS_MS: Record<LocalLimitKey, number> = {
+  rpm: 60 * 1000,
+  tpm: 60 * 1000,
+  rpd: 24 * 60 * 60 * 1000,
+  tpd: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Longest a call queues for local rate limit capacity before it is rejected
+ */
+export const MAX_LOCAL_LIMIT_WAIT_MS = 5000;
+
+/**
+ * Seconds a cached rate limit entry without a reset time stays relevant
+ */
+export const DEFAULT_RATE_LIMIT_RESET_SECONDS = 60;
+
+/**
+ * Interval between state snapshots when persistence is enabled
+ */
+export const DEFAULT_SNAPSHOT_INTERVAL_MS = 30000;
+
+/**
+ * Jobs run at once by the /jobs API; later jobs stay queued until a slot frees up
+ */
+export const MAX_CONCURRENT_JOBS = 4;
+
+/**
+ * Jobs allowed to wait in the /jobs queue; each holds its request body in memory and on disk
+ */
+export const MAX_QUEUED_JOBS = 50;
+
+/**
+ * How long finished jobs are kept before they are pruned
+ */
+export const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Delivery attempts for a job's completion callback
+ */
+export const JOB_CALLBACK_ATTEMPTS = 3;
+
+/**
+ * Timeout of each callback delivery attempt
+ */
+export const JOB_CALLBACK_TIMEOUT_MS = 10000;
+
+/**
+ * Delay before the first callback retry, doubling on each later one
+ */
+export const JOB_CALLBACK_RETRY_DELAY_MS = 1000;
+
+/**
+ * Default interval between background health probes (0 disables them)
+ */
+export const DEFAULT_HEALTH_PROBE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Default probes per provider per day
+ */
+export const DEFAULT_HEALTH_PROBE_DAILY_BUDGET = 100;
+
+/**
+ * Timeout for a single health probe
+ */
+export const HEALTH_PROBE_TIMEOUT_MS = 10000;
+
+/**
+ * Consecutive failed calls that open a provider's circuit
+ */
+export const CIRCUIT_FAILURE_THRESHOLD = 5;
+
+/**
+ * How long a circuit stays open before a trial call is allowed
+ * Doubles each time the trial fails, up to CIRCUIT_MAX_OPEN_DURATION_MS
+ */
+export const CIRCUIT_OPEN_DURATION_MS = 30 * 1000;
+
+/**
+ * Longest a circuit stays open between trial calls
+ */
+export const CIRCUIT_MAX_OPEN_DURATION_MS = 5 * 60 * 1000;
+
+/**
+ * Time zone whose midnight starts each provider's daily quota window
+ * Providers not listed reset at UTC midnight; Gemini resets at midnight Pacific time
+ */
+export const PROVIDER_DAILY_RESET_TIME_ZONES: Record<string, string> = {
+  gemini: 'America/Los_Angeles',
+};
+
+/**
+ * Valid KEY_ROTATION_STRATEGY values; the first is the default
+ */
+export const KEY_ROTATION_STRATEGIES: KeyRotationStrategy[] = ['round_robin', 'least_used'];
+
+/**
+ * Cooldown for a pooled API key after a rate limit or quota error without a reset hint
+ */
+export const DEFAULT_KEY_COOLDOWN_SECONDS = 60;
+
+/**
+ * Upper bounds of the provider latency histogram buckets for /metrics
+ */
+export const LATENCY_HISTOGRAM_BUCKETS_SECONDS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Score weights per selection strategy (each set sums to 1)
+ */
+export const STRATEGY_WEIGHTS: Record<SelectionStrategy, Record<ScoreComponent, number>> = {
+  quality: { rating: 0.7, latency: 0.1, success_rate: 0.2, quota: 0 },
+  latency: { rating: 0.2, latency: 0.6, success_rate: 0.2, quota: 0 },
+  balanced: { rating: 0.4, latency: 0.2, success_rate: 0.2, quota: 0.2 },
+  quota_preserving: { rating: 0.3, latency: 0, success_rate: 0.2, quota: 0.5 },
+};
+
+/**
+ * Valid selection strategies
+ */
+export const SELECTION_STRATEGIES = Object.keys(STRATEGY_WEIGHTS) as SelectionStrategy[];
+
+/**
+ * Highest capability rating, used to scale ratings to 0-1
+ */
+export const MAX_MODEL_RATING = 5;
+
+/**
+ * p50 latency that scores 0.5; faster providers approach 1, slower approach 0
+ */
+export const LATENCY_SCORE_REFERENCE_MS = 2000;
+
+/**
+ * Score given to a signal with no observations yet
+ */
+export const UNKNOWN_SIGNAL_SCORE = 0.5;
+
+/**
+ * Default provider calls made by /run with fallback: "auto"
+ */
+export const DEFAULT_FALLBACK_ATTEMPTS = 3;
+
+/**
+ * Upper bound on max_attempts for /run fallback
+ */
+export const MAX_FALLBACK_ATTEMPTS = 10;
+
+/**
+ * Default max_wait_seconds for /run with on_limit "wait"
+ * Above the 60s reset assumed for 429s without a reset time, so those still wait
+ */
+export const DEFAULT_LIMIT_WAIT_SECONDS = 90;
+
+/**
+ * Upper bound on max_wait_seconds for /run
+ */
+export const MAX_LIMIT_WAIT_SECONDS = 600;
+
+/**
+ * Default repair calls made by /run when output fails its JSON schema
+ */
+export const DEFAULT_JSON_REPAIRS = 2;
+
+/**
+ * Upper bound on max_repairs for /run structured output
+ */
+export const MAX_JSON_REPAIRS = 5;
+
+/**
+ * Longest regex pattern accepted in a structured output schema
+ */
+export const MAX_SCHEMA_PATTERN_LENGTH = 200;
+
 /**
  * Provider API endpoints
  */
@@ -46,6 +288,144 @@ export const PROVIDER_ENDPOINTS = {
   huggingface: 'https://api-inference.huggingface.co/models',
 } as const;
 
+/**
+ * Embeddings endpoints (Gemini, Cloudflare and HuggingFace embed through their model URLs)
+ */
+export const PROVIDER_EMBEDDING_ENDPOINTS: Record<string, string> = {
+  mistral: 'https://api.mistral.ai/v1/embeddings',
+  github: 'https://models.inference.ai.azure.com/embeddings',
+  openai: 'https://api.openai.com/v1/embeddings',
+  cohere: 'https://api.cohere.com/v2/embed',
+};
+
+/**
+ * Image generation endpoints (Gemini, Cloudflare and HuggingFace generate through their model URLs)
+ */
+export const PROVIDER_IMAGE_ENDPOINTS: Record<string, string> = {
+  openai: 'https://api.openai.com/v1/images/generations',
+};
+
+/**
+ * Audio API base URLs; /transcriptions or /translations is appended
+ * (Cloudflare transcribes through its model URLs)
+ */
+export const PROVIDER_TRANSCRIPTION_ENDPOINTS: Record<string, string> = {
+  groq: 'https://api.groq.com/openai/v1/audio',
+  openai: 'https://api.openai.com/v1/audio',
+};
+
+/**
+ * Valid /transcribe response formats; the first is the default
+ */
+export const TRANSCRIPTION_FORMATS: TranscriptionFormat[] = ['json', 'text', 'verbose_json', 'srt', 'vtt'];
+
+/**
+ * Largest audio file accepted by /transcribe (the Groq and OpenAI upload limit)
+ */
+export const MAX_TRANSCRIPTION_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Text-to-speech endpoints (Cloudflare speaks through its model URLs)
+ */
+export const PROVIDER_SPEECH_ENDPOINTS: Record<string, string> = {
+  groq: 'https://api.groq.com/openai/v1/audio/speech',
+  openai: 'https://api.openai.com/v1/audio/speech',
+};
+
+/**
+ * Audio formats each text-to-speech provider can return; the first is the default
+ */
+export const PROVIDER_SPEECH_FORMATS: Record<string, string[]> = {
+  groq: ['wav', 'mp3', 'flac', 'ogg', 'mulaw'],
+  openai: ['mp3', 'opus', 'aac', 'flac', 'wav', 'pcm'],
+  cloudflare: ['mp3'],
+};
+
+/**
+ * Voices per text-to-speech model; the first is the default
+ * (MeloTTS takes a language code instead of a voice)
+ */
+export const TTS_MODEL_VOICES: Record<string, string[]> = {
+  'playai-tts': [
+    'Arista-PlayAI',
+    'Atlas-PlayAI',
+    'Basil-PlayAI',
+    'Briggs-PlayAI',
+    'Calum-PlayAI',
+    'Celeste-PlayAI',
+    'Cheyenne-PlayAI',
+    'Chip-PlayAI',
+    'Cillian-PlayAI',
+    'Deedee-PlayAI',
+    'Fritz-PlayAI',
+    'Gail-PlayAI',
+    'Indigo-PlayAI',
+    'Mamaw-PlayAI',
+    'Mason-PlayAI',
+    'Mikail-PlayAI',
+    'Mitch-PlayAI',
+    'Quinn-PlayAI',
+    'Thunder-PlayAI',
+  ],
+  'playai-tts-arabic': ['Ahmad-PlayAI', 'Amira-PlayAI', 'Khalid-PlayAI', 'Nasser-PlayAI'],
+  'tts-1': ['alloy', 'ash', 'coral', 'echo', 'fable', 'onyx', 'nova', 'sage', 'shimmer'],
+  'gpt-4o-mini-tts': ['alloy', 'ash', 'ballad', 'coral', 'echo', 'fable', 'onyx', 'nova', 'sage', 'shimmer', 'verse'],
+  '@cf/myshell-ai/melotts': ['en', 'es', 'fr', 'zh', 'jp', 'kr'],
+};
+
+/**
+ * Longest text accepted by /speak (the OpenAI input limit)
+ */
+export const MAX_SPEECH_CHARS = 4096;
+
+/**
+ * Playback speed range accepted by /speak
+ */
+export const SPEECH_SPEED_RANGE = { min: 0.25, max: 4 };
+
+/**
+ * Valid /speak audio encodings; the first is the default
+ */
+export const SPEECH_ENCODINGS: SpeechEncoding[] = ['binary', 'base64'];
+
+/**
+ * Max texts per embeddings call, per provider; larger inputs are split into batches
+ */
+export const PROVIDER_EMBEDDING_BATCH_SIZES: Record<string, number> = {
+  cohere: 96,
+  gemini: 100,
+  cloudflare: 100,
+  huggingface: 32,
+};
+
+/**
+ * Max texts per embeddings call for providers without a documented limit
+ */
+export const DEFAULT_EMBEDDING_BATCH_SIZE = 64;
+
+/**
+ * Upper bound on the number of input texts per /embed request
+ */
+export const MAX_EMBEDDING_INPUTS = 2048;
+
+/**
+ * Cheap authenticated GET endpoints used as health probes
+ * Providers without one (Perplexity, Puter) are probed with a 1-token completion
+ */
+export const PROVIDER_PROBE_ENDPOINTS: Record<string, string> = {
+  groq: 'https://api.groq.com/openai/v1/models',
+  mistral: 'https://api.mistral.ai/v1/models',
+  cerebras: 'https://api.cerebras.ai/v1/models',
+  github: 'https://models.inference.ai.azure.com/models',
+  openai: 'https://api.openai.com/v1/models',
+  openrouter: 'https://openrouter.ai/api/v1/key',
+  anthropic: 'https://api.anthropic.com/v1/models?limit=1',
+  gemini: 'https://generativelanguage.googleapis.com/v1beta/models?pageSize=1',
+  cohere: 'https://api.cohere.com/v1/models?page_size=1',
+  cloudflare: 'https://api.cloudflare.com/client/v4/user/tokens/verify',
+  huggingface: 'https://huggingface.co/api/whoami-v2',
+};
+
 /**
  * Provider buckets for model registry
  */
@@ -74,10 +454,85 @@ export const CAPABILITY_KEYS: (keyof ModelCapabilities)[] = [
   'speed',
   'coding',
   'images',
+  'image_generation',
   'audio_speech',
   'audio_music',
   'vision',
   'video',
+  'tools',
+  'embeddings',
+  'transcription',
+  'tts',
+];
+
+/**
+ * Routes whose chat models accept tool definitions
+ * (model_details capabilities.tools overrides this per model)
+ */
+export const TOOL_CAPABLE_ROUTES: RouteKey[] = [
+  'groq',
+  'mistral',
+  'cerebras',
+  'openrouter',
+  'github',
+  'gemini',
+  'cohere',
+  'direct',
+];
+
+/**
+ * Model ID fragments identifying chat models that accept image input
+ * (model_details capabilities.vision overrides this per model)
+ */
+export const VISION_MODEL_PATTERNS: string[] = [
+  'vision',
+  'pixtral',
+  'llava',
+  'internvl',
+  '-vl',
+  'gpt-4o',
+  'gemini',
+  'gemma-3',
+  'claude',
+  'llama-4',
+];
+
+/**
+ * Model ID fragments identifying embedding models
+ * (model_details capabilities override this per model)
+ */
+export const EMBEDDING_MODEL_PATTERNS: string[] = [
+  'embed',
+  'bge-',
+  'gte-',
+  'multilingual-e5',
+  'minilm',
+];
+
+/**
+ * Model ID fragments identifying text-to-image models
+ * (model_details capabilities override this per model)
+ */
+export const IMAGE_GENERATION_MODEL_PATTERNS: string[] = [
+  'stable-diffusion',
+  'sdxl',
+  'flux',
+  'dall-e',
+  'gpt-image',
+  'imagen',
+  'image-generation',
+  'dreamshaper',
+];
+
+/**
+ * Capabilities advertised as auto aliases on /v1/models (e.g. "auto:coding@turbo")
+ */
+export const MODEL_ALIAS_CAPABILITIES: (keyof ModelCapabilities)[] = [
+  'chat',
+  'reasoning',
+  'coding',
+  'speed',
+  'embeddings',
 ];
 
 /**
@@ -87,11 +542,14 @@ export const TASK_CAPABILITY_MAP: Record<string, keyof ModelCapabilities> = {
   chat: 'chat',
   reasoning: 'reasoning',
   coding: 'coding',
-  image_generation: 'images',
+  image_generation: 'image_generation',
   speech: 'audio_speech',
   music: 'audio_music',
   vision: 'vision',
   video: 'video',
+  embeddings: 'embeddings',
+  transcription: 'transcription',
+  tts: 'tts',
 };
 
 /**
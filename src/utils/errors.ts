@@ -108,12 +108,14 @@ export class ProviderError extends TurboConsoleError {
   public readonly provider: string;
   public readonly modelId?: string;
   public readonly originalError?: string;
+  public readonly upstreamStatus?: number;
 
-  constructor(provider: string, message: string, modelId?: string, originalError?: string) {
+  constructor(provider: string, message: string, modelId?: string, originalError?: string, upstreamStatus?: number) {
     super(message, 502, 'PROVIDER_ERROR');
     this.provider = provider;
     this.modelId = modelId;
     this.originalError = originalError;
+    this.upstreamStatus = upstreamStatus;
   }
 
   toJSON(): Record<string, unknown> {
@@ -126,6 +128,38 @@ export class ProviderError extends TurboConsoleError {
   }
 }
 
+/**
+ * Timeout error - 504 Gateway Timeout
+ */
+export class TimeoutError extends TurboConsoleError {
+  public readonly provider: string;
+  public readonly timeoutMs: number;
+
+  constructor(provider: string, timeoutMs: number) {
+    super(`${provider} request timed out after ${timeoutMs}ms`, 504, 'TIMEOUT');
+    this.provider = provider;
+    this.timeoutMs = timeoutMs;
+  }
+
+  toJSON(): Record<string, unknown> {
+    return {
+      ...super.toJSON(),
+      error_type: 'timeout',
+      provider: this.provider,
+      timeout_ms: this.timeoutMs,
+    };
+  }
+}
+
+/**
+ * Client closed request - 499 (the client disconnected before the response)
+ */
+export class ClientClosedError extends TurboConsoleError {
+  constructor() {
+    super('Client closed request', 499, 'CLIENT_CLOSED');
+  }
+}
+
 /**
  * Configuration error - 500 Internal Server Error
  */
@@ -146,27 +180,62 @@ export class ConfigurationError extends TurboConsoleError {
 }
 
 /**
- * Check if an error is a rate limit error based on message content
+ * Check if an error is a rate limit or quota error: a 429, from the provider or the local limiter
+ * Classified by status code, since messages of unrelated errors can mention rates or quotas
  */
 export function isRateLimitError(error: Error): boolean {
-  const message = error.message.toLowerCase();
-  return message.includes('rate') ||
-         message.includes('429') ||
-         message.includes('too many requests') ||
-         message.includes('quota');
+  return error instanceof TurboConsoleError && error.statusCode === 429;
+}
+
+/**
+ * Check if an error is an upstream timeout
+ */
+export function isTimeoutError(error: Error): boolean {
+  return error instanceof TimeoutError;
+}
+
+/**
+ * Check if an error means the provider is down: a 5xx answer, a timeout or a network error
+ * Client errors, rate limits and malformed answers say nothing about provider availability
+ */
+export function isProviderOutageError(error: Error): boolean {
+  if (error instanceof TimeoutError) return true;
+  if (error instanceof ProviderError) return (error.upstreamStatus ?? 0) >= 500;
+  // fetch rejects with a TypeError when the connection fails
+  return error instanceof TypeError;
+}
+
+/**
+ * Check if an error was caused by the client disconnecting
+ */
+export function isClientClosedError(error: Error): boolean {
+  return error instanceof ClientClosedError;
+}
+
+/**
+ * Get the seconds to wait before retrying after an error
+ * Rate limit errors carry the provider's value, other errors are not retryable
+ */
+export function getRetryAfterSeconds(error: Error): number | null {
+  if (error instanceof RateLimitError) {
+    return error.retryAfterSeconds;
+  }
+  return isRateLimitError(error) ? 60 : null;
 }
 
 /**
  * Create an appropriate error from provider response
+ * retryAfterSeconds comes from Retry-After or rate limit reset headers when present
  */
 export function createProviderError(
   provider: string,
   statusCode: number,
   message: string,
-  modelId?: string
+  modelId?: string,
+  retryAfterSeconds?: number | null
 ): TurboConsoleError {
-  if (statusCode === 429 || isRateLimitError(new Error(message))) {
-    return new RateLimitError(provider, message, 60);
+  if (statusCode === 429) {
+    return new RateLimitError(provider, message, retryAfterSeconds != null ? Math.ceil(retryAfterSeconds) : 60);
   }
-  return new ProviderError(provider, message, modelId);
+  return new ProviderError(provider, message, modelId, undefined, statusCode);
 }
@@ -1,26 +1,168 @@
 import { RateLimitInfo } from '../types';
 
 /**
- * Header name to rate limit field mapping
- */
-const RATE_LIMIT_HEADER_MAP: Record<string, keyof RateLimitInfo> = {
-  'x-ratelimit-remaining-requests': 'requests_remaining',
-  'x-ratelimit-limit-requests': 'requests_limit',
-  'x-ratelimit-remaining-tokens': 'tokens_remaining',
-  'x-ratelimit-limit-tokens': 'tokens_limit',
-  'x-ratelimit-reset-requests': 'reset_time',
-  'x-ratelimit-reset': 'reset_time',
+ * Rate limit fields a provider header parser can fill
+ * reset_time is derived from the windows after parsing
+ */
+type ParsedRateLimits = Partial<Omit<RateLimitInfo, 'reset_time'>>;
+
+/**
+ * Parse one provider's rate limit headers; reset times are absolute ISO timestamps
+ */
+type RateLimitHeaderParser = (headers: Headers, now: number) => ParsedRateLimits;
+
+/**
+ * Read an integer header, or null when missing or malformed
+ */
+function readCount(headers: Headers, name: string): number | null {
+  const value = headers.get(name);
+  if (value === null) return null;
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Read a reset header as an absolute ISO timestamp
+ */
+function readResetTime(headers: Headers, name: string, now: number): string | null {
+  const value = headers.get(name);
+  const seconds = value !== null ? parseResetSeconds(value, now) : null;
+  return seconds !== null ? new Date(now + seconds * 1000).toISOString() : null;
+}
+
+/**
+ * Read IETF RateLimit headers, structured ("default";r=50;t=30 with a q=
+ * policy) or split into RateLimit-Remaining/-Reset/-Limit
+ */
+function readIetfRateLimit(headers: Headers, now: number): ParsedRateLimits {
+  const structured = headers.get('ratelimit');
+  const policy = headers.get('ratelimit-policy');
+
+  if (structured && /[;,]\s*r=/.test(structured)) {
+    const remaining = /\br=(\d+)/.exec(structured);
+    const reset = /\bt=(\d+)/.exec(structured);
+    const quota = policy ? /\bq=(\d+)/.exec(policy) : null;
+    return {
+      requests_remaining: remaining ? parseInt(remaining[1], 10) : null,
+      requests_limit: quota ? parseInt(quota[1], 10) : null,
+      requests_reset_time: reset ? new Date(now + parseInt(reset[1], 10) * 1000).toISOString() : null,
+    };
+  }
+
+  return {
+    requests_remaining: readCount(headers, 'ratelimit-remaining'),
+    requests_limit: readCount(headers, 'ratelimit-limit'),
+    requests_reset_time: readResetTime(headers, 'ratelimit-reset', now),
+  };
+}
+
+/**
+ * OpenAI-style headers (OpenAI, GitHub Models, Perplexity, HuggingFace and others)
+ * Reset values are durations such as "6m0s" or "20ms"
+ */
+const parseOpenAIHeaders: RateLimitHeaderParser = (headers, now) => ({
+  requests_remaining: readCount(headers, 'x-ratelimit-remaining-requests'),
+  requests_limit: readCount(headers, 'x-ratelimit-limit-requests'),
+  requests_reset_time:
+    readResetTime(headers, 'x-ratelimit-reset-requests', now) ?? readResetTime(headers, 'x-ratelimit-reset', now),
+  tokens_remaining: readCount(headers, 'x-ratelimit-remaining-tokens'),
+  tokens_limit: readCount(headers, 'x-ratelimit-limit-tokens'),
+  tokens_reset_time: readResetTime(headers, 'x-ratelimit-reset-tokens', now),
+});
+
+/**
+ * Per-provider rate limit header parsers
+ * Providers not listed use OpenAI-style headers; Gemini sends none on success
+ */
+const RATE_LIMIT_HEADER_PARSERS: Record<string, RateLimitHeaderParser> = {
+  // Groq's request counters are per day, its token counters per minute
+  groq: (headers, now) => ({
+    requests_remaining_daily: readCount(headers, 'x-ratelimit-remaining-requests'),
+    requests_limit_daily: readCount(headers, 'x-ratelimit-limit-requests'),
+    daily_reset_time: readResetTime(headers, 'x-ratelimit-reset-requests', now),
+    tokens_remaining: readCount(headers, 'x-ratelimit-remaining-tokens'),
+    tokens_limit: readCount(headers, 'x-ratelimit-limit-tokens'),
+    tokens_reset_time: readResetTime(headers, 'x-ratelimit-reset-tokens', now),
+  }),
+
+  // Cerebras suffixes every counter with its window; resets are in seconds
+  cerebras: (headers, now) => ({
+    requests_remaining_daily: readCount(headers, 'x-ratelimit-remaining-requests-day'),
+    requests_limit_daily: readCount(headers, 'x-ratelimit-limit-requests-day'),
+    daily_reset_time: readResetTime(headers, 'x-ratelimit-reset-requests-day', now),
+    tokens_remaining: readCount(headers, 'x-ratelimit-remaining-tokens-minute'),
+    tokens_limit: readCount(headers, 'x-ratelimit-limit-tokens-minute'),
+    tokens_reset_time: readResetTime(headers, 'x-ratelimit-reset-tokens-minute', now),
+  }),
+
+  // Mistral counts tokens per minute and sends no reset headers
+  mistral: (headers) => ({
+    tokens_remaining: readCount(headers, 'x-ratelimitbysize-remaining-minute'),
+    tokens_limit: readCount(headers, 'x-ratelimitbysize-limit-minute'),
+  }),
+
+  // Anthropic resets are RFC 3339 timestamps
+  anthropic: (headers, now) => ({
+    requests_remaining: readCount(headers, 'anthropic-ratelimit-requests-remaining'),
+    requests_limit: readCount(headers, 'anthropic-ratelimit-requests-limit'),
+    requests_reset_time: readResetTime(headers, 'anthropic-ratelimit-requests-reset', now),
+    tokens_remaining: readCount(headers, 'anthropic-ratelimit-tokens-remaining'),
+    tokens_limit: readCount(headers, 'anthropic-ratelimit-tokens-limit'),
+    tokens_reset_time: readResetTime(headers, 'anthropic-ratelimit-tokens-reset', now),
+  }),
+
+  // OpenRouter counts requests; the reset is an epoch timestamp in milliseconds
+  openrouter: (headers, now) => ({
+    requests_remaining: readCount(headers, 'x-ratelimit-remaining'),
+    requests_limit: readCount(headers, 'x-ratelimit-limit'),
+    requests_reset_time: readResetTime(headers, 'x-ratelimit-reset', now),
+  }),
+
+  // Cloudflare uses the IETF RateLimit headers
+  cloudflare: readIetfRateLimit,
+
+  // Cohere trial keys report per-minute endpoint call limits
+  cohere: (headers) => ({
+    requests_remaining: readCount(headers, 'x-trial-endpoint-call-remaining'),
+    requests_limit: readCount(headers, 'x-trial-endpoint-call-limit'),
+  }),
+
+  gemini: () => ({}),
 };
 
 /**
- * Parse rate limit headers from provider response
+ * Pick the reset time that matters: the exhausted window's, or null when no counter is exhausted
+ */
+function getBindingResetTime(limits: RateLimitInfo): string | null {
+  const exhausted = (remaining: number | null) => remaining !== null && remaining <= 0;
+
+  if (exhausted(limits.requests_remaining_daily) || exhausted(limits.tokens_remaining_daily)) {
+    return limits.daily_reset_time;
+  }
+
+  const blocking = [
+    exhausted(limits.requests_remaining) ? limits.requests_reset_time : null,
+    exhausted(limits.tokens_remaining) ? limits.tokens_reset_time : null,
+  ].filter((time): time is string => time !== null);
+  return blocking.length > 0 ? blocking.sort()[blocking.length - 1] : null;
+}
+
+/**
+ * Parse rate limit headers from provider response with the provider's parser
  */
-export function parseRateLimitHeaders(headers: Headers | null): RateLimitInfo {
+export function parseRateLimitHeaders(headers: Headers | null, provider?: string, now: number = Date.now()): RateLimitInfo {
   const limits: RateLimitInfo = {
     requests_remaining: null,
     requests_limit: null,
+    requests_reset_time: null,
     tokens_remaining: null,
     tokens_limit: null,
+    tokens_reset_time: null,
+    requests_remaining_daily: null,
+    requests_limit_daily: null,
+    tokens_remaining_daily: null,
+    tokens_limit_daily: null,
+    daily_reset_time: null,
     reset_time: null,
   };
 
@@ -28,23 +170,76 @@ export function parseRateLimitHeaders(headers: Headers | null): RateLimitInfo {
     return limits;
   }
 
-  for (const [headerName, field] of Object.entries(RATE_LIMIT_HEADER_MAP)) {
-    const value = headers.get(headerName);
-    if (value !== null) {
-      if (field === 'reset_time') {
-        limits[field] = value;
-      } else {
-        const parsed = parseInt(value, 10);
-        if (!isNaN(parsed)) {
-          limits[field] = parsed;
-        }
-      }
+  const parser = (provider && RATE_LIMIT_HEADER_PARSERS[provider]) || parseOpenAIHeaders;
+  const parsed = parser(headers, now);
+  for (const field of Object.keys(parsed) as (keyof ParsedRateLimits)[]) {
+    const value = parsed[field];
+    if (value !== null && value !== undefined) {
+      (limits as Record<keyof ParsedRateLimits, unknown>)[field] = value;
     }
   }
 
+  limits.reset_time = getBindingResetTime(limits);
   return limits;
 }
 
+/**
+ * Parse a reset header value to seconds from now
+ * Accepts durations ("1m30.5s", "250ms"), plain seconds, epoch seconds or
+ * milliseconds, and HTTP or ISO dates
+ */
+export function parseResetSeconds(value: string, now: number = Date.now()): number | null {
+  const trimmed = value.trim();
+
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    const num = parseFloat(trimmed);
+    if (num > 1e12) return Math.max(0, (num - now) / 1000);
+    if (num > 1e9) return Math.max(0, num - now / 1000);
+    return num;
+  }
+
+  const duration = /^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+(?:\.\d+)?)ms)?$/.exec(trimmed);
+  if (duration && trimmed) {
+    const [, hours, minutes, seconds, millis] = duration;
+    return (
+      parseFloat(hours || '0') * 3600 +
+      parseFloat(minutes || '0') * 60 +
+      parseFloat(seconds || '0') +
+      parseFloat(millis || '0') / 1000
+    );
+  }
+
+  const date = Date.parse(trimmed);
+  return isNaN(date) ? null : Math.max(0, (date - now) / 1000);
+}
+
+/**
+ * Get the Retry-After header in seconds, or null when absent or unparseable
+ */
+export function parseRetryAfterHeader(headers: Headers | null): number | null {
+  const retryAfter = headers?.get('retry-after') ?? null;
+  return retryAfter !== null ? parseResetSeconds(retryAfter) : null;
+}
+
+/**
+ * Get how long to wait before retrying, in seconds
+ * Retry-After wins; otherwise the binding rate limit window's reset is used
+ */
+export function parseRetryAfterSeconds(headers: Headers | null, provider?: string): number | null {
+  if (!headers) {
+    return null;
+  }
+
+  const retryAfter = parseRetryAfterHeader(headers);
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+
+  const now = Date.now();
+  const { reset_time } = parseRateLimitHeaders(headers, provider, now);
+  return reset_time ? Math.max(0, (new Date(reset_time).getTime() - now) / 1000) : null;
+}
+
 /**
  * Create standard headers for OpenAI-compatible APIs
  */
@@ -1,3 +1,7 @@
 export * from './errors';
 export * from './constants';
 export * from './headers';
+export * from './sse';
+export * from './jsonSchema';
+export * from './async';
+export * from './network';
@@ -0,0 +1,280 @@
+import { MAX_SCHEMA_PATTERN_LENGTH } from './constants';
+
+/**
+ * JSON schema (subset) used for structured output
+ */
+export type JsonSchema = Record<string, unknown>;
+
+/**
+ * Result of parsing model output as JSON
+ */
+export type JsonParseResult = { ok: true; value: unknown } | { ok: false; error: string };
+
+/**
+ * Get the JSON type name of a value as used by JSON schema
+ */
+function jsonTypeOf(value: unknown): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check a value against a single JSON schema type name
+ */
+function matchesType(value: unknown, type: string): boolean {
+  const actual = jsonTypeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a JSON schema, returning one message per violation
+ * Supports type, enum, const, properties, required, additionalProperties, items,
+ * string/number/array bounds, pattern, anyOf, oneOf and allOf
+ */
+export function validateJsonSchema(value: unknown, schema: JsonSchema, path = '$'): string[] {
+  const errors: string[] = [];
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? (schema.type as string[]) : [schema.type as string];
+    if (!types.some((type) => matchesType(value, type))) {
+      return [`${path}: expected ${types.join(' or ')}, got ${jsonTypeOf(value)}`];
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (typeof schema.pattern === 'string' && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) => {
+        errors.push(...validateJsonSchema(item, schema.items as JsonSchema, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (jsonTypeOf(value) === 'object') {
+    const record = value as Record<string, unknown>;
+    const properties = (schema.properties || {}) as Record<string, JsonSchema>;
+
+    for (const key of (schema.required as string[] | undefined) || []) {
+      if (!(key in record)) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    }
+
+    for (const [key, item] of Object.entries(record)) {
+      if (properties[key]) {
+        errors.push(...validateJsonSchema(item, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJsonSchema(item, schema.additionalProperties as JsonSchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    for (const sub of schema.allOf as JsonSchema[]) {
+      errors.push(...validateJsonSchema(value, sub, path));
+    }
+  }
+
+  if (Array.isArray(schema.anyOf)) {
+    const matched = (schema.anyOf as JsonSchema[]).some((sub) => validateJsonSchema(value, sub, path).length === 0);
+    if (!matched) errors.push(`${path}: must match at least one schema in anyOf`);
+  }
+
+  if (Array.isArray(schema.oneOf)) {
+    const matches = (schema.oneOf as JsonSchema[]).filter((sub) => validateJsonSchema(value, sub, path).length === 0).length;
+    if (matches !== 1) errors.push(`${path}: must match exactly one schema in oneOf`);
+  }
+
+  return errors;
+}
+
+/**
+ * Keywords validateJsonSchema enforces, plus annotations it ignores
+ */
+const SUPPORTED_SCHEMA_KEYWORDS = new Set([
+  'type',
+  'enum',
+  'const',
+  'properties',
+  'required',
+  'additionalProperties',
+  'items',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'minimum',
+  'maximum',
+  'minItems',
+  'maxItems',
+  'anyOf',
+  'oneOf',
+  'allOf',
+  'title',
+  'description',
+  'default',
+  'examples',
+  '$schema',
+  '$comment',
+]);
+
+/**
+ * Quantified group that itself contains a quantifier, e.g. (a+)+ or (\w*)*,
+ * the usual shape of catastrophically backtracking patterns
+ */
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)[+*{]/;
+
+/**
+ * Check a pattern compiles and is safe to run against model output, returning an error message or null
+ */
+function checkPattern(pattern: string, path: string): string | null {
+  if (pattern.length > MAX_SCHEMA_PATTERN_LENGTH) {
+    return `${path}.pattern: must be at most ${MAX_SCHEMA_PATTERN_LENGTH} characters`;
+  }
+  if (NESTED_QUANTIFIER.test(pattern) || /\\[1-9k]/.test(pattern)) {
+    return `${path}.pattern: nested quantifiers and backreferences are not supported`;
+  }
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    return `${path}.pattern: ${(error as Error).message}`;
+  }
+  return null;
+}
+
+/**
+ * Check a schema before any model is called: only supported keywords, well-formed
+ * subschemas and safe, compilable patterns. Returns the first problem or null.
+ */
+export function checkJsonSchema(schema: unknown, path = '$'): string | null {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return `${path}: must be a schema object`;
+  }
+
+  const record = schema as JsonSchema;
+  for (const keyword of Object.keys(record)) {
+    if (!SUPPORTED_SCHEMA_KEYWORDS.has(keyword)) {
+      return `${path}: unsupported keyword ${keyword}`;
+    }
+  }
+
+  if (record.pattern !== undefined) {
+    const error = typeof record.pattern === 'string' ? checkPattern(record.pattern, path) : `${path}.pattern: must be a string`;
+    if (error) return error;
+  }
+
+  if (record.required !== undefined && (!Array.isArray(record.required) || record.required.some((key) => typeof key !== 'string'))) {
+    return `${path}.required: must be an array of property names`;
+  }
+
+  const subschemas: [string, unknown][] = [];
+  if (record.properties !== undefined) {
+    if (!record.properties || typeof record.properties !== 'object' || Array.isArray(record.properties)) {
+      return `${path}.properties: must be an object of schemas`;
+    }
+    for (const [key, sub] of Object.entries(record.properties)) {
+      subschemas.push([`${path}.properties.${key}`, sub]);
+    }
+  }
+  if (record.items !== undefined) subschemas.push([`${path}.items`, record.items]);
+  if (record.additionalProperties !== undefined && typeof record.additionalProperties !== 'boolean') {
+    subschemas.push([`${path}.additionalProperties`, record.additionalProperties]);
+  }
+  for (const keyword of ['anyOf', 'oneOf', 'allOf']) {
+    if (record[keyword] === undefined) continue;
+    if (!Array.isArray(record[keyword])) {
+      return `${path}.${keyword}: must be an array of schemas`;
+    }
+    (record[keyword] as unknown[]).forEach((sub, index) => subschemas.push([`${path}.${keyword}[${index}]`, sub]));
+  }
+
+  for (const [subPath, sub] of subschemas) {
+    const error = checkJsonSchema(sub, subPath);
+    if (error) return error;
+  }
+
+  return null;
+}
+
+/**
+ * Parse model output as JSON, repairing common formatting problems:
+ * markdown code fences, prose around the JSON value and trailing commas
+ */
+export function parseJsonOutput(text: string): JsonParseResult {
+  const candidates: string[] = [];
+  const trimmed = text.trim();
+  candidates.push(trimmed);
+
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(trimmed);
+  if (fenced) {
+    candidates.push(fenced[1].trim());
+  }
+
+  const start = trimmed.search(/[{[]/);
+  const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+  if (start !== -1 && end > start) {
+    candidates.push(trimmed.slice(start, end + 1));
+  }
+
+  let lastError = 'empty output';
+  for (const candidate of candidates) {
+    for (const attempt of [candidate, candidate.replace(/,\s*([}\]])/g, '$1')]) {
+      try {
+        return { ok: true, value: JSON.parse(attempt) as unknown };
+      } catch (error) {
+        lastError = (error as Error).message;
+      }
+    }
+  }
+
+  return { ok: false, error: `Output is not valid JSON: ${lastError}` };
+}
+
+/**
+ * Prompt instructions for providers without a native JSON schema mode
+ */
+export function buildJsonSchemaInstructions(schema: JsonSchema): string {
+  return [
+    'Respond with only a JSON value that conforms to the following JSON schema.',
+    'Do not wrap it in markdown code fences and do not add any other text.',
+    '',
+    JSON.stringify(schema),
+  ].join('\n');
+}
@@ -0,0 +1,77 @@
+import { lookup } from 'dns/promises';
+import { isIP } from 'net';
+
+/**
+ * Whether an IPv4 address is loopback, private, link-local, shared (CGNAT) or unspecified
+ */
+function isPrivateIPv4(address: string): boolean {
+  const [a, b] = address.split('.').map(Number);
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168)
+  );
+}
+
+/**
+ * Whether an IP address is one a server-side request must not reach: loopback,
+ * private, link-local (cloud metadata at 169.254.169.254), unique-local or unspecified
+ */
+export function isPrivateAddress(address: string): boolean {
+  const ip = address.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (isIP(ip) === 4) {
+    return isPrivateIPv4(ip);
+  }
+  if (isIP(ip) !== 6) {
+    return false;
+  }
+
+  // IPv4-mapped addresses (::ffff:127.0.0.1, or ::ffff:7f00:1 as URLs write it) are checked as IPv4
+  const dotted = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    return isPrivateIPv4(dotted[1]);
+  }
+  const hex = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (hex) {
+    const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return isPrivateIPv4(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+  return ip === '::' || ip === '::1' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip);
+}
+
+/**
+ * Whether a URL is an absolute http or https URL whose host is not a local or private address
+ * Host names are checked as written; resolveToPublicAddress checks where they point
+ */
+export function isPublicHttpUrl(value: unknown): boolean {
+  if (typeof value !== 'string') return false;
+  try {
+    const url = new URL(value);
+    const host = url.hostname.toLowerCase();
+    return (
+      ['http:', 'https:'].includes(url.protocol) &&
+      host !== 'localhost' &&
+      !host.endsWith('.localhost') &&
+      !isPrivateAddress(host)
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve a URL's host, throwing when any of its addresses is local or private
+ */
+export async function resolveToPublicAddress(value: string): Promise<void> {
+  const host = new URL(value).hostname.replace(/^\[|\]$/g, '');
+  const addresses = await lookup(host, { all: true });
+  const blocked = addresses.find((a) => isPrivateAddress(a.address));
+  if (blocked) {
+    throw new Error(`${host} resolves to the private address ${blocked.address}`);
+  }
+}
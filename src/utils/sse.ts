@@ -0,0 +1,90 @@
+import { Response as ExpressResponse } from 'express';
+import { SSEMessage } from '../types';
+
+/**
+ * Parse a server-sent event stream into individual messages
+ * A consumer that stops early (break, throw, client disconnect) cancels the upstream body
+ */
+export async function* parseSSEStream(body: ReadableStream<Uint8Array> | null): AsyncGenerator<SSEMessage> {
+  if (!body) {
+    return;
+  }
+
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event: string | null = null;
+  let data: string[] = [];
+  let finished = false;
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+      // Process complete lines, keep the trailing partial line in the buffer
+      const lines = buffer.split(/\r\n|\r|\n/);
+      buffer = done ? '' : lines.pop() || '';
+
+      for (const line of lines) {
+        if (line === '') {
+          // Blank line dispatches the pending message
+          if (data.length > 0) {
+            yield { event, data: data.join('\n') };
+          }
+          event = null;
+          data = [];
+        } else if (line.startsWith(':')) {
+          // Comment / keep-alive line
+          continue;
+        } else if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(5).replace(/^ /, ''));
+        }
+      }
+
+      if (done) {
+        finished = true;
+        break;
+      }
+    }
+
+    // Flush a final message that was not terminated by a blank line
+    if (data.length > 0) {
+      yield { event, data: data.join('\n') };
+    }
+  } finally {
+    if (!finished) {
+      await reader.cancel().catch(() => {});
+    }
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Prepare an Express response for server-sent events
+ */
+export function openSSE(res: ExpressResponse): void {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+}
+
+/**
+ * Write a single server-sent event to an Express response
+ */
+export function writeSSE(res: ExpressResponse, event: string, data: unknown): void {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Write a data-only server-sent event (OpenAI-style streams)
+ */
+export function writeSSEData(res: ExpressResponse, data: unknown): void {
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  res.write(`data: ${payload}\n\n`);
+}